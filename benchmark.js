@@ -0,0 +1,98 @@
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('./dist/nav-mesh-2d');
+
+console.log('=== Path Finding 2D - Point Location Benchmark ===\n');
+
+// === CREATING A LARGE MAP ===
+
+// Grid of square tiles, each tile has a row of small square holes
+const TILES = 30;
+const TILE_SIZE = 100;
+const HOLES_PER_TILE = 8;
+
+function createTile(x0, y0) {
+    const outer = [
+        new Point(x0, y0),
+        new Point(x0 + TILE_SIZE, y0),
+        new Point(x0 + TILE_SIZE, y0 + TILE_SIZE),
+        new Point(x0, y0 + TILE_SIZE)
+    ];
+
+    const holes = [];
+    const step = TILE_SIZE / (HOLES_PER_TILE + 1);
+    for (let i = 1; i <= HOLES_PER_TILE; i++) {
+        const cx = x0 + i * step;
+        const cy = y0 + TILE_SIZE / 2 + (i % 2 === 0 ? 10 : -10);
+        holes.push(new Polygon([
+            new Point(cx - 2, cy - 2),
+            new Point(cx + 2, cy - 2),
+            new Point(cx + 2, cy + 2),
+            new Point(cx - 2, cy + 2)
+        ]));
+    }
+
+    return new Polygon(outer, holes);
+}
+
+const polygons = [];
+for (let row = 0; row < TILES; row++) {
+    for (let col = 0; col < TILES; col++) {
+        polygons.push(createTile(col * TILE_SIZE, row * TILE_SIZE));
+    }
+}
+
+let buildTime = Date.now();
+const navMesh = new NavMesh2d(new PolygonMap(polygons));
+buildTime = Date.now() - buildTime;
+
+const triangleCount = polygons.reduce((sum, p) => sum + p.tpolygons.length, 0);
+console.log(`Triangles: ${triangleCount}`);
+console.log(`NavMesh build time: ${buildTime} ms\n`);
+
+// === QUERY POINTS ===
+
+// Deterministic pseudo-random points, some of them outside the map
+let seed = 12345;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+const QUERIES = 5000;
+const size = TILES * TILE_SIZE;
+const points = [];
+for (let i = 0; i < QUERIES; i++) {
+    points.push(new Point(random() * size * 1.1 - size * 0.05, random() * size * 1.1 - size * 0.05));
+}
+
+// Linear scan over all triangles, as done before the spatial index
+function linearScan(point) {
+    for (const triangle of navMesh['triangles']) {
+        if (navMesh['isPointInTriangle'](point, triangle)) {
+            return triangle;
+        }
+    }
+    return null;
+}
+
+function measure(name, locate) {
+    const start = process.hrtime.bigint();
+    const results = points.map(locate);
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    console.log(`${name}:`);
+    console.log(`  Total: ${ms.toFixed(1)} ms for ${QUERIES} queries`);
+    console.log(`  Per query: ${(ms * 1000 / QUERIES).toFixed(2)} µs`);
+    console.log(`  Points in navmesh: ${results.filter(Boolean).length}\n`);
+    return { ms, results };
+}
+
+const linear = measure('Linear scan', linearScan);
+const grid = measure('Spatial grid', point => navMesh['findTriangleContainingPoint'](point));
+
+// === CHECKING RESULTS ===
+const mismatches = points.filter((_, i) => linear.results[i] !== grid.results[i]).length;
+
+console.log(`Speedup: ${(linear.ms / grid.ms).toFixed(1)}x`);
+console.log(`Mismatched results: ${mismatches}`);
+
+console.log('\n=== BENCHMARK COMPLETED ===');
\ No newline at end of file
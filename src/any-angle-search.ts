@@ -0,0 +1,395 @@
+import { Point, TPolygon } from 'poly-math-2d';
+
+/**
+ * Triangles as seen by the any-angle search. Edge k of a triangle runs from
+ * mainTriangle[k] to mainTriangle[k + 1].
+ */
+export interface AnyAngleMesh {
+    triangles: readonly TPolygon[];
+    /** Neighbor across edge k of triangle t at t * 3 + k, -1 for boundary */
+    edgeNeighbors: Int32Array;
+    /** Whether the query may cross edge k of the triangle into its neighbor */
+    isEdgeOpen(triangle: number, edge: number): boolean;
+    tolerance: number;
+}
+
+/**
+ * Called for every search node taken from the open list
+ */
+export type AnyAngleExpandListener = (triangle: number, g: number, h: number, openSize: number) => void;
+
+/**
+ * Interval of an edge that is visible from the root, the last corner of the paths through it
+ */
+interface SearchNode {
+    root: Point;
+    /** Interval ends as seen from the root */
+    left: Point;
+    right: Point;
+    /** Root lies on the line of the interval, e.g. it is a vertex of the edge */
+    collinear: boolean;
+    /** Triangle entered through the interval, and the edge of it the interval lies on */
+    triangle: number;
+    edge: number;
+    /** Length of the shortest known path to the root */
+    g: number;
+    h: number;
+    /** Node reaching the end point, f is the path length then */
+    goal: boolean;
+    parent: SearchNode | null;
+}
+
+/**
+ * Euclidean shortest path through the open triangles, as the triangles it crosses after
+ * the start triangle. Null if the end can't be reached.
+ */
+export function findAnyAngleCorridor(mesh: AnyAngleMesh, startId: number, endId: number, from: Point, to: Point,
+    onExpand: AnyAngleExpandListener | null = null): number[] | null {
+    return new AnyAngleSearch(mesh, endId, to, onExpand).run(startId, from);
+}
+
+/**
+ * Polyanya (Cui, Harabor and Grastien, 2017): A* over search nodes that are edge intervals
+ * with the root they are seen from. A node is pushed through the triangle beyond its interval.
+ * The part of the far edges seen through the interval keeps the root, the parts only seen
+ * by turning around a corner at an end of the interval get that corner as their new root.
+ */
+class AnyAngleSearch {
+    private open = new NodeQueue();
+    private bestRootCosts = new Map<string, number>();
+    private corners = new Map<string, boolean>();
+    private eps: number;
+
+    constructor(private mesh: AnyAngleMesh, private endId: number, private to: Point,
+        private onExpand: AnyAngleExpandListener | null) {
+        this.eps = mesh.tolerance;
+    }
+
+    public run(startId: number, from: Point): number[] | null {
+        const points = this.mesh.triangles[startId].mainTriangle;
+        for (let k = 0; k < 3; k++) {
+            this.push(from, points[k], points[(k + 1) % 3], startId, k, 0, null);
+        }
+
+        while (this.open.size > 0) {
+            const node = this.open.pop();
+            if (node.goal) return this.traceCorridor(node);
+
+            // Root was reached on a shorter path since this node was pushed
+            const best = this.bestRootCosts.get(pointKey(node.root));
+            if (best !== undefined && node.g > best + this.eps) continue;
+
+            this.onExpand?.(node.triangle, node.g, node.h, this.open.size);
+            this.expand(node);
+        }
+        return null;
+    }
+
+    private expand(node: SearchNode): void {
+        const { root, triangle, edge, g } = node;
+        const points = this.mesh.triangles[triangle].mainTriangle;
+        const a = points[edge];
+        const b = points[(edge + 1) % 3];
+        const c = points[(edge + 2) % 3];
+
+        // Triangles are convex, so a root on the line of their edge sees all of them
+        if (node.collinear) {
+            if (triangle === this.endId) this.pushGoal(g + distance(root, this.to), node);
+            this.push(root, b, c, triangle, (edge + 1) % 3, g, node);
+            this.push(root, c, a, triangle, (edge + 2) % 3, g, node);
+            return;
+        }
+
+        // Far side of the triangle runs from the left end of the edge over c to its right end
+        const aIsLeft = this.side(root, b, a) > 0;
+        const edgeLeft = aIsLeft ? a : b;
+        const edgeRight = aIsLeft ? b : a;
+        const farEdges = aIsLeft ? [(edge + 2) % 3, (edge + 1) % 3] : [(edge + 1) % 3, (edge + 2) % 3];
+        const far = { left: edgeLeft, c, right: edgeRight, edges: farEdges };
+
+        const leftCorner = samePoint(node.left, edgeLeft, this.eps) && this.isCorner(edgeLeft, triangle);
+        const rightCorner = samePoint(node.right, edgeRight, this.eps) && this.isCorner(edgeRight, triangle);
+
+        if (triangle === this.endId) {
+            const leftSide = this.side(root, node.left, this.to);
+            const rightSide = this.side(root, node.right, this.to);
+            if (leftSide <= 0 && rightSide >= 0) {
+                this.pushGoal(g + distance(root, this.to), node);
+            } else if (leftSide > 0 && leftCorner) {
+                this.pushGoal(g + distance(root, edgeLeft) + distance(edgeLeft, this.to), node);
+            } else if (rightSide < 0 && rightCorner) {
+                this.pushGoal(g + distance(root, edgeRight) + distance(edgeRight, this.to), node);
+            }
+        }
+
+        // Positions on the far side: 0 at its left end, 1 at c, 2 at its right end
+        const leftHit = this.project(root, node.left, far);
+        const rightHit = this.project(root, node.right, far);
+
+        this.pushRange(root, leftHit, rightHit, far, triangle, g, node);
+        if (leftCorner) {
+            const cornerCost = g + distance(root, edgeLeft);
+            if (this.updateRoot(edgeLeft, cornerCost)) this.pushRange(edgeLeft, 0, leftHit, far, triangle, cornerCost, node);
+        }
+        if (rightCorner) {
+            const cornerCost = g + distance(root, edgeRight);
+            if (this.updateRoot(edgeRight, cornerCost)) this.pushRange(edgeRight, rightHit, 2, far, triangle, cornerCost, node);
+        }
+    }
+
+    /**
+     * Position on the far side where the ray from the root through p leaves the triangle
+     */
+    private project(root: Point, p: Point, far: FarSide): number {
+        const side = this.side(root, p, far.c);
+        if (side === 0) return 1;
+        return side > 0
+            ? 1 + clamp01(rayParameter(root, p, far.c, far.right))
+            : clamp01(rayParameter(root, p, far.left, far.c));
+    }
+
+    /**
+     * Push the far side between two positions, split at c
+     */
+    private pushRange(root: Point, start: number, end: number, far: FarSide, triangle: number, g: number, parent: SearchNode): void {
+        if (start < 1) {
+            this.push(root, farPoint(far, start), farPoint(far, Math.min(end, 1)), triangle, far.edges[0], g, parent);
+        }
+        if (end > 1) {
+            this.push(root, farPoint(far, Math.max(start, 1)), farPoint(far, end), triangle, far.edges[1], g, parent);
+        }
+    }
+
+    private push(root: Point, p: Point, q: Point, triangle: number, edge: number, g: number, parent: SearchNode | null): void {
+        if (!this.mesh.isEdgeOpen(triangle, edge)) return;
+
+        // Nothing is seen through a single point
+        if (samePoint(p, q, this.eps)) return;
+
+        const side = this.side(root, q, p);
+        const next = this.mesh.edgeNeighbors[triangle * 3 + edge];
+        const nextEdge = this.findEdge(next, triangle);
+        const left = side >= 0 ? p : q;
+        const right = side >= 0 ? q : p;
+        const h = this.intervalHeuristic(root, left, right, side !== 0);
+
+        this.open.push({
+            root, left, right, collinear: side === 0, triangle: next, edge: nextEdge, g, h, goal: false, parent
+        });
+    }
+
+    private pushGoal(length: number, parent: SearchNode): void {
+        this.open.push({
+            root: this.to, left: this.to, right: this.to, collinear: true, triangle: this.endId, edge: 0,
+            g: length, h: 0, goal: true, parent
+        });
+    }
+
+    /**
+     * Shortest distance from the root over the interval to the end point. Paths from an end
+     * on the root side of the interval line have to come back, as if mirrored at the line.
+     */
+    private intervalHeuristic(root: Point, left: Point, right: Point, mirror: boolean): number {
+        let target = this.to;
+        const rootSide = orient(left, right, root);
+        if (mirror && Math.sign(orient(left, right, target)) === Math.sign(rootSide) && rootSide !== 0) {
+            target = mirrorPoint(target, left, right);
+        }
+
+        // Straight line from the root to the target passes the interval
+        if (this.side(root, left, target) <= 0 && this.side(root, right, target) >= 0 && !samePoint(left, right, this.eps)) {
+            return distance(root, target);
+        }
+        return Math.min(distance(root, left) + distance(left, target), distance(root, right) + distance(right, target));
+    }
+
+    /**
+     * Record a path to a corner, false if a shorter path was pushed before. Paths as long pass,
+     * the corner may be reached from several triangles and turn into each of them.
+     */
+    private updateRoot(corner: Point, g: number): boolean {
+        const key = pointKey(corner);
+        const best = this.bestRootCosts.get(key);
+        if (best !== undefined && g > best + this.eps) return false;
+        if (best === undefined || g < best) this.bestRootCosts.set(key, g);
+        return true;
+    }
+
+    /**
+     * A vertex is a corner if a closed edge touches it, paths can only turn at corners.
+     * Walks around the vertex from triangle to triangle until it gets back or hits a closed edge.
+     */
+    private isCorner(vertex: Point, triangle: number): boolean {
+        const key = pointKey(vertex);
+        const known = this.corners.get(key);
+        if (known !== undefined) return known;
+
+        let current = triangle;
+        let edge = this.vertexIndex(current, vertex); // Edge starting at the vertex
+        let corner = true;
+        for (let step = 0; step < this.mesh.triangles.length; step++) {
+            if (!this.mesh.isEdgeOpen(current, edge)) break;
+
+            const next = this.mesh.edgeNeighbors[current * 3 + edge];
+            if (next === triangle) {
+                corner = false;
+                break;
+            }
+
+            // Leave the next triangle through its other edge at the vertex
+            const entered = this.findEdge(next, current);
+            const index = this.vertexIndex(next, vertex);
+            edge = entered === index ? (index + 2) % 3 : index;
+            current = next;
+        }
+
+        this.corners.set(key, corner);
+        return corner;
+    }
+
+    private vertexIndex(triangle: number, vertex: Point): number {
+        const points = this.mesh.triangles[triangle].mainTriangle;
+        for (let i = 0; i < 3; i++) {
+            if (samePoint(points[i], vertex, this.eps)) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Edge of the triangle leading to the neighbor
+     */
+    private findEdge(triangle: number, neighbor: number): number {
+        for (let k = 0; k < 3; k++) {
+            if (this.mesh.edgeNeighbors[triangle * 3 + k] === neighbor) return k;
+        }
+        return 0;
+    }
+
+    /**
+     * 1 if c lies left of the line from a through b, -1 if right, 0 within the tolerance
+     */
+    private side(a: Point, b: Point, c: Point): number {
+        const value = orient(a, b, c);
+        const limit = this.eps * distance(a, b);
+        return value > limit ? 1 : value < -limit ? -1 : 0;
+    }
+
+    private traceCorridor(goal: SearchNode): number[] {
+        const corridor: number[] = [];
+        for (let node = goal.parent; node; node = node.parent) {
+            corridor.push(node.triangle);
+        }
+        return corridor.reverse();
+    }
+}
+
+/**
+ * Far side of a triangle as seen from a root: left end, opposite vertex, right end,
+ * and the triangle edges from the left end to c and from c to the right end
+ */
+interface FarSide {
+    left: Point;
+    c: Point;
+    right: Point;
+    edges: number[];
+}
+
+function farPoint(far: FarSide, position: number): Point {
+    if (position <= 0) return far.left;
+    if (position === 1) return far.c;
+    if (position >= 2) return far.right;
+    return position < 1 ? lerp(far.left, far.c, position) : lerp(far.c, far.right, position - 1);
+}
+
+/**
+ * Parameter along segment ab where the line through root and p crosses it
+ */
+function rayParameter(root: Point, p: Point, a: Point, b: Point): number {
+    const dx = p.x - root.x;
+    const dy = p.y - root.y;
+    const denominator = dx * (b.y - a.y) - dy * (b.x - a.x);
+    if (denominator === 0) return 0;
+    return -orient(root, p, a) / denominator;
+}
+
+function orient(a: Point, b: Point, c: Point): number {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function mirrorPoint(p: Point, a: Point, b: Point): Point {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy);
+    const fx = a.x + dx * t;
+    const fy = a.y + dy * t;
+    return new Point(2 * fx - p.x, 2 * fy - p.y);
+}
+
+function lerp(a: Point, b: Point, t: number): Point {
+    return new Point(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+}
+
+function clamp01(value: number): number {
+    return Math.max(0, Math.min(1, value));
+}
+
+function distance(a: Point, b: Point): number {
+    return Math.sqrt(Point.getDistanceSquared(a, b));
+}
+
+function samePoint(a: Point, b: Point, eps: number): boolean {
+    return Math.abs(a.x - b.x) < eps && Math.abs(a.y - b.y) < eps;
+}
+
+function pointKey(p: Point): string {
+    return `${p.x},${p.y}`;
+}
+
+/**
+ * Binary min-heap of search nodes by f. Ties prefer the node closer to the end.
+ */
+class NodeQueue {
+    private nodes: SearchNode[] = [];
+
+    public get size(): number {
+        return this.nodes.length;
+    }
+
+    public push(node: SearchNode): void {
+        const nodes = this.nodes;
+        let index = nodes.length;
+        nodes.push(node);
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (!NodeQueue.less(node, nodes[parentIndex])) break;
+            nodes[index] = nodes[parentIndex];
+            index = parentIndex;
+        }
+        nodes[index] = node;
+    }
+
+    public pop(): SearchNode {
+        const nodes = this.nodes;
+        const top = nodes[0];
+        const last = nodes.pop()!;
+        if (nodes.length === 0) return top;
+
+        let index = 0;
+        const half = nodes.length >> 1;
+        while (index < half) {
+            let child = index * 2 + 1;
+            if (child + 1 < nodes.length && NodeQueue.less(nodes[child + 1], nodes[child])) child++;
+            if (!NodeQueue.less(nodes[child], last)) break;
+            nodes[index] = nodes[child];
+            index = child;
+        }
+        nodes[index] = last;
+        return top;
+    }
+
+    private static less(a: SearchNode, b: SearchNode): boolean {
+        const fa = a.g + a.h;
+        const fb = b.g + b.h;
+        return fa < fb || (fa === fb && a.h < b.h);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Binary min-heap of integer ids with decrease-key support.
+ * Ties on key are broken by insertion order, so equal-cost ids pop first-in first-out.
+ */
+export class BinaryHeap {
+    private heap: Int32Array;
+    private keys: Float64Array;
+    private order: Float64Array;
+    private positions: Int32Array; // Position of id in heap, -1 if not queued
+    private length = 0;
+    private counter = 0;
+
+    constructor(capacity: number) {
+        this.heap = new Int32Array(capacity);
+        this.keys = new Float64Array(capacity);
+        this.order = new Float64Array(capacity);
+        this.positions = new Int32Array(capacity).fill(-1);
+    }
+
+    public get size(): number {
+        return this.length;
+    }
+
+    /**
+     * Grow storage so ids up to capacity - 1 can be queued. Clears the heap.
+     */
+    public resize(capacity: number): void {
+        this.heap = new Int32Array(capacity);
+        this.keys = new Float64Array(capacity);
+        this.order = new Float64Array(capacity);
+        this.positions = new Int32Array(capacity).fill(-1);
+        this.length = 0;
+        this.counter = 0;
+    }
+
+    /**
+     * Remove all ids, touching only the queued ones
+     */
+    public clear(): void {
+        for (let i = 0; i < this.length; i++) {
+            this.positions[this.heap[i]] = -1;
+        }
+        this.length = 0;
+        this.counter = 0;
+    }
+
+    public contains(id: number): boolean {
+        return this.positions[id] !== -1;
+    }
+
+    public getKey(id: number): number {
+        return this.keys[id];
+    }
+
+    /**
+     * Smallest key in the heap, Infinity if empty
+     */
+    public peekKey(): number {
+        return this.length === 0 ? Infinity : this.keys[this.heap[0]];
+    }
+
+    public push(id: number, key: number): void {
+        this.keys[id] = key;
+        this.order[id] = this.counter++;
+        this.heap[this.length] = id;
+        this.positions[id] = this.length;
+        this.length++;
+        this.siftUp(this.length - 1);
+    }
+
+    /**
+     * Remove and return the id with the smallest key, -1 if empty
+     */
+    public pop(): number {
+        if (this.length === 0) return -1;
+
+        const top = this.heap[0];
+        this.positions[top] = -1;
+        this.length--;
+
+        if (this.length > 0) {
+            const last = this.heap[this.length];
+            this.heap[0] = last;
+            this.positions[last] = 0;
+            this.siftDown(0);
+        }
+
+        return top;
+    }
+
+    /**
+     * Lower the key of a queued id, keeping its insertion order for ties
+     */
+    public decreaseKey(id: number, key: number): void {
+        this.keys[id] = key;
+        this.siftUp(this.positions[id]);
+    }
+
+    private less(a: number, b: number): boolean {
+        const ka = this.keys[a];
+        const kb = this.keys[b];
+        return ka < kb || (ka === kb && this.order[a] < this.order[b]);
+    }
+
+    private siftUp(index: number): void {
+        const id = this.heap[index];
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = this.heap[parentIndex];
+            if (!this.less(id, parent)) break;
+            this.heap[index] = parent;
+            this.positions[parent] = index;
+            index = parentIndex;
+        }
+        this.heap[index] = id;
+        this.positions[id] = index;
+    }
+
+    private siftDown(index: number): void {
+        const id = this.heap[index];
+        const half = this.length >> 1;
+        while (index < half) {
+            let childIndex = index * 2 + 1;
+            const right = childIndex + 1;
+            if (right < this.length && this.less(this.heap[right], this.heap[childIndex])) {
+                childIndex = right;
+            }
+            const child = this.heap[childIndex];
+            if (!this.less(child, id)) break;
+            this.heap[index] = child;
+            this.positions[child] = index;
+            index = childIndex;
+        }
+        this.heap[index] = id;
+        this.positions[id] = index;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,554 @@
+import { Point } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions, PathStatus } from './nav-mesh-2d';
+
+/**
+ * Identifier returned by Crowd.addAgent
+ */
+export type AgentId = number;
+
+/**
+ * Movement state of a crowd agent
+ */
+export enum AgentState {
+    /** No target set */
+    IDLE = 'idle',
+    /** Following its path */
+    MOVING = 'moving',
+    /** Reached the end of its path */
+    ARRIVED = 'arrived',
+    /** Target could not be reached from the current position */
+    UNREACHABLE = 'unreachable'
+}
+
+/**
+ * Per-agent settings for Crowd.addAgent
+ */
+export interface CrowdAgentOptions {
+    /** Agent radius, also used as agentRadius for its paths unless the mesh has a grid size */
+    radius?: number;
+    /** Maximum speed in units per second */
+    maxSpeed?: number;
+    /** Only agents closer than this are avoided */
+    neighborDistance?: number;
+    /** Maximum number of agents avoided at once, the closest ones are taken */
+    maxNeighbors?: number;
+    /** How far ahead in seconds collisions with other agents are avoided */
+    timeHorizon?: number;
+    /** Distance to the target at which the agent counts as arrived */
+    arrivalDistance?: number;
+    /** Options for the agent's path queries */
+    pathOptions?: FindPathOptions;
+}
+
+/**
+ * Simulation settings
+ */
+export interface CrowdOptions {
+    /** Length of one fixed step in seconds */
+    timeStep?: number;
+    /** Maximum number of steps one update call may run, the rest of the time is dropped */
+    maxSteps?: number;
+}
+
+/**
+ * Agent state as seen from outside the crowd
+ */
+export interface CrowdAgent {
+    readonly id: AgentId;
+    readonly position: Point;
+    readonly velocity: Point;
+    readonly radius: number;
+    readonly maxSpeed: number;
+    readonly target: Point | null;
+    /** Remaining path corners, starting with the next one */
+    readonly path: readonly Point[];
+    readonly state: AgentState;
+}
+
+/**
+ * Internal agent with simulation data
+ */
+interface Agent {
+    id: AgentId;
+    position: Point;
+    velocity: Point;
+    preferredVelocity: Point;
+    newVelocity: Point;
+    radius: number;
+    maxSpeed: number;
+    neighborDistance: number;
+    maxNeighbors: number;
+    timeHorizon: number;
+    arrivalDistance: number;
+    pathOptions: FindPathOptions;
+    target: Point | null;
+    path: Point[];
+    pathIndex: number;
+    state: AgentState;
+}
+
+/**
+ * Half-plane of permitted velocities, to the left of the directed line
+ */
+interface Line {
+    point: Point;
+    direction: Point;
+}
+
+const RVO_EPSILON = 1e-5;
+
+/**
+ * Agents moving on a NavMesh2d with reciprocal collision avoidance (ORCA).
+ *
+ * Every fixed step each agent steers towards the next corner of its path, then its
+ * velocity is adjusted so that it does not collide with neighbor agents within the
+ * time horizon, assuming they do the same. Moves are done through triangle adjacency,
+ * so agents slide along walls and never leave the mesh. Agents are processed in the
+ * order they were added and all steps have the same length, so a simulation is
+ * reproducible for the same sequence of calls.
+ */
+export class Crowd {
+    private agents = new Map<AgentId, Agent>();
+    private nextAgentId: AgentId = 1;
+    private timeStep: number;
+    private maxSteps: number;
+    private accumulator = 0;
+    private meshVersion: number;
+
+    constructor(private mesh: NavMesh2d, options: CrowdOptions = {}) {
+        this.timeStep = options.timeStep ?? 1 / 60;
+        this.maxSteps = options.maxSteps ?? 8;
+        if (!(this.timeStep > 0)) {
+            throw new Error('Crowd time step must be positive');
+        }
+        this.meshVersion = mesh.version;
+    }
+
+    /**
+     * Add agent at a position, snapped onto the navmesh if it is slightly outside
+     */
+    public addAgent(position: Point, options: CrowdAgentOptions = {}): AgentId {
+        const start = this.mesh.findNearestPoint(position);
+        if (!start) {
+            throw new Error('Agent position is not on the navmesh');
+        }
+
+        const radius = options.radius ?? 0.5;
+        const maxSpeed = options.maxSpeed ?? 2;
+        const timeHorizon = options.timeHorizon ?? 2;
+        const agentRadius = this.mesh.gridSize === null ? radius : undefined; // Corner offsets need trigonometry
+        const id = this.nextAgentId++;
+
+        this.agents.set(id, {
+            id,
+            position: start,
+            velocity: new Point(0, 0),
+            preferredVelocity: new Point(0, 0),
+            newVelocity: new Point(0, 0),
+            radius,
+            maxSpeed,
+            neighborDistance: options.neighborDistance ?? maxSpeed * timeHorizon + radius * 4,
+            maxNeighbors: options.maxNeighbors ?? 10,
+            timeHorizon,
+            arrivalDistance: options.arrivalDistance ?? radius * 0.25,
+            pathOptions: { ...options.pathOptions, agentRadius },
+            target: null,
+            path: [],
+            pathIndex: 0,
+            state: AgentState.IDLE
+        });
+
+        return id;
+    }
+
+    public removeAgent(id: AgentId): boolean {
+        return this.agents.delete(id);
+    }
+
+    public getAgent(id: AgentId): CrowdAgent | null {
+        const agent = this.agents.get(id);
+        return agent ? Crowd.toCrowdAgent(agent) : null;
+    }
+
+    /**
+     * All agents in the order they were added
+     */
+    public getAgents(): CrowdAgent[] {
+        return [...this.agents.values()].map(Crowd.toCrowdAgent);
+    }
+
+    /**
+     * Plan a path to the target. Returns false if the agent is missing or the target is unreachable.
+     */
+    public setTarget(id: AgentId, target: Point): boolean {
+        const agent = this.agents.get(id);
+        if (!agent) return false;
+
+        agent.target = target;
+        return this.planPath(agent);
+    }
+
+    /**
+     * Stop the agent, it keeps avoiding others but no longer moves on its own
+     */
+    public clearTarget(id: AgentId): boolean {
+        const agent = this.agents.get(id);
+        if (!agent) return false;
+
+        agent.target = null;
+        agent.path = [];
+        agent.pathIndex = 0;
+        agent.state = AgentState.IDLE;
+        return true;
+    }
+
+    /**
+     * Advance the simulation by elapsed time using fixed steps. Leftover time is carried
+     * over to the next call. Returns the number of steps run.
+     */
+    public update(deltaTime: number): number {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.timeStep && steps < this.maxSteps) {
+            this.step();
+            this.accumulator -= this.timeStep;
+            steps++;
+        }
+
+        // Falling behind, drop time instead of spiralling into more and more steps
+        if (this.accumulator >= this.timeStep) {
+            this.accumulator %= this.timeStep;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Run one fixed step
+     */
+    public step(): void {
+        if (this.meshVersion !== this.mesh.version) {
+            this.meshVersion = this.mesh.version;
+            this.replanAll();
+        }
+
+        const agents = [...this.agents.values()];
+        for (const agent of agents) {
+            this.updatePreferredVelocity(agent);
+        }
+
+        // All velocities are chosen from the same snapshot before anyone moves
+        for (const agent of agents) {
+            agent.newVelocity = this.computeNewVelocity(agent, agents);
+        }
+
+        for (const agent of agents) {
+            const desired = new Point(
+                agent.position.x + agent.newVelocity.x * this.timeStep,
+                agent.position.y + agent.newVelocity.y * this.timeStep
+            );
+            const { position } = this.mesh.moveAlongSurface(agent.position, desired);
+
+            // Sliding along a wall changes the velocity actually used
+            agent.velocity = new Point(
+                (position.x - agent.position.x) / this.timeStep,
+                (position.y - agent.position.y) / this.timeStep
+            );
+            agent.position = position;
+        }
+    }
+
+    /**
+     * Paths were planned on an old mesh, obstacles may block them now
+     */
+    private replanAll(): void {
+        for (const agent of this.agents.values()) {
+            if (!this.mesh.isPointInNavMesh(agent.position)) {
+                agent.position = this.mesh.findNearestPoint(agent.position) ?? agent.position;
+            }
+            if (agent.target && agent.state !== AgentState.ARRIVED) {
+                this.planPath(agent);
+            }
+        }
+    }
+
+    private planPath(agent: Agent): boolean {
+        const result = this.mesh.findPathDetailed(agent.position, agent.target!, agent.pathOptions);
+
+        if (result.status !== PathStatus.COMPLETE && result.status !== PathStatus.PARTIAL) {
+            agent.path = [];
+            agent.pathIndex = 0;
+            agent.state = AgentState.UNREACHABLE;
+            return false;
+        }
+
+        // First point is the current position
+        agent.path = result.points;
+        agent.pathIndex = Math.min(1, result.points.length - 1);
+        agent.state = AgentState.MOVING;
+        return true;
+    }
+
+    /**
+     * Velocity towards the next path corner, slowing down for the last one
+     */
+    private updatePreferredVelocity(agent: Agent): void {
+        agent.preferredVelocity = new Point(0, 0);
+        if (agent.state !== AgentState.MOVING) return;
+
+        const last = agent.path.length - 1;
+        let corner = agent.path[agent.pathIndex];
+        let distance = Math.sqrt(Point.getDistanceSquared(agent.position, corner));
+
+        // Corners within the agent radius count as passed, others may keep it from reaching them exactly
+        while (agent.pathIndex < last && distance <= Math.max(agent.radius, agent.maxSpeed * this.timeStep)) {
+            corner = agent.path[++agent.pathIndex];
+            distance = Math.sqrt(Point.getDistanceSquared(agent.position, corner));
+        }
+
+        if (agent.pathIndex === last && distance <= agent.arrivalDistance) {
+            agent.state = AgentState.ARRIVED;
+            return;
+        }
+
+        const speed = agent.pathIndex === last ? Math.min(agent.maxSpeed, distance / this.timeStep) : agent.maxSpeed;
+        agent.preferredVelocity = new Point(
+            (corner.x - agent.position.x) / distance * speed,
+            (corner.y - agent.position.y) / distance * speed
+        );
+    }
+
+    /**
+     * ORCA velocity selection, following the RVO2 library
+     */
+    private computeNewVelocity(agent: Agent, agents: Agent[]): Point {
+        const lines: Line[] = [];
+        const invTimeHorizon = 1 / agent.timeHorizon;
+
+        for (const other of this.getNeighbors(agent, agents)) {
+            const relativePosition = sub(other.position, agent.position);
+            const relativeVelocity = sub(agent.velocity, other.velocity);
+            const distSq = absSq(relativePosition);
+            const combinedRadius = agent.radius + other.radius;
+            const combinedRadiusSq = combinedRadius * combinedRadius;
+
+            let direction: Point;
+            let u: Point;
+
+            if (distSq > combinedRadiusSq) {
+                // No collision yet, vector from cutoff center to relative velocity
+                const w = sub(relativeVelocity, scale(relativePosition, invTimeHorizon));
+                const wLengthSq = absSq(w);
+                const dotProduct = dot(w, relativePosition);
+
+                if (dotProduct < 0 && dotProduct * dotProduct > combinedRadiusSq * wLengthSq) {
+                    // Project on cutoff circle
+                    const wLength = Math.sqrt(wLengthSq);
+                    const unitW = scale(w, 1 / wLength);
+                    direction = new Point(unitW.y, -unitW.x);
+                    u = scale(unitW, combinedRadius * invTimeHorizon - wLength);
+                } else {
+                    // Project on legs
+                    const leg = Math.sqrt(distSq - combinedRadiusSq);
+                    if (det(relativePosition, w) > 0) {
+                        direction = scale(new Point(
+                            relativePosition.x * leg - relativePosition.y * combinedRadius,
+                            relativePosition.x * combinedRadius + relativePosition.y * leg
+                        ), 1 / distSq);
+                    } else {
+                        direction = scale(new Point(
+                            relativePosition.x * leg + relativePosition.y * combinedRadius,
+                            -relativePosition.x * combinedRadius + relativePosition.y * leg
+                        ), -1 / distSq);
+                    }
+                    u = sub(scale(direction, dot(relativeVelocity, direction)), relativeVelocity);
+                }
+            } else {
+                // Already overlapping, push apart within one step
+                const invTimeStep = 1 / this.timeStep;
+                const w = sub(relativeVelocity, scale(relativePosition, invTimeStep));
+                const wLength = Math.sqrt(absSq(w));
+                const unitW = wLength > 0 ? scale(w, 1 / wLength) : Crowd.separationDirection(agent, other);
+                direction = new Point(unitW.y, -unitW.x);
+                u = scale(unitW, combinedRadius * invTimeStep - wLength);
+            }
+
+            lines.push({ point: add(agent.velocity, scale(u, 0.5)), direction });
+        }
+
+        const { result, failedLine } = linearProgram2(lines, agent.maxSpeed, agent.preferredVelocity, false);
+        return failedLine < lines.length ? linearProgram3(lines, failedLine, agent.maxSpeed, result) : result;
+    }
+
+    /**
+     * Closest agents within neighbor distance, ties broken by insertion order
+     */
+    private getNeighbors(agent: Agent, agents: Agent[]): Agent[] {
+        const rangeSq = agent.neighborDistance * agent.neighborDistance;
+        const neighbors: { agent: Agent, distanceSq: number }[] = [];
+
+        for (const other of agents) {
+            if (other === agent) continue;
+            const distanceSq = Point.getDistanceSquared(agent.position, other.position);
+            if (distanceSq < rangeSq) {
+                neighbors.push({ agent: other, distanceSq });
+            }
+        }
+
+        neighbors.sort((a, b) => a.distanceSq - b.distanceSq);
+        return neighbors.slice(0, agent.maxNeighbors).map(n => n.agent);
+    }
+
+    /**
+     * Deterministic direction for agents standing exactly on top of each other
+     */
+    private static separationDirection(agent: Agent, other: Agent): Point {
+        return agent.id < other.id ? new Point(1, 0) : new Point(-1, 0);
+    }
+
+    private static toCrowdAgent(agent: Agent): CrowdAgent {
+        return {
+            id: agent.id,
+            position: agent.position,
+            velocity: agent.velocity,
+            radius: agent.radius,
+            maxSpeed: agent.maxSpeed,
+            target: agent.target,
+            path: agent.path.slice(agent.pathIndex),
+            state: agent.state
+        };
+    }
+}
+
+function add(a: Point, b: Point): Point {
+    return new Point(a.x + b.x, a.y + b.y);
+}
+
+function sub(a: Point, b: Point): Point {
+    return new Point(a.x - b.x, a.y - b.y);
+}
+
+function scale(a: Point, k: number): Point {
+    return new Point(a.x * k, a.y * k);
+}
+
+function dot(a: Point, b: Point): number {
+    return a.x * b.x + a.y * b.y;
+}
+
+function det(a: Point, b: Point): number {
+    return a.x * b.y - a.y * b.x;
+}
+
+function absSq(a: Point): number {
+    return a.x * a.x + a.y * a.y;
+}
+
+/**
+ * Optimize on one constraint line, clipped by the previous lines and the speed circle
+ */
+function linearProgram1(lines: Line[], lineNo: number, radius: number, optVelocity: Point, directionOpt: boolean): Point | null {
+    const line = lines[lineNo];
+    const dotProduct = dot(line.point, line.direction);
+    const discriminant = dotProduct * dotProduct + radius * radius - absSq(line.point);
+
+    // Max speed circle fully invalidates this line
+    if (discriminant < 0) return null;
+
+    const sqrtDiscriminant = Math.sqrt(discriminant);
+    let tLeft = -dotProduct - sqrtDiscriminant;
+    let tRight = -dotProduct + sqrtDiscriminant;
+
+    for (let i = 0; i < lineNo; i++) {
+        const denominator = det(line.direction, lines[i].direction);
+        const numerator = det(lines[i].direction, sub(line.point, lines[i].point));
+
+        if (Math.abs(denominator) <= RVO_EPSILON) {
+            // Lines are parallel
+            if (numerator < 0) return null;
+            continue;
+        }
+
+        const t = numerator / denominator;
+        if (denominator >= 0) {
+            tRight = Math.min(tRight, t);
+        } else {
+            tLeft = Math.max(tLeft, t);
+        }
+
+        if (tLeft > tRight) return null;
+    }
+
+    let t: number;
+    if (directionOpt) {
+        t = dot(optVelocity, line.direction) > 0 ? tRight : tLeft;
+    } else {
+        t = Math.max(tLeft, Math.min(tRight, dot(line.direction, sub(optVelocity, line.point))));
+    }
+    return add(line.point, scale(line.direction, t));
+}
+
+/**
+ * Velocity closest to the optimal one that satisfies all lines, or the index of the first line that failed
+ */
+function linearProgram2(lines: Line[], radius: number, optVelocity: Point, directionOpt: boolean): { result: Point, failedLine: number } {
+    let result: Point;
+    if (directionOpt) {
+        // Optimize direction, velocity is a unit vector
+        result = scale(optVelocity, radius);
+    } else if (absSq(optVelocity) > radius * radius) {
+        result = scale(optVelocity, radius / Math.sqrt(absSq(optVelocity)));
+    } else {
+        result = optVelocity;
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        if (det(lines[i].direction, sub(lines[i].point, result)) > 0) {
+            const next = linearProgram1(lines, i, radius, optVelocity, directionOpt);
+            if (!next) return { result, failedLine: i };
+            result = next;
+        }
+    }
+
+    return { result, failedLine: lines.length };
+}
+
+/**
+ * Infeasible case, minimize the largest violation of the lines
+ */
+function linearProgram3(lines: Line[], beginLine: number, radius: number, result: Point): Point {
+    let distance = 0;
+
+    for (let i = beginLine; i < lines.length; i++) {
+        if (det(lines[i].direction, sub(lines[i].point, result)) <= distance) continue;
+
+        const projectedLines: Line[] = [];
+        for (let j = 0; j < i; j++) {
+            const denominator = det(lines[i].direction, lines[j].direction);
+            let point: Point;
+
+            if (Math.abs(denominator) <= RVO_EPSILON) {
+                // Same direction lines add nothing, opposite ones meet in the middle
+                if (dot(lines[i].direction, lines[j].direction) > 0) continue;
+                point = scale(add(lines[i].point, lines[j].point), 0.5);
+            } else {
+                const t = det(lines[j].direction, sub(lines[i].point, lines[j].point)) / denominator;
+                point = add(lines[i].point, scale(lines[i].direction, t));
+            }
+
+            const direction = sub(lines[j].direction, lines[i].direction);
+            projectedLines.push({ point, direction: scale(direction, 1 / Math.sqrt(absSq(direction))) });
+        }
+
+        const { result: projected, failedLine } = linearProgram2(
+            projectedLines, radius, new Point(-lines[i].direction.y, lines[i].direction.x), true
+        );
+        // Failure here is only caused by floating point errors, keep the current result then
+        if (failedLine === projectedLines.length) result = projected;
+
+        distance = det(lines[i].direction, sub(lines[i].point, result));
+    }
+
+    return result;
+}
\ No newline at end of file
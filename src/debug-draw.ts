@@ -0,0 +1,218 @@
+import { Point, TPolygon } from 'poly-math-2d';
+import { NavMesh2d, PathResult, PathStatus } from './nav-mesh-2d';
+
+/**
+ * What a debug draw command shows. Renderers pick the style by layer.
+ */
+export type DebugDrawLayer =
+    | 'expanded'
+    | 'triangle'
+    | 'boundary'
+    | 'adjacency'
+    | 'link'
+    | 'portal'
+    | 'path'
+    | 'corner'
+    | 'start'
+    | 'goal'
+    | 'clamped-goal';
+
+/**
+ * Renderer independent drawing primitive, in navmesh coordinates.
+ * Markers are points whose size is up to the renderer.
+ */
+export type DebugDrawCommand =
+    | { type: 'polygon', layer: DebugDrawLayer, points: Point[] }
+    | { type: 'polyline', layer: DebugDrawLayer, points: Point[] }
+    | { type: 'marker', layer: DebugDrawLayer, position: Point };
+
+/**
+ * What getDebugDrawCommands draws
+ */
+export interface DebugDrawOptions {
+    /** Triangle outlines, true by default */
+    triangles?: boolean;
+    /** Outer edges of the mesh, true by default */
+    boundary?: boolean;
+    /** Lines between the centers of neighboring triangles and the off-mesh links */
+    adjacency?: boolean;
+    /** Path query to show: portals, path, funnel corners, ends and where a clamped goal was moved to */
+    path?: PathResult;
+    /** Triangles expanded by the search, e.g. NavMesh2d.getExpandedTriangles() */
+    expanded?: readonly TPolygon[];
+}
+
+/**
+ * Options for renderDebugSVG
+ */
+export interface SVGRenderOptions {
+    /** Image width, 800 by default */
+    width?: number;
+    /** Image height, 600 by default */
+    height?: number;
+    /** Space between the drawing and the image border, 20 by default */
+    padding?: number;
+    /** Draw y upwards instead of downwards as in SVG */
+    flipY?: boolean;
+}
+
+const SVG_STYLES: Record<DebugDrawLayer, string> = {
+    'expanded': 'fill: #fff3c4; stroke: none;',
+    'triangle': 'fill: none; stroke: #bbb; stroke-width: 0.5;',
+    'boundary': 'fill: none; stroke: #2196f3; stroke-width: 2;',
+    'adjacency': 'fill: none; stroke: #9e9e9e; stroke-width: 0.5; stroke-dasharray: 2,2;',
+    'link': 'fill: none; stroke: #9c27b0; stroke-width: 1.5; stroke-dasharray: 6,3;',
+    'portal': 'fill: none; stroke: #ff9800; stroke-width: 1;',
+    'path': 'fill: none; stroke: #4caf50; stroke-width: 3; stroke-linecap: round; stroke-linejoin: round;',
+    'corner': 'fill: #2e7d32; stroke: none;',
+    'start': 'fill: #4caf50; stroke: #2e7d32; stroke-width: 2;',
+    'goal': 'fill: #ff9800; stroke: #f57c00; stroke-width: 2;',
+    'clamped-goal': 'fill: none; stroke: #f44336; stroke-width: 2; stroke-dasharray: 4,2;'
+};
+
+const MARKER_RADII: Partial<Record<DebugDrawLayer, number>> = { corner: 3, start: 5, goal: 5, 'clamped-goal': 7 };
+
+/**
+ * Draw commands for a navmesh and optionally a path query on it, in drawing order
+ */
+export function getDebugDrawCommands(mesh: NavMesh2d, options: DebugDrawOptions = {}): DebugDrawCommand[] {
+    const commands: DebugDrawCommand[] = [];
+    const triangles = mesh.getTriangles();
+    const ids = new Map(triangles.map((triangle, id) => [triangle, id]));
+    const tolerance = mesh.tolerance;
+    const same = (p: Point, q: Point) => Math.abs(p.x - q.x) < tolerance && Math.abs(p.y - q.y) < tolerance;
+
+    for (const triangle of options.expanded ?? []) {
+        commands.push({ type: 'polygon', layer: 'expanded', points: [...triangle.mainTriangle] });
+    }
+
+    if (options.triangles ?? true) {
+        for (const triangle of triangles) {
+            commands.push({ type: 'polygon', layer: 'triangle', points: [...triangle.mainTriangle] });
+        }
+    }
+
+    if (options.boundary ?? true) {
+        for (const triangle of triangles) {
+            const neighbors = mesh.getNeighbors(triangle);
+            const points = triangle.mainTriangle;
+            for (let k = 0; k < 3; k++) {
+                const a = points[k];
+                const b = points[(k + 1) % 3];
+                const shared = neighbors.some(n => n.mainTriangle.some(p => same(p, a)) && n.mainTriangle.some(p => same(p, b)));
+                if (!shared) commands.push({ type: 'polyline', layer: 'boundary', points: [a, b] });
+            }
+        }
+    }
+
+    if (options.adjacency) {
+        triangles.forEach((triangle, id) => {
+            for (const neighbor of mesh.getNeighbors(triangle)) {
+                if (ids.get(neighbor)! > id) {
+                    commands.push({ type: 'polyline', layer: 'adjacency', points: [triangle.centerPoint, neighbor.centerPoint] });
+                }
+            }
+        });
+        for (const linkId of mesh.getOffMeshLinkIds()) {
+            const link = mesh.getOffMeshLink(linkId)!;
+            commands.push({ type: 'polyline', layer: 'link', points: [link.from, link.to] });
+        }
+    }
+
+    if (options.path) {
+        commands.push(...getPathCommands(mesh, options.path));
+    }
+    return commands;
+}
+
+/**
+ * Portals, path, funnel corners and end markers of a path query
+ */
+function getPathCommands(mesh: NavMesh2d, result: PathResult): DebugDrawCommand[] {
+    const commands: DebugDrawCommand[] = [];
+    const points = result.points;
+
+    for (const portal of result.portals) {
+        commands.push({ type: 'polyline', layer: 'portal', points: [portal.left, portal.right] });
+    }
+
+    if (points.length > 0) {
+        commands.push({ type: 'polyline', layer: 'path', points: [...points] });
+
+        // Corners of the plain funnel, paths with an agent radius or smoothing only go around them
+        const found = result.status === PathStatus.COMPLETE || result.status === PathStatus.PARTIAL;
+        const corners = found && result.links.length === 0
+            ? mesh.findStraightPath(points[0], points[points.length - 1], result.trianglePath)
+            : points;
+        for (const corner of corners.slice(1, -1)) {
+            commands.push({ type: 'marker', layer: 'corner', position: corner });
+        }
+
+        commands.push({ type: 'marker', layer: 'start', position: points[0] });
+    }
+
+    commands.push({ type: 'marker', layer: 'goal', position: result.requestedEnd });
+    if (result.wasClamped && result.actualEnd) {
+        commands.push({ type: 'polyline', layer: 'clamped-goal', points: [result.requestedEnd, result.actualEnd] });
+        commands.push({ type: 'marker', layer: 'clamped-goal', position: result.actualEnd });
+    }
+    return commands;
+}
+
+/**
+ * Render draw commands to an SVG document, scaled to fit the image
+ */
+export function renderDebugSVG(commands: readonly DebugDrawCommand[], options: SVGRenderOptions = {}): string {
+    const { width = 800, height = 600, padding = 20, flipY = false } = options;
+
+    // Bounding box of everything drawn
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const command of commands) {
+        for (const p of command.type === 'marker' ? [command.position] : command.points) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+    }
+    if (minX > maxX) {
+        minX = minY = maxX = maxY = 0;
+    }
+
+    const spanX = maxX - minX;
+    const spanY = maxY - minY;
+    const scaleX = spanX > 0 ? (width - padding * 2) / spanX : Infinity;
+    const scaleY = spanY > 0 ? (height - padding * 2) / spanY : Infinity;
+    const scale = Math.min(scaleX, scaleY) === Infinity ? 1 : Math.min(scaleX, scaleY);
+
+    // Center the drawing in the image
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const format = (value: number) => String(Math.round(value * 100) / 100);
+    const toSVG = (p: Point) => {
+        const y = flipY ? maxY - p.y : p.y - minY;
+        return `${format((p.x - minX) * scale + offsetX)},${format(y * scale + offsetY)}`;
+    };
+
+    const lines = [
+        `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`,
+        '  <style>',
+        ...Object.entries(SVG_STYLES).map(([layer, style]) => `    .${layer} { ${style} }`),
+        '  </style>',
+        `  <rect width="${width}" height="${height}" fill="#fafafa"/>`
+    ];
+    for (const command of commands) {
+        if (command.type === 'marker') {
+            const [x, y] = toSVG(command.position).split(',');
+            lines.push(`  <circle cx="${x}" cy="${y}" r="${MARKER_RADII[command.layer] ?? 4}" class="${command.layer}"/>`);
+        } else {
+            const tag = command.type === 'polygon' ? 'polygon' : 'polyline';
+            lines.push(`  <${tag} points="${command.points.map(toSVG).join(' ')}" class="${command.layer}"/>`);
+        }
+    }
+    lines.push('</svg>');
+    return lines.join('\n');
+}
\ No newline at end of file
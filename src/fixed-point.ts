@@ -0,0 +1,74 @@
+import { Point } from 'poly-math-2d';
+
+/**
+ * Largest coordinate of a deterministic mesh in grid cells. Differences of two coordinates
+ * then fit in 26 bits and cross products of them in the 53 bits of a double, so
+ * orientation tests on grid points never round.
+ */
+export const MAX_GRID_COORDINATE = 2 ** 25;
+
+/**
+ * Grid sizes must be powers of two, so dividing by them and multiplying back is exact
+ */
+export function validateGridSize(gridSize: number): void {
+    let scaled = gridSize;
+    if (scaled >= 2 ** -30 && scaled <= 2 ** 30) {
+        while (scaled < 1) scaled *= 2;
+        while (scaled > 1) scaled /= 2;
+    }
+    if (scaled !== 1) {
+        throw new Error('Grid size must be a power of two between 2^-30 and 2^30');
+    }
+}
+
+/**
+ * Round a coordinate to the nearest multiple of the grid size
+ */
+export function snapToGrid(value: number, gridSize: number): number {
+    const cells = Math.round(value / gridSize);
+    if (!(Math.abs(cells) <= MAX_GRID_COORDINATE)) {
+        throw new Error(`Coordinate ${value} is outside the deterministic grid, at most 2^25 grid cells from the origin`);
+    }
+    return cells * gridSize + 0; // + 0 turns -0 into 0
+}
+
+/**
+ * Point snapped to the grid, the point itself if it already lies on it
+ */
+export function snapPoint(point: Point, gridSize: number): Point {
+    const x = snapToGrid(point.x, gridSize);
+    const y = snapToGrid(point.y, gridSize);
+    return x === point.x && y === point.y ? point : new Point(x, y);
+}
+
+export function isOnGrid(point: Point, gridSize: number): boolean {
+    return Math.round(point.x / gridSize) * gridSize === point.x && Math.round(point.y / gridSize) * gridSize === point.y;
+}
+
+/**
+ * Inside or on the boundary of the triangle. Exact for grid points.
+ */
+export function isPointInTriangleExact(p: Point, triangle: readonly Point[]): boolean {
+    const [a, b, c] = triangle;
+    const d1 = (p.x - b.x) * (a.y - b.y) - (a.x - b.x) * (p.y - b.y);
+    const d2 = (p.x - c.x) * (b.y - c.y) - (b.x - c.x) * (p.y - c.y);
+    const d3 = (p.x - a.x) * (c.y - a.y) - (c.x - a.x) * (p.y - a.y);
+    const negative = d1 < 0 || d2 < 0 || d3 < 0;
+    const positive = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(negative && positive);
+}
+
+/**
+ * Distance in whole grid cells, rounded up or down. The square root is corrected with
+ * integer arithmetic, so the result does not depend on how an engine rounds Math.sqrt.
+ */
+export function gridDistance(a: Point, b: Point, gridSize: number, roundUp: boolean): number {
+    const dx = (a.x - b.x) / gridSize;
+    const dy = (a.y - b.y) / gridSize;
+    const squared = dx * dx + dy * dy;
+
+    let root = Math.floor(Math.sqrt(squared));
+    while (root * root > squared) root--;
+    while ((root + 1) * (root + 1) <= squared) root++;
+    return roundUp && root * root < squared ? root + 1 : root;
+}
\ No newline at end of file
@@ -0,0 +1,606 @@
+import { Point, TPolygon } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions, PathResult, PathStatus } from './nav-mesh-2d';
+import { BinaryHeap } from './binary-heap';
+
+/**
+ * Options for HierarchicalPathfinder
+ */
+export interface HierarchicalPathfinderOptions {
+    /** Target number of triangles per region */
+    regionSize?: number;
+    /** How much more than the best possible cost a corridor path may cost, e.g. 0.1 for 10% */
+    tolerance?: number;
+    /** How many rings of neighbor regions may be added around the coarse corridor */
+    maxCorridorPadding?: number;
+}
+
+/**
+ * Connected group of triangles of one polygon
+ */
+interface Region {
+    triangles: TPolygon[];
+    /** Position of each triangle in the list */
+    index: Map<TPolygon, number>;
+    entrances: Set<number>;
+    /** Travel costs between entrances through this region */
+    costs: Map<number, Map<number, number>>;
+    /** Off-mesh links with both ends in this region */
+    shortcuts: Shortcut[];
+    /** Area types of the triangles, collected when first needed */
+    areas: Set<number> | null;
+}
+
+/**
+ * Off-mesh link inside a region, between positions in its triangle list
+ */
+interface Shortcut {
+    from: number;
+    to: number;
+    cost: number;
+}
+
+/**
+ * Crossing between two triangles of different regions, over their shared edge or an off-mesh link
+ */
+interface Entrance {
+    /** Cost from each triangle center to the crossing, together the flat step cost */
+    sideCosts: [number, number];
+    regions: [number, number];
+    triangles: [TPolygon, TPolygon];
+    /** Off-mesh link that only leads from the first triangle to the second */
+    oneWay: boolean;
+}
+
+/**
+ * Hierarchical pathfinding (HPA*) on top of NavMesh2d for very large maps.
+ *
+ * Triangles are clustered into regions, and regions are connected through entrances with
+ * precomputed in-region costs. A query first searches the small entrance graph, then runs
+ * the regular search restricted to the regions along the coarse route. Off-mesh links between
+ * regions are entrances too. Entrance costs match the flat search, so plain queries get the
+ * same path. With area costs, filters, agent radius or other cost models the corridor path
+ * is measured like the flat search measures it and kept if it costs at most `tolerance` more
+ * than the coarse route with every region at its cheapest area cost, which no path can beat.
+ * Otherwise the corridor is widened, and the flat search runs when that doesn't get within the bound.
+ * When the mesh changes, only regions that lost triangles and regions with links are rebuilt.
+ */
+export class HierarchicalPathfinder {
+    private regions = new Map<number, Region>();
+    private regionOf = new Map<TPolygon, number>();
+    private entrances = new Map<number, Entrance>();
+    private linkEntrances = new Set<number>();
+    /** Cheapest off-mesh link cost between two triangles, center to center */
+    private linkCosts = new Map<TPolygon, Map<TPolygon, number>>();
+    private linkCostRatio = 1; // Lowest cost per distance of the off-mesh links, at most 1
+    private nextRegionId = 0;
+    private nextEntranceId = 0;
+    private meshVersion = -1;
+
+    private regionSize: number;
+    private tolerance: number;
+    private maxCorridorPadding: number;
+
+    constructor(private mesh: NavMesh2d, options: HierarchicalPathfinderOptions = {}) {
+        this.regionSize = Math.max(1, options.regionSize ?? 64);
+        this.tolerance = Math.max(0, options.tolerance ?? 0.1);
+        this.maxCorridorPadding = Math.max(0, options.maxCorridorPadding ?? 3);
+        this.update();
+    }
+
+    public get regionCount(): number {
+        return this.regions.size;
+    }
+
+    public get entranceCount(): number {
+        return this.entrances.size;
+    }
+
+    /**
+     * Bring the hierarchy in sync with the mesh. Called automatically by findPath.
+     * Returns the number of regions that were rebuilt.
+     */
+    public update(): number {
+        if (this.meshVersion === this.mesh.version) return 0;
+
+        const triangles = this.mesh.getTriangles();
+        const present = new Set(triangles);
+        const dirty = new Set<number>();
+
+        // Links are few, they are attached again from scratch. Areas may have been painted.
+        this.removeLinks(dirty);
+        for (const region of this.regions.values()) region.areas = null;
+
+        // Regions that lost triangles were re-triangulated and must be rebuilt
+        for (const [id, region] of this.regions) {
+            if (region.triangles.some(t => !present.has(t))) {
+                this.removeRegion(id, dirty);
+            }
+        }
+
+        const created = this.clusterTriangles(triangles);
+        for (const id of created) {
+            this.createEntrances(id, dirty);
+        }
+        this.addLinks(dirty);
+        for (const id of dirty) {
+            if (this.regions.has(id)) this.updateEntranceEdges(id);
+        }
+
+        this.meshVersion = this.mesh.version;
+        return created.length;
+    }
+
+    /**
+     * Find path from A to B, same result format and options as NavMesh2d.findPathDetailed
+     */
+    public findPath(a: Point, b: Point, options: FindPathOptions = {}): PathResult {
+        this.update();
+
+        const startTriangle = this.mesh.findTriangle(a);
+        const endTriangle = this.mesh.findTriangle(b);
+        if (!startTriangle || !endTriangle) {
+            // Start outside or end clamping, handled by the regular search
+            return this.mesh.findPathDetailed(a, b, options);
+        }
+
+        const route = this.findRegionRoute(a, startTriangle, b, endTriangle);
+        if (!route) {
+            // Not connected at all, reported by the regular search
+            return this.mesh.findPathDetailed(a, b, options);
+        }
+
+        // Without custom costs the route already follows the best flat triangle path,
+        // otherwise the corridor is widened until its path is within the tolerance
+        const exact = !options.areaCosts && !options.excludeAreas && !options.includeAreas &&
+            !options.triangleFilter && !options.agentRadius && (options.costModel ?? 'centroid') === 'centroid' &&
+            (options.heuristicWeight ?? 1) === 1 && options.algorithm !== 'any-angle';
+        let corridor = route.regions;
+        let bound: number | null = null;
+        let best: number | null = null;
+
+        for (let padding = 0; padding <= this.maxCorridorPadding; padding++) {
+            if (padding > 0) {
+                const expanded = this.expandCorridor(corridor);
+                if (expanded.size === corridor.size) break;
+                corridor = expanded;
+            }
+
+            const regions = corridor;
+            const result = this.mesh.findPathDetailed(a, b, {
+                ...options,
+                triangleFilter: t => regions.has(this.regionOf.get(t)!) &&
+                    (!options.triangleFilter || options.triangleFilter(t))
+            });
+            if (result.status !== PathStatus.COMPLETE && result.status !== PathStatus.PARTIAL) continue;
+            if (exact) return result;
+            // A path cut short by the agent radius can't be compared, the flat search decides
+            if (result.status !== PathStatus.COMPLETE) break;
+
+            // Ends moved by the agent radius are the same in every corridor
+            const cost = this.getPathCost(result, options);
+            bound ??= this.getLowerBound(result, options);
+            if (cost <= bound * (1 + this.tolerance)) return result;
+
+            // A ring that barely helps won't be followed by one that does
+            if (best !== null && cost >= best * (1 - this.tolerance)) break;
+            best = cost;
+        }
+
+        return this.mesh.findPathDetailed(a, b, options);
+    }
+
+    /**
+     * Cost of a found path the way the flat search counts it, from center to center of its
+     * triangles with area costs. Ends are not weighted, like in the coarse route.
+     */
+    private getPathCost(result: PathResult, options: FindPathOptions): number {
+        const { points, trianglePath } = result;
+        const areaCost = (triangle: TPolygon) => options.areaCosts?.[this.mesh.getAreaAt(triangle.centerPoint)!] ?? 1;
+
+        let cost = Point.getDistanceQuick(points[0], trianglePath[0].centerPoint) +
+            Point.getDistanceQuick(trianglePath[trianglePath.length - 1].centerPoint, points[points.length - 1]);
+        for (let i = 1; i < trianglePath.length; i++) {
+            const from = trianglePath[i - 1];
+            const to = trianglePath[i];
+            const step = this.mesh.getNeighbors(from).includes(to) ?
+                Point.getDistanceQuick(from.centerPoint, to.centerPoint) * (areaCost(from) + areaCost(to)) / 2 : Infinity;
+            cost += Math.min(step, this.linkCosts.get(from)?.get(to) ?? Infinity);
+        }
+        return cost;
+    }
+
+    /**
+     * Cost no path between the ends of the result can go below
+     */
+    private getLowerBound(result: PathResult, options: FindPathOptions): number {
+        const { points, trianglePath } = result;
+        const route = this.findRegionRoute(points[0], trianglePath[0], points[points.length - 1],
+            trianglePath[trianglePath.length - 1], options.areaCosts ?? {});
+        return route ? route.cost : 0;
+    }
+
+    /**
+     * Lowest area cost in a region, at most 1 if it has links since those are not weighted
+     */
+    private getAreaScale(regionId: number, areaCosts: Record<number, number>): number {
+        const region = this.regions.get(regionId)!;
+        region.areas ??= new Set(region.triangles.map(t => this.mesh.getAreaAt(t.centerPoint)!));
+
+        let scale = region.shortcuts.length > 0 || [...region.entrances].some(id => this.linkEntrances.has(id)) ? 1 : Infinity;
+        for (const area of region.areas) scale = Math.min(scale, areaCosts[area] ?? 1);
+        return scale;
+    }
+
+    /**
+     * A* over entrances, returns regions along the best route and its cost. With area costs
+     * every region is priced at its cheapest area, so the cost is a lower bound of the flat search.
+     */
+    private findRegionRoute(a: Point, startTriangle: TPolygon, b: Point, endTriangle: TPolygon,
+        areaCosts: Record<number, number> | null = null): { regions: Set<number>, cost: number } | null {
+        const startRegion = this.regionOf.get(startTriangle)!;
+        const endRegion = this.regionOf.get(endTriangle)!;
+        const scale = (regionId: number) => areaCosts ? this.getAreaScale(regionId, areaCosts) : 1;
+        const heuristicScale = areaCosts ? Math.min(1, ...Object.values(areaCosts)) : 1;
+
+        // Virtual goal node, never used as an entrance id
+        const goal = -2;
+        const goalCosts = new Map<number, number>();
+        const end = this.regions.get(endRegion)!;
+        const endDistances = this.regionDistances(endTriangle, endRegion);
+        const endScale = scale(endRegion);
+        for (const id of end.entrances) {
+            if (!this.canCross(id, endRegion, false)) continue;
+            const inner = end.index.get(this.entranceTriangle(id, endRegion))!;
+            goalCosts.set(id, (this.getSideCost(id, endRegion) + endDistances[inner]) * endScale +
+                Point.getDistanceQuick(endTriangle.centerPoint, b));
+        }
+
+        // Heap works on dense slots, entrance ids keep growing as regions are rebuilt
+        const open = new BinaryHeap(this.entrances.size + 1);
+        const slots = new Map<number, number>();
+        const ids: number[] = [];
+        const gCost = new Map<number, number>();
+        const parent = new Map<number, number>();
+        const closed = new Set<number>();
+
+        const relax = (id: number, cost: number, from: number) => {
+            if (closed.has(id)) return;
+            const known = gCost.get(id);
+            if (known !== undefined && known <= cost) return;
+
+            gCost.set(id, cost);
+            parent.set(id, from);
+            const h = id === goal ? 0 : this.getHeuristic(id, b) * heuristicScale;
+
+            let slot = slots.get(id);
+            if (slot !== undefined) {
+                open.decreaseKey(slot, cost + h);
+            } else {
+                slot = ids.push(id) - 1;
+                slots.set(id, slot);
+                open.push(slot, cost + h);
+            }
+        };
+
+        const start = this.regions.get(startRegion)!;
+        const startDistances = this.regionDistances(startTriangle, startRegion);
+        const startScale = scale(startRegion);
+        for (const id of start.entrances) {
+            if (!this.canCross(id, startRegion, true)) continue;
+            const inner = start.index.get(this.entranceTriangle(id, startRegion))!;
+            relax(id, Point.getDistanceQuick(a, startTriangle.centerPoint) +
+                (startDistances[inner] + this.getSideCost(id, startRegion)) * startScale, -1);
+        }
+        if (startRegion === endRegion) {
+            // Staying inside competes with leaving the region and coming back
+            relax(goal, Point.getDistanceQuick(a, startTriangle.centerPoint) + startDistances[start.index.get(endTriangle)!] * startScale +
+                Point.getDistanceQuick(endTriangle.centerPoint, b), -1);
+        }
+
+        while (open.size > 0) {
+            const current = ids[open.pop()];
+            if (current === goal) {
+                const regions = new Set([startRegion, endRegion]);
+                for (let id = parent.get(goal)!; id !== -1; id = parent.get(id)!) {
+                    this.entrances.get(id)!.regions.forEach(r => regions.add(r));
+                }
+                return { regions, cost: gCost.get(goal)! };
+            }
+            closed.add(current);
+
+            const cost = gCost.get(current)!;
+            for (const regionId of this.entrances.get(current)!.regions) {
+                const costs = this.regions.get(regionId)!.costs.get(current);
+                if (!costs) continue;
+                const regionScale = scale(regionId);
+                costs.forEach((edgeCost, next) => relax(next, cost + edgeCost * regionScale, current));
+            }
+            const toGoal = goalCosts.get(current);
+            if (toGoal !== undefined) relax(goal, cost + toGoal, current);
+        }
+
+        return null;
+    }
+
+    /**
+     * Add one ring of adjacent regions around the corridor
+     */
+    private expandCorridor(corridor: Set<number>): Set<number> {
+        const expanded = new Set(corridor);
+        for (const id of corridor) {
+            for (const entranceId of this.regions.get(id)!.entrances) {
+                this.entrances.get(entranceId)!.regions.forEach(r => expanded.add(r));
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Group unassigned triangles into compact regions, always growing towards
+     * the frontier triangle closest to the seed
+     */
+    private clusterTriangles(triangles: readonly TPolygon[]): number[] {
+        const created: number[] = [];
+
+        for (const seed of triangles) {
+            if (this.regionOf.has(seed)) continue;
+
+            const id = this.nextRegionId++;
+            const region: Region = { triangles: [], index: new Map(), entrances: new Set(), costs: new Map(), shortcuts: [], areas: null };
+            const frontier = [seed];
+            const queued = new Set([seed]);
+
+            while (frontier.length > 0 && region.triangles.length < this.regionSize) {
+                let nearest = 0;
+                for (let i = 1; i < frontier.length; i++) {
+                    if (Point.getDistanceSquared(frontier[i].centerPoint, seed.centerPoint) <
+                        Point.getDistanceSquared(frontier[nearest].centerPoint, seed.centerPoint)) {
+                        nearest = i;
+                    }
+                }
+
+                const triangle = frontier[nearest];
+                frontier[nearest] = frontier[frontier.length - 1];
+                frontier.pop();
+
+                region.index.set(triangle, region.triangles.length);
+                region.triangles.push(triangle);
+                this.regionOf.set(triangle, id);
+                for (const neighbor of this.mesh.getNeighbors(triangle)) {
+                    if (!this.regionOf.has(neighbor) && !queued.has(neighbor)) {
+                        queued.add(neighbor);
+                        frontier.push(neighbor);
+                    }
+                }
+            }
+
+            this.regions.set(id, region);
+            created.push(id);
+        }
+
+        return created;
+    }
+
+    private removeRegion(id: number, dirty: Set<number>): void {
+        const region = this.regions.get(id)!;
+
+        for (const entranceId of region.entrances) {
+            const entrance = this.entrances.get(entranceId)!;
+            for (const other of entrance.regions) {
+                if (other === id) continue;
+                this.regions.get(other)?.entrances.delete(entranceId);
+                dirty.add(other);
+            }
+            this.entrances.delete(entranceId);
+        }
+
+        for (const triangle of region.triangles) {
+            if (this.regionOf.get(triangle) === id) this.regionOf.delete(triangle);
+        }
+        this.regions.delete(id);
+    }
+
+    /**
+     * Create an entrance for every edge shared with an adjacent region
+     */
+    private createEntrances(id: number, dirty: Set<number>): void {
+        const region = this.regions.get(id)!;
+
+        // Regions processed earlier already created the entrances towards this one
+        const connected = new Set<number>();
+        for (const entranceId of region.entrances) {
+            this.entrances.get(entranceId)!.regions.forEach(r => connected.add(r));
+        }
+
+        for (const triangle of region.triangles) {
+            for (const neighbor of this.mesh.getNeighbors(triangle)) {
+                const other = this.regionOf.get(neighbor);
+                if (other === undefined || other === id || connected.has(other)) continue;
+
+                const halfCost = Point.getDistanceQuick(triangle.centerPoint, neighbor.centerPoint) / 2;
+                this.addEntrance({ sideCosts: [halfCost, halfCost], regions: [id, other], triangles: [triangle, neighbor], oneWay: false }, dirty);
+            }
+        }
+    }
+
+    private addEntrance(entrance: Entrance, dirty: Set<number>): number {
+        const id = this.nextEntranceId++;
+        this.entrances.set(id, entrance);
+        for (const regionId of entrance.regions) {
+            this.regions.get(regionId)!.entrances.add(id);
+            dirty.add(regionId);
+        }
+        return id;
+    }
+
+    /**
+     * Attach every off-mesh link whose ends are on the mesh, as an entrance between two regions
+     * or as a shortcut inside one
+     */
+    private addLinks(dirty: Set<number>): void {
+        for (const linkId of this.mesh.getOffMeshLinkIds()) {
+            const link = this.mesh.getOffMeshLink(linkId)!;
+            const distance = Point.getDistanceQuick(link.from, link.to);
+            if (distance > 0) this.linkCostRatio = Math.min(this.linkCostRatio, link.cost / distance);
+
+            const fromTriangle = this.mesh.findTriangle(link.from);
+            const toTriangle = this.mesh.findTriangle(link.to);
+            if (!fromTriangle || !toTriangle || fromTriangle === toTriangle) continue;
+
+            // Same cost as the flat search: walk to the link start, traverse it, walk to the target center
+            const fromCost = Point.getDistanceQuick(fromTriangle.centerPoint, link.from) + link.cost;
+            const toCost = Point.getDistanceQuick(link.to, toTriangle.centerPoint);
+            this.addLinkCost(fromTriangle, toTriangle, fromCost + toCost);
+            if (link.bidirectional) this.addLinkCost(toTriangle, fromTriangle, fromCost + toCost);
+
+            const fromRegion = this.regionOf.get(fromTriangle)!;
+            const toRegion = this.regionOf.get(toTriangle)!;
+            if (fromRegion !== toRegion) {
+                const entrance: Entrance = {
+                    sideCosts: [fromCost, toCost],
+                    regions: [fromRegion, toRegion],
+                    triangles: [fromTriangle, toTriangle],
+                    oneWay: !link.bidirectional
+                };
+                this.linkEntrances.add(this.addEntrance(entrance, dirty));
+                continue;
+            }
+
+            const region = this.regions.get(fromRegion)!;
+            const from = region.index.get(fromTriangle)!;
+            const to = region.index.get(toTriangle)!;
+            region.shortcuts.push({ from, to, cost: fromCost + toCost });
+            if (link.bidirectional) region.shortcuts.push({ from: to, to: from, cost: fromCost + toCost });
+            dirty.add(fromRegion);
+        }
+    }
+
+    private addLinkCost(from: TPolygon, to: TPolygon, cost: number): void {
+        let costs = this.linkCosts.get(from);
+        if (!costs) {
+            costs = new Map();
+            this.linkCosts.set(from, costs);
+        }
+        costs.set(to, Math.min(costs.get(to) ?? Infinity, cost));
+    }
+
+    private removeLinks(dirty: Set<number>): void {
+        for (const entranceId of this.linkEntrances) {
+            for (const regionId of this.entrances.get(entranceId)!.regions) {
+                this.regions.get(regionId)!.entrances.delete(entranceId);
+                dirty.add(regionId);
+            }
+            this.entrances.delete(entranceId);
+        }
+        for (const [id, region] of this.regions) {
+            if (region.shortcuts.length === 0) continue;
+            region.shortcuts = [];
+            dirty.add(id);
+        }
+        this.linkEntrances.clear();
+        this.linkCosts.clear();
+        this.linkCostRatio = 1;
+    }
+
+    /**
+     * Recompute costs between all entrances of a region
+     */
+    private updateEntranceEdges(id: number): void {
+        const region = this.regions.get(id)!;
+        const distances = new Map<TPolygon, Float64Array>();
+        region.costs.clear();
+
+        for (const from of region.entrances) {
+            if (!this.canCross(from, id, false)) continue;
+            const fromTriangle = this.entranceTriangle(from, id);
+            if (!distances.has(fromTriangle)) {
+                distances.set(fromTriangle, this.regionDistances(fromTriangle, id));
+            }
+
+            const costs = new Map<number, number>();
+            for (const to of region.entrances) {
+                if (to === from || !this.canCross(to, id, true)) continue;
+
+                const inner = distances.get(fromTriangle)![region.index.get(this.entranceTriangle(to, id))!];
+                if (inner === Infinity) continue;
+
+                costs.set(to, this.getSideCost(from, id) + inner + this.getSideCost(to, id));
+            }
+            region.costs.set(from, costs);
+        }
+    }
+
+    /**
+     * Straight distance from the closer side of the entrance, scaled down for links
+     * cheaper than their length, never overestimates
+     */
+    private getHeuristic(entranceId: number, b: Point): number {
+        const [t1, t2] = this.entrances.get(entranceId)!.triangles;
+        return this.linkCostRatio *
+            Math.sqrt(Math.min(Point.getDistanceSquared(t1.centerPoint, b), Point.getDistanceSquared(t2.centerPoint, b)));
+    }
+
+    /**
+     * True if a path may cross the entrance out of the region (leaving) or into it
+     */
+    private canCross(entranceId: number, regionId: number, leaving: boolean): boolean {
+        const entrance = this.entrances.get(entranceId)!;
+        return !entrance.oneWay || entrance.regions[leaving ? 0 : 1] === regionId;
+    }
+
+    /**
+     * Cost between the crossing and the center of the entrance triangle in the given region
+     */
+    private getSideCost(entranceId: number, regionId: number): number {
+        const entrance = this.entrances.get(entranceId)!;
+        return entrance.regions[0] === regionId ? entrance.sideCosts[0] : entrance.sideCosts[1];
+    }
+
+    /**
+     * Triangle of the entrance that lies in the given region
+     */
+    private entranceTriangle(entranceId: number, regionId: number): TPolygon {
+        const entrance = this.entrances.get(entranceId)!;
+        return entrance.regions[0] === regionId ? entrance.triangles[0] : entrance.triangles[1];
+    }
+
+    /**
+     * Dijkstra over triangle centers and links inside one region, indexed like region.triangles
+     */
+    private regionDistances(source: TPolygon, regionId: number): Float64Array {
+        const { triangles, index, shortcuts } = this.regions.get(regionId)!;
+        const open = new BinaryHeap(triangles.length);
+        const cost = new Float64Array(triangles.length).fill(Infinity);
+
+        const sourceIndex = index.get(source)!;
+        cost[sourceIndex] = 0;
+        open.push(sourceIndex, 0);
+
+        const relax = (neighborIndex: number, next: number) => {
+            if (next >= cost[neighborIndex]) return;
+
+            cost[neighborIndex] = next;
+            if (open.contains(neighborIndex)) {
+                open.decreaseKey(neighborIndex, next);
+            } else {
+                open.push(neighborIndex, next);
+            }
+        };
+
+        while (open.size > 0) {
+            const current = open.pop();
+            const triangle = triangles[current];
+
+            for (const neighbor of this.mesh.getNeighbors(triangle)) {
+                const neighborIndex = index.get(neighbor);
+                if (neighborIndex === undefined) continue;
+                relax(neighborIndex, cost[current] + Point.getDistanceQuick(triangle.centerPoint, neighbor.centerPoint));
+            }
+            for (const shortcut of shortcuts) {
+                if (shortcut.from === current) relax(shortcut.to, cost[current] + shortcut.cost);
+            }
+        }
+
+        return cost;
+    }
+}
\ No newline at end of file
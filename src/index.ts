@@ -1,4 +1,48 @@
-export { NavMesh2d } from './nav-mesh-2d';
+export { NavMesh2d, DEFAULT_AREA, DEFAULT_TOLERANCE, PathStatus } from './nav-mesh-2d';
+export type {
+    DistanceField,
+    DistanceFieldOptions,
+    FindPathOptions,
+    ObstacleId,
+    OffMeshLink,
+    OffMeshLinkId,
+    OffMeshLinkOptions,
+    OffMeshLinkTraversal,
+    LinkedPath,
+    MultiGoalPathResult,
+    NavMeshOptions,
+    PathQuery,
+    PathResult,
+    Portal,
+    RaycastResult,
+    SearchAlgorithm,
+    SearchCostModel,
+    SurfaceMove
+} from './nav-mesh-2d';
+export { NavMeshFormatError, NAVMESH_FORMAT_VERSION } from './serialization';
+export type { NavMeshData } from './serialization';
+export { NavMeshValidationError } from './mesh-diagnostics';
+export type { MeshDiagnosticsOptions, MeshProblem, MeshProblemType } from './mesh-diagnostics';
+export { NavMeshBuilder } from './nav-mesh-builder';
+export type { NavMeshBuilderOptions, SVGOptions, TiledLayer, TiledObject, TiledOptions, TileGridOptions } from './nav-mesh-builder';
+export { getDebugDrawCommands, renderDebugSVG } from './debug-draw';
+export type { DebugDrawCommand, DebugDrawLayer, DebugDrawOptions, SVGRenderOptions } from './debug-draw';
+export { HierarchicalPathfinder } from './hierarchical-pathfinder';
+export type { HierarchicalPathfinderOptions } from './hierarchical-pathfinder';
+export { PathCorridor } from './path-corridor';
+export type { PathCorridorOptions } from './path-corridor';
+export { PathQueryQueue, PathQueryCancelledError } from './path-query-queue';
+export type { PathRequestOptions } from './path-query-queue';
+export { NavMeshWorkerPool } from './nav-mesh-worker-pool';
+export type { NavMeshWorkerPoolOptions } from './nav-mesh-worker-pool';
+export { Crowd, AgentState } from './crowd';
+export type { AgentId, CrowdAgent, CrowdAgentOptions, CrowdOptions } from './crowd';
+export { PathTraceRecorder } from './path-trace';
+export type { PathTrace, PathTraceListener, PathTracePhase, TraceApex, TraceNode } from './path-trace';
+export { resamplePath } from './path-smoothing';
+export type { PathSmoothingOptions, PathSmoothingType } from './path-smoothing';
+export { createSeededRandom } from './random';
+export type { RandomSource } from './random';
 
 // Re-export types from poly-math-2d for convenience
-export type { Point, PolygonMap, TPolygon, Polygon } from 'poly-math-2d'; 
\ No newline at end of file
+export type { Point, PolygonMap, TPolygon, Polygon } from 'poly-math-2d';
\ No newline at end of file
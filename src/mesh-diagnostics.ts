@@ -0,0 +1,370 @@
+import { Point, TPolygon } from 'poly-math-2d';
+
+/**
+ * Kinds of problems NavMesh2d.getDiagnostics reports
+ */
+export type MeshProblemType =
+    | 'degenerate-triangle'
+    | 'sliver-triangle'
+    | 'unmatched-connection'
+    | 'asymmetric-adjacency'
+    | 'near-duplicate-vertex'
+    | 't-junction'
+    | 'isolated-triangle';
+
+/**
+ * Problem found in a navmesh
+ */
+export interface MeshProblem {
+    type: MeshProblemType;
+    /** Errors break point location or adjacency, warnings point at input that may not be intended */
+    severity: 'error' | 'warning';
+    message: string;
+    /** Triangles involved, as indices into NavMesh2d.getTriangles() */
+    triangles: number[];
+    /** Vertices or points the problem is located at */
+    points: Point[];
+}
+
+/**
+ * Options for NavMesh2d.getDiagnostics and NavMesh2d.validate
+ */
+export interface MeshDiagnosticsOptions {
+    /** Triangles lower than this fraction of their longest edge are slivers, 0.01 by default */
+    sliverRatio?: number;
+    /**
+     * Vertices closer than this to another vertex or to an edge are reported,
+     * unless they match within the mesh tolerance. 1000 times the tolerance by default.
+     */
+    nearDistance?: number;
+}
+
+/**
+ * Thrown by NavMesh2d.validate for meshes with errors
+ */
+export class NavMeshValidationError extends Error {
+    constructor(public readonly problems: MeshProblem[]) {
+        super(`Navmesh has ${problems.length} error${problems.length === 1 ? '' : 's'}: ${problems[0].message}`);
+        this.name = 'NavMeshValidationError';
+    }
+}
+
+/**
+ * Triangles of a navmesh and what the checks need to know about them
+ */
+export interface MeshTopology {
+    triangles: readonly TPolygon[];
+    triangleIds: ReadonlyMap<TPolygon, number>;
+    /** Source polygon index of each triangle */
+    polygonIndices: readonly number[];
+    /** Triangles with an end of an off-mesh link */
+    linked: ReadonlySet<number>;
+    tolerance: number;
+}
+
+/**
+ * Distinct vertex position with the triangles using it
+ */
+interface Vertex {
+    point: Point;
+    triangles: number[];
+}
+
+/**
+ * Run every check on the mesh, problems are grouped by type
+ */
+export function diagnoseMesh(mesh: MeshTopology, options: MeshDiagnosticsOptions = {}): MeshProblem[] {
+    const sliverRatio = options.sliverRatio ?? 0.01;
+    const nearDistance = options.nearDistance ?? mesh.tolerance * 1000;
+    if (!(sliverRatio >= 0)) {
+        throw new Error('Sliver ratio must be a non-negative number');
+    }
+    if (!(nearDistance >= 0)) {
+        throw new Error('Near distance must be a non-negative number');
+    }
+
+    const vertices = collectVertices(mesh.triangles);
+    return [
+        ...checkShapes(mesh, sliverRatio),
+        ...checkConnections(mesh),
+        ...checkNearVertices(mesh, vertices, nearDistance),
+        ...checkTJunctions(mesh, vertices, nearDistance)
+    ];
+}
+
+/**
+ * Degenerate and sliver triangles
+ */
+function checkShapes(mesh: MeshTopology, sliverRatio: number): MeshProblem[] {
+    const problems: MeshProblem[] = [];
+    mesh.triangles.forEach((triangle, id) => {
+        const [a, b, c] = triangle.mainTriangle;
+        const longest = Math.sqrt(Math.max(Point.getDistanceSquared(a, b), Point.getDistanceSquared(b, c), Point.getDistanceSquared(c, a)));
+        const height = longest === 0 ? 0 : Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / longest;
+
+        if (height <= mesh.tolerance) {
+            problems.push({
+                type: 'degenerate-triangle',
+                severity: 'error',
+                message: `Triangle ${id} has no area`,
+                triangles: [id],
+                points: [a, b, c]
+            });
+        } else if (height < longest * sliverRatio) {
+            problems.push({
+                type: 'sliver-triangle',
+                severity: 'warning',
+                message: `Triangle ${id} is a sliver, ${height} high with an edge of ${longest}`,
+                triangles: [id],
+                points: [a, b, c]
+            });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Connections without a shared edge, one-way connections and triangles without any
+ */
+function checkConnections(mesh: MeshTopology): MeshProblem[] {
+    const unmatched: MeshProblem[] = [];
+    const asymmetric: MeshProblem[] = [];
+    const isolated: MeshProblem[] = [];
+
+    mesh.triangles.forEach((triangle, id) => {
+        let connected = false;
+        for (const { neighbor } of triangle.connections) {
+            const neighborId = mesh.triangleIds.get(neighbor);
+            if (neighborId === undefined) {
+                unmatched.push({
+                    type: 'unmatched-connection',
+                    severity: 'error',
+                    message: `Triangle ${id} is connected to a triangle that is not part of the navmesh`,
+                    triangles: [id],
+                    points: [...triangle.mainTriangle]
+                });
+                continue;
+            }
+
+            const shared = sharedPoints(triangle, neighbor, mesh.tolerance);
+            const mutual = neighbor.connections.some(c => c.neighbor === triangle);
+            if (shared.length !== 2) {
+                if (mutual && neighborId < id) continue; // Reported from the other side
+                unmatched.push({
+                    type: 'unmatched-connection',
+                    severity: 'error',
+                    message: `Triangles ${id} and ${neighborId} are connected but share ${shared.length === 0 ? 'no' : 'only one'} vertex`,
+                    triangles: [id, neighborId],
+                    points: shared
+                });
+                continue;
+            }
+
+            connected = true;
+            if (!mutual) {
+                asymmetric.push({
+                    type: 'asymmetric-adjacency',
+                    severity: 'error',
+                    message: `Triangle ${id} is connected to triangle ${neighborId}, but not the other way round`,
+                    triangles: [id, neighborId],
+                    points: shared
+                });
+            }
+        }
+
+        if (!connected && !mesh.linked.has(id)) {
+            isolated.push({
+                type: 'isolated-triangle',
+                severity: 'warning',
+                message: `Triangle ${id} has no neighbors and no off-mesh links`,
+                triangles: [id],
+                points: [...triangle.mainTriangle]
+            });
+        }
+    });
+    return [...unmatched, ...asymmetric, ...isolated];
+}
+
+/**
+ * Distinct vertices closer than nearDistance that don't match within the tolerance
+ */
+function checkNearVertices(mesh: MeshTopology, vertices: Vertex[], nearDistance: number): MeshProblem[] {
+    const problems: MeshProblem[] = [];
+    const grid = new VertexGrid(vertices, Math.max(nearDistance, mesh.tolerance));
+    const nearSq = nearDistance * nearDistance;
+
+    vertices.forEach((vertex, i) => {
+        const p = vertex.point;
+        for (const j of grid.query(p.x - nearDistance, p.y - nearDistance, p.x + nearDistance, p.y + nearDistance)) {
+            if (j <= i) continue;
+
+            const q = vertices[j].point;
+            if (Point.getDistanceSquared(p, q) > nearSq || pointsMatch(p, q, mesh.tolerance)) continue;
+            problems.push({
+                type: 'near-duplicate-vertex',
+                severity: 'warning',
+                message: `Vertices (${p.x}, ${p.y}) and (${q.x}, ${q.y}) almost coincide`,
+                triangles: [...new Set([...vertex.triangles, ...vertices[j].triangles])].sort((a, b) => a - b),
+                points: [p, q]
+            });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Vertices lying inside an edge of another triangle of the same polygon.
+ * The triangles on both sides of such an edge can't be neighbors.
+ */
+function checkTJunctions(mesh: MeshTopology, vertices: Vertex[], nearDistance: number): MeshProblem[] {
+    const problems: MeshProblem[] = [];
+    const distance = Math.max(nearDistance, mesh.tolerance);
+    const grid = new VertexGrid(vertices, averageEdgeLength(mesh.triangles));
+    const seen = new Set<string>();
+
+    mesh.triangles.forEach((triangle, id) => {
+        const polygon = mesh.polygonIndices[id];
+        for (let k = 0; k < 3; k++) {
+            const a = triangle.mainTriangle[k];
+            const b = triangle.mainTriangle[(k + 1) % 3];
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const lengthSq = ex * ex + ey * ey;
+            if (lengthSq === 0) continue;
+            const length = Math.sqrt(lengthSq);
+            const margin = distance / length;
+
+            for (const v of grid.querySegment(a, b, distance)) {
+                const vertex = vertices[v];
+                const p = vertex.point;
+
+                // Strictly inside the edge, vertices near its ends are near duplicates instead
+                const along = ((p.x - a.x) * ex + (p.y - a.y) * ey) / lengthSq;
+                const off = Math.abs((p.x - a.x) * ey - (p.y - a.y) * ex) / length;
+                if (off > distance || along <= margin || along >= 1 - margin) continue;
+
+                const others = vertex.triangles.filter(t => t !== id && mesh.polygonIndices[t] === polygon);
+                if (others.length === 0) continue;
+
+                // Edges shared by two triangles are checked once
+                const key = `${pointKey(a) < pointKey(b) ? pointKey(a) + pointKey(b) : pointKey(b) + pointKey(a)}|${v}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                problems.push({
+                    type: 't-junction',
+                    severity: 'error',
+                    message: `Vertex (${p.x}, ${p.y}) of triangle ${others[0]} lies inside an edge of triangle ${id}`,
+                    triangles: [id, ...others],
+                    points: [p, a, b]
+                });
+            }
+        }
+    });
+    return problems;
+}
+
+function collectVertices(triangles: readonly TPolygon[]): Vertex[] {
+    const byKey = new Map<string, Vertex>();
+    triangles.forEach((triangle, id) => {
+        for (const p of triangle.mainTriangle) {
+            const key = pointKey(p);
+            let vertex = byKey.get(key);
+            if (!vertex) {
+                vertex = { point: p, triangles: [] };
+                byKey.set(key, vertex);
+            }
+            if (!vertex.triangles.includes(id)) vertex.triangles.push(id);
+        }
+    });
+    return [...byKey.values()];
+}
+
+function sharedPoints(a: TPolygon, b: TPolygon, tolerance: number): Point[] {
+    return a.mainTriangle.filter(p => b.mainTriangle.some(q => pointsMatch(p, q, tolerance)));
+}
+
+function pointsMatch(a: Point, b: Point, tolerance: number): boolean {
+    return Math.abs(a.x - b.x) < tolerance && Math.abs(a.y - b.y) < tolerance;
+}
+
+function pointKey(p: Point): string {
+    return `${p.x},${p.y};`;
+}
+
+function averageEdgeLength(triangles: readonly TPolygon[]): number {
+    let total = 0;
+    for (const { mainTriangle: [a, b, c] } of triangles) {
+        total += Math.sqrt(Point.getDistanceSquared(a, b)) + Math.sqrt(Point.getDistanceSquared(b, c)) + Math.sqrt(Point.getDistanceSquared(c, a));
+    }
+    return triangles.length === 0 ? 1 : total / (triangles.length * 3);
+}
+
+/**
+ * Uniform grid of vertex indices for neighborhood queries
+ */
+class VertexGrid {
+    private cells = new Map<string, number[]>();
+    private cellSize: number;
+
+    constructor(vertices: Vertex[], cellSize: number) {
+        this.cellSize = cellSize > 0 ? cellSize : 1;
+        vertices.forEach((vertex, i) => {
+            const key = `${this.cell(vertex.point.x)},${this.cell(vertex.point.y)}`;
+            const cell = this.cells.get(key);
+            if (cell) cell.push(i);
+            else this.cells.set(key, [i]);
+        });
+    }
+
+    public query(minX: number, minY: number, maxX: number, maxY: number): number[] {
+        const result: number[] = [];
+        const x1 = this.cell(maxX);
+        const y1 = this.cell(maxY);
+        for (let x = this.cell(minX); x <= x1; x++) {
+            for (let y = this.cell(minY); y <= y1; y++) {
+                const cell = this.cells.get(`${x},${y}`);
+                if (cell) result.push(...cell);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Vertices in the cells within `distance` of the segment. Long diagonal segments
+     * are walked cell by cell instead of scanning their whole bounding box.
+     */
+    public querySegment(a: Point, b: Point, distance: number): number[] {
+        const minX = Math.min(a.x, b.x) - distance;
+        const minY = Math.min(a.y, b.y) - distance;
+        const maxX = Math.max(a.x, b.x) + distance;
+        const maxY = Math.max(a.y, b.y) + distance;
+        const steps = Math.ceil(Math.sqrt(Point.getDistanceSquared(a, b)) / this.cellSize);
+        const reach = Math.ceil(distance / this.cellSize + 0.5); // Cells around each step, steps are at most a cell apart
+        const boxCells = (this.cell(maxX) - this.cell(minX) + 1) * (this.cell(maxY) - this.cell(minY) + 1);
+        if (boxCells <= (steps + 1) * (2 * reach + 1) ** 2) {
+            return this.query(minX, minY, maxX, maxY);
+        }
+
+        const result: number[] = [];
+        const visited = new Set<string>();
+        for (let i = 0; i <= steps; i++) {
+            const cx = this.cell(a.x + (b.x - a.x) * i / steps);
+            const cy = this.cell(a.y + (b.y - a.y) * i / steps);
+            for (let x = cx - reach; x <= cx + reach; x++) {
+                for (let y = cy - reach; y <= cy + reach; y++) {
+                    const key = `${x},${y}`;
+                    if (visited.has(key)) continue;
+                    visited.add(key);
+                    const cell = this.cells.get(key);
+                    if (cell) result.push(...cell);
+                }
+            }
+        }
+        return result;
+    }
+
+    private cell(value: number): number {
+        return Math.floor(value / this.cellSize);
+    }
+}
\ No newline at end of file
@@ -1,15 +1,383 @@
 import { Point, PolygonMap, TPolygon, Polygon } from 'poly-math-2d';
 import { pointInTriangle } from 'poly-math-2d/dist/poly2d.js';
+import { difference, intersection, MultiPolygon, Pair, Ring } from 'polygon-clipping';
+import { TriangleGrid } from './triangle-grid';
+import { RandomSource } from './random';
+import { DEFAULT_TOLERANCE } from './tolerance';
+import { SearchState } from './search-state';
+import { PathSmoothingOptions, arcPoints, circleTangent, cross, smoothPath, validateSmoothingOptions } from './path-smoothing';
+import {
+    NavMeshData,
+    NAVMESH_FORMAT,
+    NAVMESH_FORMAT_VERSION,
+    validateNavMeshData,
+    encodeNavMeshData,
+    decodeNavMeshData,
+    splitNeighbors
+} from './serialization';
+import { MeshDiagnosticsOptions, MeshProblem, NavMeshValidationError, diagnoseMesh } from './mesh-diagnostics';
+import { PathTrace, PathTraceListener, PathTraceRecorder } from './path-trace';
+import { findAnyAngleCorridor } from './any-angle-search';
+import { gridDistance, isOnGrid, isPointInTriangleExact, snapPoint, snapToGrid, validateGridSize } from './fixed-point';
 
 /**
- * Priority queue node for A* pathfinding
+ * Area type of triangles that were not tagged
  */
-interface PathNode {
-    triangle: TPolygon;
-    gCost: number;      // Distance from start
-    hCost: number;      // Heuristic distance to goal
-    fCost: number;      // Total cost (g + h)
-    parent: PathNode | null;
+export const DEFAULT_AREA = 0;
+
+export { DEFAULT_TOLERANCE };
+
+/**
+ * Options for the NavMesh2d constructor
+ */
+export interface NavMeshOptions {
+    /**
+     * Distance within which points are equal and lie on an edge, 1e-9 by default.
+     * Raise it for large coordinates or input that was rounded.
+     */
+    tolerance?: number;
+    /**
+     * Deterministic mode for lockstep simulations: vertices, off-mesh links and path ends are
+     * snapped to multiples of this size, and orientation, point location, A* costs and the
+     * funnel use exact arithmetic on them, so the same input gives bit-identical paths on
+     * every client. A power of two, e.g. 1 or 1 / 256; coordinates must stay within 2^25 grid
+     * cells of the origin. Path smoothing and agentRadius are not available in this mode.
+     */
+    gridSize?: number;
+}
+
+/**
+ * Options for NavMesh2d.findPath
+ */
+export interface FindPathOptions {
+    /** If B is outside the navmesh, stop where segment AB leaves the start polygon */
+    closestToStart?: boolean;
+    /**
+     * Radius of the agent. Portals narrower than twice the radius are skipped and the path keeps
+     * this distance from the walls: corners are rounded, ends closer to a wall are moved away from
+     * it, and straight runs bend around the wall corners they pass too closely. Where that fails
+     * the path stops early with PARTIAL, or the query is UNREACHABLE if an end has no room.
+     */
+    agentRadius?: number;
+    /** Traversal cost multiplier per area type, 1 for areas not listed */
+    areaCosts?: Record<number, number>;
+    /** Area types the path may never enter */
+    excludeAreas?: number[];
+    /** If set, only these area types may be entered */
+    includeAreas?: number[];
+    /** Custom filter, triangles it rejects are never entered */
+    triangleFilter?: (triangle: TPolygon) => boolean;
+    /** Turn the path corners into curves that stay inside the navmesh */
+    smoothing?: PathSmoothingOptions;
+    /**
+     * Record what findPath, findPathWithLinks and findPathDetailed do: true stores a PathTrace
+     * in the result of findPathDetailed, a listener receives the events as they happen
+     */
+    trace?: boolean | PathTraceListener;
+    /** Search over the triangles, 'astar' by default */
+    algorithm?: SearchAlgorithm;
+    /** Where the search measures the cost of a step, 'centroid' by default */
+    costModel?: SearchCostModel;
+    /** Heuristic multiplier of at least 1, above 1 finds a path faster that can be up to this factor longer */
+    heuristicWeight?: number;
+}
+
+/**
+ * Search over the triangles of a path query:
+ * - 'astar': A* from the start to the end triangle
+ * - 'dijkstra': A* without heuristic, expands every triangle cheaper than the end
+ * - 'bidirectional': A* from both ends that stops where the two searches meet, on centroid costs only
+ * - 'any-angle': Polyanya, searches intervals of triangle edges for the shortest path itself
+ *   instead of a triangle corridor. Ignores off-mesh links; area costs, heuristic weights
+ *   and edge-midpoint costs are rejected.
+ */
+export type SearchAlgorithm = 'astar' | 'dijkstra' | 'bidirectional' | 'any-angle';
+
+/**
+ * Cost of moving between triangles during the search:
+ * - 'centroid': distance between the triangle centers
+ * - 'edge-midpoint': distance between the midpoints of the crossed edges, from the start
+ *   point to the end point, which follows the actual path more closely in large triangles
+ */
+export type SearchCostModel = 'centroid' | 'edge-midpoint';
+
+/**
+ * Shape painted over the navmesh to tag triangles with an area type
+ */
+interface AreaPaint {
+    shape: Point[];
+    area: number;
+}
+
+/**
+ * Handle of an obstacle added at runtime
+ */
+export type ObstacleId = number;
+
+/**
+ * Handle of an off-mesh link
+ */
+export type OffMeshLinkId = number;
+
+/**
+ * Options for NavMesh2d.addOffMeshLink
+ */
+export interface OffMeshLinkOptions {
+    /** Link can be traversed from `to` back to `from` as well */
+    bidirectional?: boolean;
+    /** Traversal cost of the link, distance between its ends by default */
+    cost?: number;
+}
+
+/**
+ * Off-mesh link as added with NavMesh2d.addOffMeshLink
+ */
+export interface OffMeshLink {
+    from: Point;
+    to: Point;
+    bidirectional: boolean;
+    cost: number;
+}
+
+/**
+ * Off-mesh link traversal in a path: the agent leaves the mesh at
+ * points[index] and arrives at points[index + 1]
+ */
+export interface OffMeshLinkTraversal {
+    linkId: OffMeshLinkId;
+    index: number;
+}
+
+/**
+ * Path points together with off-mesh link traversals
+ */
+export interface LinkedPath {
+    points: Point[];
+    links: OffMeshLinkTraversal[];
+}
+
+/**
+ * Outcome of a path query
+ */
+export enum PathStatus {
+    /** Path reaches the requested end point */
+    COMPLETE = 'COMPLETE',
+    /** End point was outside the navmesh, path reaches the clamped end point */
+    PARTIAL = 'PARTIAL',
+    /** Start point is not in the navmesh */
+    START_OUTSIDE = 'START_OUTSIDE',
+    /** No path exists for the query (other polygon, excluded areas, too narrow for the agent) */
+    UNREACHABLE = 'UNREACHABLE'
+}
+
+/**
+ * Portal edge between two consecutive triangles of a path, as seen when walking the path
+ */
+export interface Portal {
+    left: Point;
+    right: Point;
+}
+
+/**
+ * Detailed result of NavMesh2d.findPathDetailed
+ */
+export interface PathResult {
+    status: PathStatus;
+    /** Path points, empty unless status is COMPLETE or PARTIAL */
+    points: Point[];
+    /** End point passed to the query */
+    requestedEnd: Point;
+    /** End point the path leads to, null if no valid end point was found */
+    actualEnd: Point | null;
+    /** True if the end point was moved onto the navmesh */
+    wasClamped: boolean;
+    /** Total length of the path */
+    length: number;
+    /** Triangles the path passes through, from start to end */
+    trianglePath: TPolygon[];
+    /** Portal edges crossed between consecutive triangles, link traversals excluded */
+    portals: Portal[];
+    /** Off-mesh link traversals of the path */
+    links: OffMeshLinkTraversal[];
+    /** What the query did, only set for queries with trace: true */
+    trace?: PathTrace;
+}
+
+/**
+ * Result of NavMesh2d.findPathToAny
+ */
+export interface MultiGoalPathResult extends PathResult {
+    /** Index of the goal the path leads to, -1 if no goal is reachable */
+    goalIndex: number;
+}
+
+/**
+ * Options for NavMesh2d.computeDistanceField
+ */
+export interface DistanceFieldOptions extends FindPathOptions {
+    /** Points farther than this from every source are treated as unreachable */
+    maxDistance?: number;
+}
+
+/**
+ * Distances to the nearest of several sources, created by NavMesh2d.computeDistanceField.
+ * Queries throw once the navmesh version changes; compute a new field then.
+ */
+export interface DistanceField {
+    /** Navmesh version the field was computed for */
+    readonly version: number;
+    /** Length of the path from the point to the nearest source, Infinity if no source is reachable */
+    getDistance(point: Point): number;
+    /** Path from the point to the nearest source, empty if no source is reachable */
+    getPath(point: Point): Point[];
+    /** Index of the nearest source, -1 if no source is reachable */
+    getNearestSource(point: Point): number;
+}
+
+/**
+ * Result of NavMesh2d.raycast
+ */
+export interface RaycastResult {
+    /** True if the segment leaves the navmesh before reaching its end */
+    hit: boolean;
+    /** Point where the segment leaves the navmesh, the segment end if it stays on the mesh */
+    hitPoint: Point;
+    /** Unit normal of the boundary edge that was hit, pointing back into the mesh */
+    hitNormal: Point | null;
+    /** Last triangle reached along the segment, null if the segment starts outside the navmesh */
+    lastTriangle: TPolygon | null;
+    /** Fraction of the segment travelled before the hit, 1 if nothing was hit */
+    t: number;
+}
+
+/**
+ * Result of NavMesh2d.moveAlongSurface
+ */
+export interface SurfaceMove {
+    /** Target point, or the closest point to it that can be reached */
+    position: Point;
+    /** Triangle containing the position, null if the move starts outside the navmesh */
+    triangle: TPolygon | null;
+    /** Triangles from the start triangle to the final one */
+    visited: TPolygon[];
+}
+
+/**
+ * Directed traversal of an off-mesh link between two triangles
+ */
+interface LinkEdge {
+    linkId: OffMeshLinkId;
+    from: Point;
+    to: Point;
+    cost: number;
+    target: number;
+}
+
+/**
+ * Path search that runs in slices, created by NavMesh2d.createPathQuery
+ */
+export interface PathQuery {
+    /** True once every path is found, or the query was cancelled */
+    readonly done: boolean;
+    /** Result for each start point, in order; null while its path is still searched */
+    readonly results: readonly (PathResult | null)[];
+    /** Run at most maxIterations search iterations, returns the number of iterations used */
+    step(maxIterations: number): number;
+    /** Stop searching and release the search buffers */
+    cancel(): void;
+}
+
+/**
+ * Path query with located ends that still needs a graph search from start to end
+ */
+interface SearchPlan {
+    done: false;
+    result: PathResult;
+    query: FindPathOptions;
+    start: TPolygon;
+    end: TPolygon;
+    from: Point;
+    to: Point;
+}
+
+/**
+ * Path query with located ends. A plan that is done has its final result.
+ */
+type PathPlan = { done: true, result: PathResult } | SearchPlan;
+
+/**
+ * State of a query created by createPathQuery
+ */
+interface PathQueryJob {
+    starts: Point[];
+    end: Point;
+    options: boolean | FindPathOptions;
+    /** Mesh version the plans were made for */
+    version: number;
+    results: (PathResult | null)[];
+    /** Plans still waiting for their path, with their index in results */
+    pending: Array<{ index: number, plan: SearchPlan }>;
+    /** Pending plans end in the same triangle and share one reverse search */
+    shared: boolean;
+    /** Search for the pending plans has begun in state */
+    searching: boolean;
+    state: SearchState | null;
+    done: boolean;
+}
+
+/**
+ * Points that paths of a distance field pass through: samples along every shared edge,
+ * both ends of off-mesh links and the sources. Paths cross triangles between nodes.
+ */
+interface FieldGraph {
+    points: Point[];
+    /** Nodes on the edges of each triangle or inside it */
+    triangleNodes: number[][];
+    /** Triangles each node lies in or on the edge of */
+    nodeTriangles: number[][];
+    /** Node at the start of an off-mesh link per node at its end */
+    linkStarts: Map<number, number>;
+    /** Link edge per node at the start of an off-mesh link */
+    linkEdges: Map<number, LinkEdge>;
+    /** Index of the source per source node */
+    sources: Map<number, number>;
+}
+
+/** Distance of the outer field nodes from the ends of their edge, as a fraction of the edge */
+const FIELD_EDGE_INSET = 0.01;
+
+const SEARCH_ALGORITHMS: readonly SearchAlgorithm[] = ['astar', 'dijkstra', 'bidirectional', 'any-angle'];
+
+/**
+ * Triangle path found by A*, links[i] is the link edge used to enter triangles[i]
+ */
+interface TrianglePath {
+    triangles: TPolygon[];
+    links: (LinkEdge | null)[];
+}
+
+/**
+ * Obstacle cut out of the source polygons it overlaps
+ */
+interface Obstacle {
+    hole: Polygon;
+    polygonIndices: number[];
+    /** Lies inside a single polygon without touching its outline or other holes, so it can be added as a plain hole */
+    separate: boolean;
+}
+
+/**
+ * Closest approach of a path segment to a wall edge
+ */
+interface WallContact {
+    distance: number;
+    /** Closest point on the wall, one of its ends if it is a corner */
+    wall: Point;
+    /** Closest point on the path segment */
+    path: Point;
+    /** Unit normal of the wall towards the navmesh */
+    normal: Point;
+    corner: boolean;
 }
 
 /**
@@ -17,21 +385,948 @@ interface PathNode {
  */
 export class NavMesh2d {
     private triangles: TPolygon[] = [];
-
-    constructor(private polygonMap: PolygonMap) {
+    private grid!: TriangleGrid;
+    private triangleIds = new Map<TPolygon, number>();
+    private neighbors: number[][] = [];
+    private edgeNeighbors = new Int32Array(0); // Neighbor across edge k of triangle t at t * 3 + k, -1 for boundary
+    private regionIds = new Int32Array(0); // Connected component of each triangle over shared edges
+    private regionCount = 0;
+    private regionSeeds: number[] = []; // A triangle of each region, to flood fill it again
+    private regionLinks: number[][] = []; // Regions each region leads to through off-mesh links
+    private searchState = new SearchState(0);
+    private trianglePolygons: Polygon[] = [];
+    private triangleAreas: number[] = [];
+    private polygonAreas = new Map<Polygon, number>();
+    private areaPaints: AreaPaint[] = [];
+    private polygonPieces: Polygon[][]; // Current polygons of each source polygon, split by obstacles
+    private polygonSources = new Map<Polygon, Polygon>();
+    private obstacles = new Map<ObstacleId, Obstacle>();
+    private nextObstacleId: ObstacleId = 1;
+    private meshVersion = 0;
+    private offMeshLinks = new Map<OffMeshLinkId, OffMeshLink>();
+    private nextOffMeshLinkId: OffMeshLinkId = 1;
+    private linkEdges: LinkEdge[][] = [];
+    private incomingLinks: Array<Array<{ source: number, index: number }>> = []; // Link edges leading into each triangle
+    private linkedTriangles: number[] = []; // Triangles with link edges or incoming links
+    private linkCostRatio = 1; // Lowest cost per distance of the off-mesh links, at most 1
+    private spareStates: SearchState[] = []; // Search buffers of finished path queries
+    private bakedAreas = new Map<TPolygon, number>();
+    private snappedTriangles = new Map<TPolygon, TPolygon>(); // Grid copy of each poly-math-2d triangle in a deterministic mesh
+    private cumulativeAreas: Float64Array | null = null;
+    private readonly epsilon: number;
+    private readonly fixedGrid: number | null; // Grid size of deterministic meshes, null otherwise
+
+    constructor(private polygonMap: PolygonMap, options: NavMeshOptions = {}) {
+        this.epsilon = options.tolerance ?? DEFAULT_TOLERANCE;
+        if (!(this.epsilon > 0 && this.epsilon < Infinity)) {
+            throw new Error('Tolerance must be a positive number');
+        }
+        if (options.gridSize !== undefined) validateGridSize(options.gridSize);
+        this.fixedGrid = options.gridSize ?? null;
+        this.polygonPieces = polygonMap.polygons.map(polygon => [polygon]);
         this.buildNavMesh();
     }
 
     /**
-     * Build navigation mesh from polygon map
+     * Incremented on every change of the mesh or its areas; paths computed
+     * for an older version may be stale.
+     */
+    public get version(): number {
+        return this.meshVersion;
+    }
+
+    /**
+     * Distance within which points are equal, as set by NavMeshOptions.tolerance
+     */
+    public get tolerance(): number {
+        return this.epsilon;
+    }
+
+    /**
+     * Grid the mesh is snapped to in deterministic mode, as set by NavMeshOptions.gridSize; null otherwise
+     */
+    public get gridSize(): number | null {
+        return this.fixedGrid;
+    }
+
+    /**
+     * Build navigation mesh from current polygons
+     */
+    private buildNavMesh(): void {
+        // Collect all triangles from all polygons
+        const pieces = this.polygonPieces.flat();
+        this.triangles = this.getMeshTriangles(pieces);
+        this.trianglePolygons = pieces.flatMap(piece => piece.tpolygons.map(() => piece));
+        this.indexTriangles();
+    }
+
+    /**
+     * Ids, adjacency, regions, areas, spatial index and link edges of the current triangle list
+     */
+    private indexTriangles(): void {
+        this.triangleIds.clear();
+
+        // Triangle ids and adjacency lists used by the graph search
+        this.triangles.forEach((triangle, id) => this.triangleIds.set(triangle, id));
+        this.neighbors = this.triangles.map(triangle => this.getConnectionIds(triangle));
+        this.edgeNeighbors = new Int32Array(this.triangles.length * 3).fill(-1);
+        this.triangles.forEach((_, id) => this.updateEdgeNeighbors(id));
+        this.updateRegions();
+        this.searchState.begin(this.triangles.length);
+        this.cumulativeAreas = null;
+        this.updateTriangleAreas();
+
+        // Spatial index for point location
+        this.grid = new TriangleGrid(this.triangles);
+
+        this.linkEdges = this.triangles.map(() => []);
+        this.incomingLinks = this.triangles.map(() => []);
+        this.linkedTriangles = [];
+        this.updateLinkEdges();
+    }
+
+    /**
+     * Ids of the triangles a triangle is connected to, skipping those not in the mesh
+     */
+    private getConnectionIds(triangle: TPolygon): number[] {
+        return triangle.connections
+            .map(c => this.triangleIds.get(c.neighbor))
+            .filter((id): id is number => id !== undefined);
+    }
+
+    /**
+     * Triangles of polygon pieces as the mesh uses them, in piece order. Deterministic meshes use
+     * copies snapped to the grid, made once per poly-math-2d triangle, so the library objects stay
+     * as they are. Throws if the grid is too coarse for a triangle, which would collapse or flip.
+     */
+    private getMeshTriangles(pieces: readonly Polygon[]): TPolygon[] {
+        const triangles = pieces.flatMap(piece => piece.tpolygons);
+        const gridSize = this.fixedGrid;
+        if (gridSize === null) return triangles;
+
+        const created: TPolygon[] = [];
+        const copies = triangles.map(triangle => {
+            const known = this.snappedTriangles.get(triangle);
+            if (known) return known;
+
+            const copy = this.snapTriangle(triangle.mainTriangle, gridSize);
+            this.snappedTriangles.set(triangle, copy);
+            created.push(triangle);
+            return copy;
+        });
+
+        for (const triangle of created) {
+            this.snappedTriangles.get(triangle)!.connections = triangle.connections
+                .map(c => ({ neighbor: this.snappedTriangles.get(c.neighbor) ?? c.neighbor }));
+        }
+        return copies;
+    }
+
+    /**
+     * New triangle with the given corners snapped to the grid, without connections. Throws if
+     * snapping collapses or flips it.
+     */
+    private snapTriangle(corners: Point[], gridSize: number): TPolygon {
+        const [a, b, c] = corners.map(p => snapPoint(p, gridSize));
+        if (Math.sign(this.triArea2(a, b, c)) !== Math.sign(this.triArea2(corners[0], corners[1], corners[2]))) {
+            throw new Error(`Grid size ${gridSize} is too coarse: triangle (${a.x}, ${a.y}), (${b.x}, ${b.y}), ` +
+                `(${c.x}, ${c.y}) collapses or flips when snapped`);
+        }
+        return NavMesh2d.restore(TPolygon, {
+            mainTriangle: [a, b, c],
+            centerPoint: snapPoint(new Point((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3), gridSize),
+            connections: []
+        });
+    }
+
+    /**
+     * Triangulate an outline with holes. Deterministic meshes snap the rings first, so the triangles
+     * are on the grid already and snapping them can't collapse or flip any.
+     */
+    private triangulate(outline: Point[], holes: Polygon[]): Polygon {
+        if (this.fixedGrid === null) return new Polygon(outline, holes);
+        return new Polygon(this.getMeshRing(outline), holes.map(hole => new Polygon(this.getMeshRing(hole.points))));
+    }
+
+    /**
+     * Point snapped to the grid on deterministic meshes, unchanged otherwise
+     */
+    private toMeshPoint(point: Point): Point {
+        return this.fixedGrid === null ? point : snapPoint(point, this.fixedGrid);
+    }
+
+    /**
+     * Cut an obstacle out of the navmesh. Only the polygons it overlaps are re-triangulated.
+     * The obstacle may cross polygon outlines, holes and other obstacles; the walkable area
+     * is then clipped with boolean ops and a polygon can split into several pieces.
+     * Throws if the obstacle doesn't overlap any polygon.
+     */
+    public addObstacle(shape: Point[] | Polygon): ObstacleId {
+        let hole = shape instanceof Polygon ? shape : new Polygon(shape);
+        if (this.fixedGrid !== null) hole = new Polygon(this.getMeshRing(hole.points));
+
+        const bounds = NavMesh2d.getBounds(hole.points);
+        const polygonIndices: number[] = [];
+        let separate = true;
+
+        this.polygonMap.polygons.forEach((source, i) => {
+            const [minX, minY, maxX, maxY] = NavMesh2d.getBounds(source.points);
+            if (bounds[0] > maxX || bounds[1] > maxY || bounds[2] < minX || bounds[3] < minY) return;
+
+            const inside = NavMesh2d.isPointInRing(hole.points[0], source.points);
+            if ([source.points, ...source.holes.map(h => h.points)].some(ring => this.ringsCross(ring, hole.points))) {
+                // Edges touching the outline or a hole from outside don't overlap the polygon
+                if (intersection(NavMesh2d.toRings(source), [NavMesh2d.toRing(hole.points)]).length === 0) return;
+                separate = false;
+            } else if (inside) {
+                if (source.holes.some(h => NavMesh2d.isPointInRing(hole.points[0], h.points))) return;
+
+                // Plain hole if it touches no other hole or obstacle
+                const holes = this.getHoles(i);
+                separate = separate && !holes.some(h => this.ringsCross(h.points, hole.points) ||
+                    NavMesh2d.isPointInRing(hole.points[0], h.points) || NavMesh2d.isPointInRing(h.points[0], hole.points));
+            } else {
+                // Outside, or covering the whole polygon
+                if (!NavMesh2d.isPointInRing(source.points[0], hole.points)) return;
+                separate = false;
+            }
+            polygonIndices.push(i);
+        });
+        if (polygonIndices.length === 0) {
+            throw new Error('Obstacle does not overlap any polygon of the navmesh');
+        }
+
+        const id = this.nextObstacleId++;
+        this.obstacles.set(id, { hole, polygonIndices, separate: separate && polygonIndices.length === 1 });
+        for (const polygonIndex of polygonIndices) {
+            this.rebuildPolygon(polygonIndex);
+        }
+        this.meshVersion++;
+        return id;
+    }
+
+    /**
+     * Remove an obstacle added with addObstacle, returns false for unknown ids
+     */
+    public removeObstacle(id: ObstacleId): boolean {
+        const obstacle = this.obstacles.get(id);
+        if (!obstacle) return false;
+
+        this.obstacles.delete(id);
+        for (const polygonIndex of obstacle.polygonIndices) {
+            this.rebuildPolygon(polygonIndex);
+        }
+        this.meshVersion++;
+        return true;
+    }
+
+    /**
+     * Source holes of a polygon plus obstacles currently cut out of it
+     */
+    private getHoles(polygonIndex: number): Polygon[] {
+        return [...this.polygonMap.polygons[polygonIndex].holes, ...this.getObstacles(polygonIndex).map(o => o.hole)];
+    }
+
+    private getObstacles(polygonIndex: number): Obstacle[] {
+        return [...this.obstacles.values()].filter(obstacle => obstacle.polygonIndices.includes(polygonIndex));
+    }
+
+    /**
+     * Re-triangulate one source polygon with its obstacles and patch it into the mesh
+     */
+    private rebuildPolygon(polygonIndex: number): void {
+        const source = this.polygonMap.polygons[polygonIndex];
+        const obstacles = this.getObstacles(polygonIndex);
+
+        let pieces: Polygon[];
+        if (obstacles.length === 0) {
+            // Sources loaded with fromJSON only carry the triangles of their baked pieces
+            pieces = [source.tpolygons.length > 0 ? source : this.triangulate(source.points, source.holes)];
+        } else if (obstacles.every(obstacle => obstacle.separate)) {
+            pieces = [this.triangulate(source.points, this.getHoles(polygonIndex))];
+        } else {
+            pieces = this.clipObstacles(source, obstacles.map(obstacle => obstacle.hole));
+        }
+
+        for (const piece of this.polygonPieces[polygonIndex]) this.polygonSources.delete(piece);
+        for (const piece of pieces) {
+            if (piece !== source) this.polygonSources.set(piece, source);
+        }
+        const previous = this.polygonPieces[polygonIndex];
+        this.polygonPieces[polygonIndex] = pieces;
+        this.replaceTriangles(previous, pieces);
+    }
+
+    /**
+     * Pieces of a source polygon left after subtracting the obstacles
+     */
+    private clipObstacles(source: Polygon, obstacles: Polygon[]): Polygon[] {
+        let remaining: MultiPolygon = difference(NavMesh2d.toRings(source), ...obstacles.map(o => [NavMesh2d.toRing(o.points)]));
+
+        // Intersections of crossing edges are rarely on the grid
+        const gridSize = this.fixedGrid;
+        if (gridSize !== null) {
+            const snap = ([x, y]: Pair): Pair => [snapToGrid(x, gridSize), snapToGrid(y, gridSize)];
+            remaining = remaining.map(rings => rings.map(ring => ring.map(snap)));
+        }
+
+        const pieces: Polygon[] = [];
+        for (const [outer, ...holes] of remaining) {
+            const outline = NavMesh2d.fromRing(outer);
+            if (outline.length < 3) continue;
+            const holePolygons = holes.map(hole => NavMesh2d.fromRing(hole))
+                .filter(hole => hole.length >= 3)
+                .map(hole => new Polygon(hole));
+            pieces.push(new Polygon(outline, holePolygons));
+        }
+        return pieces;
+    }
+
+    /**
+     * Check if any edges of two rings intersect or touch
+     */
+    private ringsCross(a: Point[], b: Point[]): boolean {
+        for (let i = 0; i < a.length; i++) {
+            for (let j = 0; j < b.length; j++) {
+                if (this.segmentsIntersect(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Bounding box of points as [minX, minY, maxX, maxY]
+     */
+    private static getBounds(points: readonly Point[]): [number, number, number, number] {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+
+    /**
+     * Outline and holes of a polygon as polygon-clipping expects them
+     */
+    private static toRings(polygon: Polygon): Ring[] {
+        return [NavMesh2d.toRing(polygon.points), ...polygon.holes.map(hole => NavMesh2d.toRing(hole.points))];
+    }
+
+    /**
+     * Closed ring of coordinate pairs as polygon-clipping expects it
+     */
+    private static toRing(points: readonly Point[]): Ring {
+        const ring: Ring = points.map(p => [p.x, p.y] as Pair);
+        if (ring.length > 0) ring.push(ring[0]);
+        return ring;
+    }
+
+    /**
+     * Points of a closed polygon-clipping ring, without the closing point, repeated points and
+     * rings that enclose no area
+     */
+    private static fromRing(ring: Ring): Point[] {
+        const points: Point[] = [];
+        for (const [x, y] of ring.slice(0, -1)) {
+            const last = points[points.length - 1];
+            if (!last || last.x !== x || last.y !== y) points.push(new Point(x, y));
+        }
+        while (points.length > 1 && points[0].x === points[points.length - 1].x && points[0].y === points[points.length - 1].y) {
+            points.pop();
+        }
+
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+        }
+        return area === 0 ? [] : points;
+    }
+
+    /**
+     * Swap the triangles of old polygon pieces for those of new ones. New triangles take over
+     * the ids of the old ones, and ids left over are filled with the last triangles of the list,
+     * so only the triangles of these pieces and a few moved ones change ids. Adjacency, areas,
+     * regions and the spatial index are patched for those triangles only.
+     */
+    private replaceTriangles(oldPieces: Polygon[], newPieces: Polygon[]): void {
+        const added = this.getMeshTriangles(newPieces);
+        const addedPolygons = newPieces.flatMap(piece => piece.tpolygons.map(() => piece));
+
+        const oldTriangles = oldPieces.flatMap(piece => piece.tpolygons);
+        const slots = oldTriangles
+            .map(triangle => this.triangleIds.get(this.snappedTriangles.get(triangle) ?? triangle))
+            .filter((id): id is number => id !== undefined)
+            .sort((a, b) => a - b);
+        const freedRegions = [...new Set(slots.map(id => this.regionIds[id]))].sort((a, b) => a - b);
+
+        // Triangle each changed id held before, null for ids past the old end of the list
+        const previous = new Map<number, TPolygon | null>();
+        const record = (id: number) => {
+            if (!previous.has(id)) previous.set(id, this.triangles[id] ?? null);
+        };
+
+        // Link edges are attached again at the end, clear them before triangles move
+        for (const id of this.linkedTriangles) {
+            this.linkEdges[id] = [];
+            this.incomingLinks[id] = [];
+        }
+        this.linkedTriangles = [];
+
+        for (const id of slots) this.triangleIds.delete(this.triangles[id]);
+        const kept = new Set(newPieces.flatMap(piece => piece.tpolygons));
+        for (const triangle of oldTriangles) {
+            if (!kept.has(triangle)) this.snappedTriangles.delete(triangle);
+        }
+
+        const count = this.triangles.length - slots.length + added.length;
+        this.resizeTriangleArrays(Math.max(count, this.triangles.length));
+
+        const ids = added.map((triangle, i) => {
+            const id = i < slots.length ? slots[i] : this.triangles.length;
+            record(id);
+            this.triangles[id] = triangle;
+            this.trianglePolygons[id] = addedPolygons[i];
+            this.triangleIds.set(triangle, id);
+            return id;
+        });
+
+        // Fill ids left over from the back, only triangles of other polygons are moved
+        for (let i = slots.length - 1; i >= added.length; i--) {
+            const last = this.triangles.length - 1;
+            record(last);
+            if (slots[i] !== last) {
+                record(slots[i]);
+                this.moveTriangle(last, slots[i]);
+            }
+            this.triangles.pop();
+            this.trianglePolygons.pop();
+            this.triangleAreas.pop();
+            this.neighbors.pop();
+            this.linkEdges.pop();
+            this.incomingLinks.pop();
+        }
+        this.resizeTriangleArrays(count);
+
+        for (const id of ids) {
+            this.neighbors[id] = this.getConnectionIds(this.triangles[id]);
+            this.linkEdges[id] = [];
+            this.incomingLinks[id] = [];
+        }
+        for (const id of ids) {
+            this.updateEdgeNeighbors(id);
+            this.triangleAreas[id] = this.getInitialArea(id);
+        }
+        this.relabelRegions(ids, freedRegions);
+
+        this.grid.update(previous);
+        this.searchState.begin(this.triangles.length);
+        this.cumulativeAreas = null;
+        this.updateLinkEdges();
+    }
+
+    /**
+     * Grow or shrink the typed per-triangle arrays, keeping the values of the remaining triangles
+     */
+    private resizeTriangleArrays(count: number): void {
+        if (this.regionIds.length === count) return;
+
+        const regionIds = new Int32Array(count).fill(-1);
+        regionIds.set(this.regionIds.subarray(0, count));
+        this.regionIds = regionIds;
+
+        const edgeNeighbors = new Int32Array(count * 3).fill(-1);
+        edgeNeighbors.set(this.edgeNeighbors.subarray(0, count * 3));
+        this.edgeNeighbors = edgeNeighbors;
+    }
+
+    /**
+     * Move a triangle to another id and point its neighbors to the new id
+     */
+    private moveTriangle(from: number, to: number): void {
+        const triangle = this.triangles[from];
+        this.triangles[to] = triangle;
+        this.trianglePolygons[to] = this.trianglePolygons[from];
+        this.triangleAreas[to] = this.triangleAreas[from];
+        this.triangleIds.set(triangle, to);
+
+        this.neighbors[to] = this.neighbors[from];
+        for (const neighbor of this.neighbors[to]) {
+            this.neighbors[neighbor] = this.neighbors[neighbor].map(n => n === from ? to : n);
+            for (let k = 0; k < 3; k++) {
+                if (this.edgeNeighbors[neighbor * 3 + k] === from) this.edgeNeighbors[neighbor * 3 + k] = to;
+            }
+        }
+        this.edgeNeighbors.copyWithin(to * 3, from * 3, from * 3 + 3);
+
+        const region = this.regionIds[from];
+        this.regionIds[to] = region;
+        if (this.regionSeeds[region] === from) this.regionSeeds[region] = to;
+    }
+    /**
+     * Connect two points of the navmesh with an extra edge that A* can follow,
+     * e.g. a jump, a ladder or a teleporter. The points may lie in different polygons.
+     */
+    public addOffMeshLink(from: Point, to: Point, options: OffMeshLinkOptions = {}): OffMeshLinkId {
+        from = this.toMeshPoint(from);
+        to = this.toMeshPoint(to);
+        const cost = options.cost ?? Math.sqrt(Point.getDistanceSquared(from, to));
+        if (!(cost >= 0)) {
+            throw new Error('Off-mesh link cost must be a non-negative number');
+        }
+
+        const id = this.nextOffMeshLinkId++;
+        this.offMeshLinks.set(id, { from, to, bidirectional: options.bidirectional ?? false, cost });
+        this.updateLinkEdges();
+        this.meshVersion++;
+        return id;
+    }
+
+    /**
+     * Remove an off-mesh link, returns false for unknown ids
+     */
+    public removeOffMeshLink(id: OffMeshLinkId): boolean {
+        if (!this.offMeshLinks.delete(id)) return false;
+
+        this.updateLinkEdges();
+        this.meshVersion++;
+        return true;
+    }
+
+    /**
+     * Ids of all off-mesh links, in the order they were added
+     */
+    public getOffMeshLinkIds(): OffMeshLinkId[] {
+        return [...this.offMeshLinks.keys()];
+    }
+
+    /**
+     * Ends and cost of an off-mesh link, null for unknown ids
+     */
+    public getOffMeshLink(id: OffMeshLinkId): OffMeshLink | null {
+        const link = this.offMeshLinks.get(id);
+        return link ? { ...link } : null;
+    }
+
+    /**
+     * Attach off-mesh links to the triangles containing their ends.
+     * Links whose ends are not on the mesh (e.g. covered by an obstacle) are inactive.
+     */
+    private updateLinkEdges(): void {
+        for (const id of this.linkedTriangles) {
+            this.linkEdges[id] = [];
+            this.incomingLinks[id] = [];
+        }
+        this.linkedTriangles = [];
+        this.regionLinks = Array.from({ length: this.regionCount }, () => []);
+
+        // A link cheaper than its length, e.g. a teleporter, is a shortcut the heuristic must not overestimate
+        this.linkCostRatio = 1;
+        for (const link of this.offMeshLinks.values()) {
+            const distance = Math.sqrt(Point.getDistanceSquared(link.from, link.to));
+            if (distance > 0) this.linkCostRatio = Math.min(this.linkCostRatio, link.cost / distance);
+        }
+
+        for (const [linkId, link] of this.offMeshLinks) {
+            const fromTriangle = this.findTriangleContainingPoint(link.from);
+            const toTriangle = this.findTriangleContainingPoint(link.to);
+            if (!fromTriangle || !toTriangle) continue;
+
+            const fromId = this.triangleIds.get(fromTriangle)!;
+            const toId = this.triangleIds.get(toTriangle)!;
+            this.linkedTriangles.push(fromId, toId);
+            this.linkEdges[fromId].push({ linkId, from: link.from, to: link.to, cost: link.cost, target: toId });
+            this.incomingLinks[toId].push({ source: fromId, index: this.linkEdges[fromId].length - 1 });
+            this.addRegionLink(fromId, toId);
+            if (link.bidirectional) {
+                this.linkEdges[toId].push({ linkId, from: link.to, to: link.from, cost: link.cost, target: fromId });
+                this.incomingLinks[fromId].push({ source: toId, index: this.linkEdges[toId].length - 1 });
+                this.addRegionLink(toId, fromId);
+            }
+        }
+    }
+
+    private addRegionLink(fromId: number, toId: number): void {
+        const from = this.regionIds[fromId];
+        const to = this.regionIds[toId];
+        if (from !== to && !this.regionLinks[from].includes(to)) this.regionLinks[from].push(to);
+    }
+
+    /**
+     * Label connected components of triangles joined by shared edges, flood filling in triangle order
+     */
+    private updateRegions(): void {
+        this.regionIds = new Int32Array(this.triangles.length).fill(-1);
+        this.regionCount = 0;
+        this.regionSeeds = [];
+
+        for (let seed = 0; seed < this.triangles.length; seed++) {
+            if (this.regionIds[seed] !== -1) continue;
+            this.regionSeeds.push(seed);
+            this.fillRegion(seed, this.regionCount++);
+        }
+    }
+
+    /**
+     * Label new triangles, reusing the region ids of the triangles they replaced. Ids left
+     * over are filled with the last regions, so other regions keep their ids.
+     */
+    private relabelRegions(ids: number[], freed: number[]): void {
+        for (const id of ids) this.regionIds[id] = -1;
+
+        let reused = 0;
+        for (const seed of ids) {
+            if (this.regionIds[seed] !== -1) continue;
+            const region = reused < freed.length ? freed[reused++] : this.regionCount++;
+            this.regionSeeds[region] = seed;
+            this.fillRegion(seed, region);
+        }
+
+        for (let i = freed.length - 1; i >= reused; i--) {
+            const last = --this.regionCount;
+            if (freed[i] !== last) {
+                this.regionSeeds[freed[i]] = this.regionSeeds[last];
+                this.fillRegion(this.regionSeeds[last], freed[i]);
+            }
+            this.regionSeeds.pop();
+        }
+    }
+
+    /**
+     * Flood fill the component containing the seed with a region id
+     */
+    private fillRegion(seed: number, region: number): void {
+        this.regionIds[seed] = region;
+        const stack = [seed];
+        while (stack.length > 0) {
+            for (const neighbor of this.neighbors[stack.pop()!]) {
+                if (this.regionIds[neighbor] === region) continue;
+                this.regionIds[neighbor] = region;
+                stack.push(neighbor);
+            }
+        }
+    }
+
+    /**
+     * Id of the connected component containing the point, null outside the navmesh.
+     * Triangles that share edges are in one component; off-mesh links don't merge components.
+     * Ids are numbered from 0 and may change whenever the mesh is rebuilt.
+     */
+    public getRegionId(p: Point): number | null {
+        const triangle = this.findTriangleContainingPoint(p);
+        return triangle ? this.regionIds[this.triangleIds.get(triangle)!] : null;
+    }
+
+    /**
+     * Triangles of every connected component, indexed by region id
+     */
+    public getComponents(): TPolygon[][] {
+        const components: TPolygon[][] = Array.from({ length: this.regionCount }, () => []);
+        this.triangles.forEach((triangle, id) => components[this.regionIds[id]].push(triangle));
+        return components;
+    }
+
+    /**
+     * Check if a path from a to b exists, through shared edges and off-mesh links,
+     * without searching for it. Area filters of path queries are not taken into account.
+     */
+    public isReachable(a: Point, b: Point): boolean {
+        const from = this.getRegionId(a);
+        const to = this.getRegionId(b);
+        return from !== null && to !== null && this.isRegionReachable(from, to);
+    }
+
+    /**
+     * Follow off-mesh links between regions breadth first
+     */
+    private isRegionReachable(from: number, to: number): boolean {
+        if (from === to) return true;
+
+        const seen = new Set([from]);
+        const queue = [from];
+        for (let i = 0; i < queue.length; i++) {
+            for (const next of this.regionLinks[queue[i]]) {
+                if (next === to) return true;
+                if (seen.has(next)) continue;
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Bake the mesh into plain data: vertices, triangles, adjacency, areas, obstacles and links
+     */
+    public toJSON(): NavMeshData {
+        const vertices: number[] = [];
+        const vertexIds = new Map<string, number>();
+        const vertexId = (p: Point) => {
+            const key = `${p.x},${p.y}`;
+            let id = vertexIds.get(key);
+            if (id === undefined) {
+                id = vertexIds.size;
+                vertexIds.set(key, id);
+                vertices.push(p.x, p.y);
+            }
+            return id;
+        };
+
+        const pieces = this.polygonPieces.flatMap((list, polygon) => list.map(piece => ({ piece, polygon })));
+        const pieceIds = new Map<Polygon, number>(pieces.map(({ piece }, i) => [piece, i]));
+        const flatten = (points: Point[]) => points.flatMap(p => [p.x, p.y]);
+
+        return {
+            format: NAVMESH_FORMAT,
+            version: NAVMESH_FORMAT_VERSION,
+            vertices,
+            triangles: this.triangles.flatMap(t => t.mainTriangle.map(vertexId)),
+            centers: flatten(this.triangles.map(t => this.getTriangleCenter(t))),
+            neighbors: this.neighbors.flat(),
+            neighborCounts: this.neighbors.map(list => list.length),
+            trianglePieces: this.trianglePolygons.map(piece => pieceIds.get(piece)!),
+            areas: [...this.triangleAreas],
+            polygons: this.polygonMap.polygons.map(polygon => ({
+                outer: polygon.points.map(vertexId),
+                holes: polygon.holes.map(hole => hole.points.map(vertexId)),
+                area: this.polygonAreas.get(polygon) ?? null
+            })),
+            pieces: pieces.map(({ piece, polygon }) => ({
+                polygon,
+                outer: piece.points.map(vertexId),
+                holes: piece.holes.map(hole => hole.points.map(vertexId))
+            })),
+            obstacles: [...this.obstacles].map(([id, obstacle]) => ({
+                id,
+                shape: flatten(obstacle.hole.points),
+                polygons: [...obstacle.polygonIndices],
+                separate: obstacle.separate
+            })),
+            paints: this.areaPaints.map(paint => ({ shape: flatten(paint.shape), area: paint.area })),
+            links: [...this.offMeshLinks.values()].map(link => ({
+                from: [link.from.x, link.from.y],
+                to: [link.to.x, link.to.y],
+                bidirectional: link.bidirectional,
+                cost: link.cost
+            }))
+        };
+    }
+
+    /**
+     * Bake the mesh into a compact binary buffer
+     */
+    public toBinary(): ArrayBuffer {
+        return encodeNavMeshData(this.toJSON());
+    }
+
+    /**
+     * Load a mesh baked with toJSON, without triangulation. Accepts the data or its JSON string.
+     * Throws NavMeshFormatError for corrupt input.
+     */
+    public static fromJSON(json: NavMeshData | string, options: NavMeshOptions = {}): NavMesh2d {
+        let parsed: unknown = json;
+        if (typeof json === 'string') {
+            try {
+                parsed = JSON.parse(json);
+            } catch {
+                parsed = null;
+            }
+        }
+        const data = validateNavMeshData(parsed);
+
+        const vertices = NavMesh2d.toPoints(data.vertices);
+        const ring = (indices: number[]) => indices.map(i => vertices[i]);
+        const holes = (rings: number[][]) => rings.map(hole => new Polygon(ring(hole)));
+
+        const mesh = new NavMesh2d(new PolygonMap([]), options);
+        const gridSize = mesh.fixedGrid;
+        const triangles: TPolygon[] = [];
+        for (let t = 0; t < data.triangles.length / 3; t++) {
+            const corners = ring(data.triangles.slice(t * 3, t * 3 + 3));
+            if (gridSize === null) {
+                const [a, b, c] = corners;
+                triangles.push(NavMesh2d.restore(TPolygon, {
+                    mainTriangle: [a, b, c],
+                    centerPoint: new Point(data.centers[t * 2], data.centers[t * 2 + 1]),
+                    connections: []
+                }));
+                continue;
+            }
+            // Restored triangles belong to the mesh, so they are their own grid copies
+            const triangle = mesh.snapTriangle(corners, gridSize);
+            mesh.snappedTriangles.set(triangle, triangle);
+            triangles.push(triangle);
+        }
+        splitNeighbors(data).forEach((list, t) => {
+            triangles[t].connections = list.map(n => ({ neighbor: triangles[n] }));
+        });
+
+        // The walkable polygons keep their baked triangles instead of being triangulated again
+        const pieceTriangles: TPolygon[][] = data.pieces.map(() => []);
+        data.trianglePieces.forEach((piece, t) => pieceTriangles[piece].push(triangles[t]));
+        const sources = data.polygons.map(polygon => NavMesh2d.restore(Polygon, {
+            points: ring(polygon.outer),
+            holes: holes(polygon.holes),
+            tpolygons: []
+        }));
+
+        mesh.polygonMap = new PolygonMap(sources);
+        mesh.polygonPieces = sources.map(() => []);
+        for (const obstacle of data.obstacles) {
+            mesh.obstacles.set(obstacle.id, {
+                hole: new Polygon(NavMesh2d.toPoints(obstacle.shape)),
+                polygonIndices: [...obstacle.polygons],
+                separate: obstacle.separate
+            });
+            mesh.nextObstacleId = Math.max(mesh.nextObstacleId, obstacle.id + 1);
+        }
+
+        const piecePolygons = data.pieces.map((piece, i) => {
+            const source = sources[piece.polygon];
+            if (mesh.getObstacles(piece.polygon).length === 0) {
+                // A polygon without obstacles is its own single piece
+                source.tpolygons = pieceTriangles[i];
+                mesh.polygonPieces[piece.polygon].push(source);
+                return source;
+            }
+            const restored = NavMesh2d.restore(Polygon, {
+                points: ring(piece.outer),
+                holes: holes(piece.holes),
+                tpolygons: pieceTriangles[i]
+            });
+            mesh.polygonPieces[piece.polygon].push(restored);
+            mesh.polygonSources.set(restored, source);
+            return restored;
+        });
+
+        triangles.forEach((triangle, t) => mesh.bakedAreas.set(triangle, data.areas[t]));
+        data.polygons.forEach((polygon, i) => {
+            if (polygon.area !== null) mesh.polygonAreas.set(sources[i], polygon.area);
+        });
+        mesh.areaPaints = data.paints.map(paint => ({ shape: NavMesh2d.toPoints(paint.shape), area: paint.area }));
+        for (const link of data.links) {
+            mesh.offMeshLinks.set(mesh.nextOffMeshLinkId++, {
+                from: mesh.toMeshPoint(new Point(link.from[0], link.from[1])),
+                to: mesh.toMeshPoint(new Point(link.to[0], link.to[1])),
+                bidirectional: link.bidirectional,
+                cost: link.cost
+            });
+        }
+
+        // Triangles keep their baked order, which obstacles added before baking make differ from piece order
+        mesh.triangles = triangles;
+        mesh.trianglePolygons = data.trianglePieces.map(piece => piecePolygons[piece]);
+        mesh.indexTriangles();
+        return mesh;
+    }
+
+    /**
+     * Load a mesh baked with toBinary. Throws NavMeshFormatError for corrupt input.
+     */
+    public static fromBinary(buffer: ArrayBuffer, options: NavMeshOptions = {}): NavMesh2d {
+        return NavMesh2d.fromJSON(decodeNavMeshData(buffer), options);
+    }
+
+    /**
+     * Instance of a poly-math-2d class with the given fields, without running its constructor,
+     * which would triangulate polygons again
+     */
+    private static restore<T extends object>(type: { prototype: T }, fields: Partial<T>): T {
+        return Object.assign(Object.create(type.prototype) as T, fields);
+    }
+
+    private static toPoints(flat: number[]): Point[] {
+        const points: Point[] = [];
+        for (let i = 0; i < flat.length; i += 2) {
+            points.push(new Point(flat[i], flat[i + 1]));
+        }
+        return points;
+    }
+
+    /**
+     * Tag all triangles of a source polygon with an area type
+     */
+    public setPolygonArea(polygon: Polygon, area: number): void {
+        this.polygonAreas.set(polygon, area);
+        this.updateTriangleAreas();
+        this.meshVersion++;
+    }
+
+    /**
+     * Tag triangles whose centers lie inside the shape with an area type.
+     * Later paints override earlier ones and polygon areas.
+     */
+    public paintArea(shape: Point[], area: number): void {
+        const paint = { shape: shape.map(p => new Point(p.x, p.y)), area };
+        this.areaPaints.push(paint);
+
+        // The new paint is the last one, so it wins over everything under it
+        for (const id of this.grid.queryBox(...NavMesh2d.getBounds(paint.shape))) {
+            if (NavMesh2d.isPointInRing(this.getTriangleCenter(this.triangles[id]), paint.shape)) {
+                this.triangleAreas[id] = area;
+            }
+        }
+        this.meshVersion++;
+    }
+
+    /**
+     * Area type at the point, null if the point is not in navmesh
+     */
+    public getAreaAt(point: Point): number | null {
+        const triangle = this.findTriangleContainingPoint(point);
+        return triangle ? this.triangleAreas[this.triangleIds.get(triangle)!] : null;
+    }
+
+    /**
+     * Recompute area type of every triangle from polygon areas and paints
+     */
+    private updateTriangleAreas(): void {
+        this.triangleAreas = this.triangles.map((_, id) => this.getInitialArea(id));
+    }
+
+    /**
+     * Area type of a triangle from its polygon and the paints covering it
+     */
+    private getInitialArea(id: number): number {
+        const triangle = this.triangles[id];
+        const polygon = this.trianglePolygons[id];
+        let area = this.polygonAreas.get(this.polygonSources.get(polygon) ?? polygon) ??
+            this.bakedAreas.get(triangle) ?? DEFAULT_AREA;
+        for (const paint of this.areaPaints) {
+            if (NavMesh2d.isPointInRing(this.getTriangleCenter(triangle), paint.shape)) {
+                area = paint.area;
+            }
+        }
+        return area;
+    }
+
+    /**
+     * Even-odd point in polygon test
+     */
+    private static isPointInRing(point: Point, ring: Point[]): boolean {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check if the query may enter a triangle, by its area type and custom filter
      */
-    private buildNavMesh(): void {
-        // Collect all triangles from all polygons
-        for (const polygon of this.polygonMap.polygons) {
-            for (const triangle of polygon.tpolygons) {
-                this.triangles.push(triangle);
-            }
-        }
+    private isTriangleAllowed(id: number, options: FindPathOptions): boolean {
+        const area = this.triangleAreas[id];
+        if (options.excludeAreas && options.excludeAreas.includes(area)) return false;
+        if (options.includeAreas && !options.includeAreas.includes(area)) return false;
+        return !options.triangleFilter || options.triangleFilter(this.triangles[id]);
+    }
+
+    private getAreaCost(area: number, options: FindPathOptions): number {
+        return options.areaCosts?.[area] ?? 1;
     }
 
     /**
@@ -45,22 +1340,25 @@ export class NavMesh2d {
      * Check if point is inside any triangle using barycentric coordinates (fastest method)
      */
     private isPointInTriangle(point: Point, triangle: TPolygon): boolean {
-        // Standard check
-        const isInside = pointInTriangle(point, triangle.mainTriangle);
+        // Standard check, exact on deterministic meshes
+        const isInside = this.fixedGrid === null
+            ? pointInTriangle(point, triangle.mainTriangle)
+            : isPointInTriangleExact(point, triangle.mainTriangle);
         if (isInside) return true;
 
         // Edge check
         const [p1, p2, p3] = triangle.mainTriangle;
-        return NavMesh2d.isPointOnSegment(point, p1, p2) ||
-            NavMesh2d.isPointOnSegment(point, p2, p3) ||
-            NavMesh2d.isPointOnSegment(point, p3, p1);
+        return this.isPointOnSegment(point, p1, p2) ||
+            this.isPointOnSegment(point, p2, p3) ||
+            this.isPointOnSegment(point, p3, p1);
     }
 
     /**
      * Find triangle containing the point
      */
     private findTriangleContainingPoint(point: Point): TPolygon | null {
-        for (const triangle of this.triangles) {
+        for (const index of this.grid.query(point)) {
+            const triangle = this.triangles[index];
             if (this.isPointInTriangle(point, triangle)) {
                 return triangle;
             }
@@ -68,20 +1366,872 @@ export class NavMesh2d {
         return null;
     }
 
-    /**
-     * Check if point is inside navigation mesh
-     */
-    public isPointInNavMesh(point: Point): boolean {
-        return this.findTriangleContainingPoint(point) !== null;
+    /**
+     * Map every edge (mainTriangle[k], mainTriangle[k + 1]) of a triangle to the neighbor sharing it
+     */
+    private updateEdgeNeighbors(id: number): void {
+        const points = this.triangles[id].mainTriangle;
+        this.edgeNeighbors.fill(-1, id * 3, id * 3 + 3);
+        for (const neighbor of this.neighbors[id]) {
+            const other = this.triangles[neighbor].mainTriangle;
+            for (let k = 0; k < 3; k++) {
+                const p1 = points[k];
+                const p2 = points[(k + 1) % 3];
+                if (other.some(p => this.pointsEqual(p, p1)) && other.some(p => this.pointsEqual(p, p2))) {
+                    this.edgeNeighbors[id * 3 + k] = neighbor;
+                }
+            }
+        }
+    }
+
+    /**
+     * Walk triangle adjacency along segment from -> to and report where it leaves the navmesh.
+     * Crossing into another polygon counts as leaving the mesh.
+     */
+    public raycast(from: Point, to: Point): RaycastResult {
+        const startTriangle = this.findTriangleContainingPoint(from);
+        if (!startTriangle) {
+            return { hit: true, hitPoint: from, hitNormal: null, lastTriangle: null, t: 0 };
+        }
+
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const segmentSlack = this.epsilon / Math.sqrt(dx * dx + dy * dy);
+        let current = this.triangleIds.get(startTriangle)!;
+        let t = 0;
+
+        // Every triangle is entered at most once along a straight segment
+        for (let step = 0; step <= this.triangles.length; step++) {
+            const points = this.triangles[current].mainTriangle;
+
+            // Exit edge is the one the ray crosses furthest along the segment
+            let exitEdge = -1;
+            let exitT = t;
+            for (let k = 0; k < 3; k++) {
+                const p = points[k];
+                const q = points[(k + 1) % 3];
+                const ex = q.x - p.x;
+                const ey = q.y - p.y;
+                const denom = dx * ey - dy * ex;
+                const edgeLength = Math.sqrt(ex * ex + ey * ey);
+                if (this.fixedGrid !== null) {
+                    if (denom === 0) continue; // Parallel, exact for grid points
+                } else if (Math.abs(denom) < this.epsilon * edgeLength) {
+                    continue; // Moves less than the tolerance across the edge
+                }
+
+                // Tolerance as a fraction of the edge and of the segment
+                const edgeSlack = this.epsilon / edgeLength;
+                const edgeT = ((p.x - from.x) * ey - (p.y - from.y) * ex) / denom;
+                const edgeU = ((p.x - from.x) * dy - (p.y - from.y) * dx) / denom;
+                if (edgeU < -edgeSlack || edgeU > 1 + edgeSlack) continue;
+                if (edgeT > exitT || (exitEdge === -1 && edgeT >= t - segmentSlack)) {
+                    exitEdge = k;
+                    exitT = edgeT;
+                }
+            }
+
+            // Segment ends inside this triangle
+            if (exitEdge === -1 || exitT >= 1) {
+                return { hit: false, hitPoint: to, hitNormal: null, lastTriangle: this.triangles[current], t: 1 };
+            }
+
+            const neighbor = this.edgeNeighbors[current * 3 + exitEdge];
+            if (neighbor === -1) {
+                const p = points[exitEdge];
+                const q = points[(exitEdge + 1) % 3];
+                const length = Math.sqrt(Point.getDistanceSquared(p, q));
+                let nx = -(q.y - p.y) / length;
+                let ny = (q.x - p.x) / length;
+
+                // Point the normal back into the mesh
+                const center = this.getTriangleCenter(this.triangles[current]);
+                if (nx * (center.x - p.x) + ny * (center.y - p.y) < 0) {
+                    nx = -nx;
+                    ny = -ny;
+                }
+
+                return {
+                    hit: true,
+                    hitPoint: new Point(from.x + dx * exitT, from.y + dy * exitT),
+                    hitNormal: new Point(nx, ny),
+                    lastTriangle: this.triangles[current],
+                    t: exitT
+                };
+            }
+
+            current = neighbor;
+            t = exitT;
+        }
+
+        return { hit: false, hitPoint: to, hitNormal: null, lastTriangle: this.triangles[current], t: 1 };
+    }
+
+    /**
+     * Move from a point on the navmesh towards `to` through shared edges only, meant for
+     * short moves such as one simulation step. Boundaries are never crossed, the move
+     * slides along them instead.
+     */
+    public moveAlongSurface(from: Point, to: Point): SurfaceMove {
+        const startTriangle = this.findTriangleContainingPoint(from);
+        if (!startTriangle) {
+            return { position: from, triangle: null, visited: [] };
+        }
+
+        // Only triangles touching the circle around the move can be reached
+        const center = new Point((from.x + to.x) / 2, (from.y + to.y) / 2);
+        const radius = Math.sqrt(Point.getDistanceSquared(from, to)) / 2 + this.epsilon;
+        const radiusSq = radius * radius;
+
+        const start = this.triangleIds.get(startTriangle)!;
+        const parent = new Map<number, number>([[start, -1]]);
+        const queue = [start];
+        let best = start;
+        let bestPoint = from;
+        let bestDistanceSq = Infinity;
+
+        for (let i = 0; i < queue.length; i++) {
+            const id = queue[i];
+            const points = this.triangles[id].mainTriangle;
+
+            const closest = this.closestPointOnTriangle(to, this.triangles[id]);
+            const distanceSq = Point.getDistanceSquared(to, closest);
+            if (distanceSq < bestDistanceSq) {
+                best = id;
+                bestPoint = closest;
+                bestDistanceSq = distanceSq;
+                if (distanceSq === 0) break;
+            }
+
+            for (let k = 0; k < 3; k++) {
+                const neighbor = this.edgeNeighbors[id * 3 + k];
+                if (neighbor === -1 || parent.has(neighbor)) continue;
+
+                const edgePoint = NavMesh2d.closestPointOnSegment(center, points[k], points[(k + 1) % 3]);
+                if (Point.getDistanceSquared(center, edgePoint) > radiusSq) continue;
+
+                parent.set(neighbor, id);
+                queue.push(neighbor);
+            }
+        }
+
+        const visited: TPolygon[] = [];
+        for (let id = best; id !== -1; id = parent.get(id)!) {
+            visited.push(this.triangles[id]);
+        }
+
+        return { position: bestPoint, triangle: this.triangles[best], visited: visited.reverse() };
+    }
+
+    /**
+     * Find the point of the navmesh closest to `point`, searching all polygons.
+     * Returns the point itself if it is on the mesh, null if nothing is within maxDistance.
+     */
+    public findNearestPoint(point: Point, options: { maxDistance?: number } = {}): Point | null {
+        const maxDistance = options.maxDistance ?? Infinity;
+        let best: Point | null = null;
+        let bestDistanceSq = maxDistance * maxDistance;
+
+        // Grow the search box until the best candidate is closer than anything outside of it
+        for (let radius = this.grid.size; ; radius *= 2) {
+            const r = Math.min(radius, maxDistance);
+            const box: [number, number, number, number] = [point.x - r, point.y - r, point.x + r, point.y + r];
+
+            for (const index of this.grid.queryBox(...box)) {
+                const closest = this.closestPointOnTriangle(point, this.triangles[index]);
+                const distanceSq = Point.getDistanceSquared(point, closest);
+                if (distanceSq < bestDistanceSq || (best === null && distanceSq === bestDistanceSq)) {
+                    best = closest;
+                    bestDistanceSq = distanceSq;
+                    if (distanceSq === 0) return point;
+                }
+            }
+
+            if ((best && bestDistanceSq <= r * r) || r >= maxDistance || this.grid.coversBox(...box)) {
+                return best;
+            }
+        }
+    }
+
+    /**
+     * Random point on the navmesh, uniformly distributed over its area
+     */
+    public getRandomPoint(random: RandomSource = Math.random): Point | null {
+        if (this.triangles.length === 0) return null;
+
+        const areas = this.getCumulativeAreas();
+        const total = areas[areas.length - 1];
+        if (total <= 0) return null;
+
+        // Binary search for the triangle covering the sampled area
+        const target = random() * total;
+        let low = 0;
+        let high = areas.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (areas[mid] > target) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return NavMesh2d.randomPointInTriangle(this.triangles[low], random);
+    }
+
+    /**
+     * Random point of the navmesh within radius of center, uniformly distributed over
+     * the covered area. Returns null if no point was found after a few attempts.
+     */
+    public getRandomPointInRadius(center: Point, radius: number, random: RandomSource = Math.random): Point | null {
+        const candidates = this.grid.queryBox(center.x - radius, center.y - radius, center.x + radius, center.y + radius);
+        if (candidates.length === 0) return null;
+
+        const weights: number[] = [];
+        let total = 0;
+        for (const index of candidates) {
+            total += NavMesh2d.triangleArea(this.triangles[index]);
+            weights.push(total);
+        }
+        if (total <= 0) return null;
+
+        // Rejection sampling from whichever is smaller: the disk or the triangles touching it
+        const radiusSq = radius * radius;
+        const sampleDisk = Math.PI * radiusSq < total;
+        for (let attempt = 0; attempt < 32; attempt++) {
+            if (sampleDisk) {
+                const angle = random() * Math.PI * 2;
+                const distance = Math.sqrt(random()) * radius;
+                const p = new Point(center.x + Math.cos(angle) * distance, center.y + Math.sin(angle) * distance);
+                if (this.findTriangleContainingPoint(p)) {
+                    return p;
+                }
+                continue;
+            }
+
+            const target = random() * total;
+            const index = candidates[Math.min(candidates.length - 1, weights.findIndex(w => w > target))];
+            const p = NavMesh2d.randomPointInTriangle(this.triangles[index], random);
+            if (Point.getDistanceSquared(p, center) <= radiusSq) {
+                return p;
+            }
+        }
+        return null;
+    }
+
+    private getCumulativeAreas(): Float64Array {
+        if (!this.cumulativeAreas) {
+            this.cumulativeAreas = new Float64Array(this.triangles.length);
+            let total = 0;
+            this.triangles.forEach((triangle, i) => {
+                total += NavMesh2d.triangleArea(triangle);
+                this.cumulativeAreas![i] = total;
+            });
+        }
+        return this.cumulativeAreas;
+    }
+
+    private static triangleArea(triangle: TPolygon): number {
+        const [a, b, c] = triangle.mainTriangle;
+        return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+    }
+
+    private static randomPointInTriangle(triangle: TPolygon, random: RandomSource): Point {
+        const [a, b, c] = triangle.mainTriangle;
+        const r1 = Math.sqrt(random());
+        const r2 = random();
+        const wa = 1 - r1;
+        const wb = r1 * (1 - r2);
+        const wc = r1 * r2;
+        return new Point(a.x * wa + b.x * wb + c.x * wc, a.y * wa + b.y * wb + c.y * wc);
+    }
+
+    /**
+     * Closest point of a triangle (including its interior) to p
+     */
+    private closestPointOnTriangle(p: Point, triangle: TPolygon): Point {
+        if (this.isPointInTriangle(p, triangle)) return p;
+
+        const [a, b, c] = triangle.mainTriangle;
+        let best = NavMesh2d.closestPointOnSegment(p, a, b);
+        for (const candidate of [NavMesh2d.closestPointOnSegment(p, b, c), NavMesh2d.closestPointOnSegment(p, c, a)]) {
+            if (Point.getDistanceSquared(p, candidate) < Point.getDistanceSquared(p, best)) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * All triangles of the mesh. Adding or removing obstacles replaces the triangles of the polygons
+     * involved and moves a few others to new indices.
+     */
+    public getTriangles(): readonly TPolygon[] {
+        return this.triangles;
+    }
+
+    /**
+     * Triangles sharing an edge with the given one
+     */
+    public getNeighbors(triangle: TPolygon): TPolygon[] {
+        const id = this.triangleIds.get(triangle);
+        return id === undefined ? [] : this.neighbors[id].map(n => this.triangles[n]);
+    }
+
+    /**
+     * Check the triangulation for slivers, broken or one-way connections, near-duplicate
+     * vertices, T-junctions and isolated triangles. Triangles are reported by their index
+     * in getTriangles().
+     */
+    public getDiagnostics(options: MeshDiagnosticsOptions = {}): MeshProblem[] {
+        const polygonIndices = new Map(this.polygonPieces.flatMap((pieces, i) => pieces.map(piece => [piece, i] as const)));
+        const linked = new Set<number>();
+        this.linkEdges.forEach((edges, id) => {
+            if (edges.length > 0 || this.incomingLinks[id].length > 0) linked.add(id);
+        });
+
+        return diagnoseMesh({
+            triangles: this.triangles,
+            triangleIds: this.triangleIds,
+            polygonIndices: this.trianglePolygons.map(polygon => polygonIndices.get(polygon)!),
+            linked,
+            tolerance: this.epsilon
+        }, options);
+    }
+
+    /**
+     * Throw NavMeshValidationError if getDiagnostics finds errors, returns the warnings otherwise
+     */
+    public validate(options: MeshDiagnosticsOptions = {}): MeshProblem[] {
+        const problems = this.getDiagnostics(options);
+        const errors = problems.filter(problem => problem.severity === 'error');
+        if (errors.length > 0) {
+            throw new NavMeshValidationError(errors);
+        }
+        return problems;
+    }
+
+    /**
+     * Triangle containing the point, null if the point is not in navmesh
+     */
+    public findTriangle(point: Point): TPolygon | null {
+        return this.findTriangleContainingPoint(point);
+    }
+
+    /**
+     * String-pull a corridor of adjacent triangles from start to end. With maxCorners the
+     * funnel stops after that many corners, the end point is only included if it is reached.
+     * With agentRadius every corner is rounded into several arc points and the path bends around
+     * the walls it passes too closely, like in findPath, but start and end stay where they are.
+     * The path stops early where it can't keep the radius. Throws on deterministic meshes.
+     */
+    public findStraightPath(start: Point, end: Point, trianglePath: readonly TPolygon[],
+        options: { maxCorners?: number, agentRadius?: number } = {}): Point[] {
+        const { maxCorners = Infinity, agentRadius = 0 } = options;
+        this.validateMeshQuery({ agentRadius });
+        if (agentRadius <= 0) {
+            return this.funnel(start, end, trianglePath.slice(), maxCorners);
+        }
+
+        // One extra corner tells which way the last returned corner turns, then it is dropped
+        const path = this.funnel(start, end, trianglePath.slice(), maxCorners + 1);
+        const rounded = this.offsetPathCorners(path, agentRadius, [start, end]);
+        if (!this.pointsEqual(path[path.length - 1], end)) rounded.pop();
+        rounded.length = this.getClearCount(rounded, agentRadius, [start, end]);
+        return rounded;
+    }
+
+    /**
+     * Check if point is inside navigation mesh
+     */
+    public isPointInNavMesh(point: Point): boolean {
+        return this.findTriangleContainingPoint(point) !== null;
+    }
+
+    /**
+     * Find path from point A to point B using A* algorithm on triangle centers
+     */
+    public findPath(a: Point, b: Point, options: boolean | FindPathOptions = false): Point[] {
+        return this.findPathWithLinks(a, b, options).points;
+    }
+
+    /**
+     * Same as findPath, but also reports which path segments are off-mesh link traversals
+     */
+    public findPathWithLinks(a: Point, b: Point, options: boolean | FindPathOptions = false): LinkedPath {
+        const { points, links } = this.findPathDetailed(a, b, options);
+        return { points, links };
+    }
+
+    /**
+     * Find path from point A to point B and report how the result was obtained
+     */
+    public findPathDetailed(a: Point, b: Point, options: boolean | FindPathOptions = false): PathResult {
+        if (typeof options === 'object' && options.trace) return this.findPathTraced(a, b, options);
+
+        const plan = this.planPath(a, b, options);
+        if (plan.done) return plan.result;
+
+        return this.completePath(plan, this.findTrianglePath(plan));
+    }
+
+    /**
+     * findPathDetailed reporting its phases to the trace listener of the query. Kept apart,
+     * so queries without a trace don't pay for timing and events.
+     */
+    private findPathTraced(a: Point, b: Point, options: FindPathOptions): PathResult {
+        const recorder = options.trace === true ? new PathTraceRecorder() : null;
+        const trace = recorder ?? options.trace as PathTraceListener;
+
+        let time = performance.now();
+        const plan = this.planPath(a, b, options);
+        trace.onPhase?.('locate', performance.now() - time);
+
+        let result = plan.result;
+        if (!plan.done) {
+            time = performance.now();
+            const trianglePath = this.findTrianglePath(plan, trace);
+            trace.onPhase?.('search', performance.now() - time);
+
+            time = performance.now();
+            result = this.completePath(plan, trianglePath, trace);
+            trace.onPhase?.('funnel', performance.now() - time);
+        }
+
+        trace.onPortals?.(result.portals);
+        if (recorder) result.trace = recorder.trace;
+        return result;
+    }
+
+    /**
+     * Triangles the last search of findPath, findPathWithLinks, findPathDetailed or findPathToAny
+     * expanded, for debugging. Queries that need no search leave them as they are, and queries
+     * created by createPathQuery search on their own buffers.
+     */
+    public getExpandedTriangles(): TPolygon[] {
+        return this.triangles.filter((_, id) => this.searchState.isClosed(id));
+    }
+
+    /**
+     * Start a path search that is advanced in slices with step(), so long searches can be
+     * spread over several frames. Each start point gets the result findPathDetailed would
+     * give; when several paths end in the same triangle, one reverse search from the end
+     * serves all of them. The query starts over if the mesh changes while it runs.
+     */
+    public createPathQuery(starts: readonly Point[], end: Point, options: boolean | FindPathOptions = false): PathQuery {
+        const job: PathQueryJob = {
+            starts: [...starts],
+            end,
+            options,
+            version: this.meshVersion,
+            results: [],
+            pending: [],
+            shared: false,
+            searching: false,
+            state: null,
+            done: false
+        };
+        this.planQuery(job);
+
+        return {
+            get done() {
+                return job.done;
+            },
+            get results() {
+                return job.results;
+            },
+            step: (maxIterations: number) => this.stepQuery(job, maxIterations),
+            cancel: () => this.finishQuery(job)
+        };
+    }
+
+    /**
+     * Path to whichever goal is nearest, with one search instead of one per goal.
+     * A Dijkstra search from the start reaches every goal triangle, then the path to each
+     * goal is pulled tight along the search tree and the shortest one wins. Goals outside
+     * the navmesh or in areas the query may not enter are skipped. goalIndex is the index of
+     * the chosen goal, -1 if no goal is reachable; requestedEnd is then the start point.
+     */
+    public findPathToAny(start: Point, goals: readonly Point[], options: FindPathOptions = {}): MultiGoalPathResult {
+        this.validateMeshQuery(options);
+        start = this.toMeshPoint(start);
+        goals = goals.map(goal => this.clearOfWallsFor(this.toMeshPoint(goal), options));
+
+        if (!this.findTriangleContainingPoint(start)) {
+            return { ...NavMesh2d.createResult(start), status: PathStatus.START_OUTSIDE, goalIndex: -1 };
+        }
+        // The search starts where planPath moves the start to
+        const searchStart = this.clearOfWallsFor(start, options);
+        const startTriangle = this.findTriangleContainingPoint(searchStart)!;
+
+        const startId = this.triangleIds.get(startTriangle)!;
+        const goalsByTriangle = this.locatePoints(goals, options);
+        if (goalsByTriangle.size === 0 || !this.isTriangleAllowed(startId, options)) {
+            return { ...NavMesh2d.createResult(start), goalIndex: -1 };
+        }
+
+        const state = this.searchState;
+        this.beginTriangleSearch(state, startId, -1, options, searchStart);
+        this.continueTriangleSearch(state, -1, options, Infinity, new Set(goalsByTriangle.keys()));
+
+        // Candidates are compared without smoothing, only the chosen path is smoothed
+        const ranking: FindPathOptions = { ...options, smoothing: undefined };
+        let best: { goalIndex: number, trianglePath: TrianglePath, length: number } | null = null;
+        for (const [id, indices] of goalsByTriangle) {
+            if (!state.isClosed(id)) continue;
+
+            const trianglePath = this.traceTrianglePath(state, id);
+            for (const goalIndex of indices) {
+                const plan = this.planPath(start, goals[goalIndex], ranking);
+                const { points, length } = plan.done ? plan.result : this.completePath(plan, trianglePath);
+                if (points.length > 0 && (!best || length < best.length)) best = { goalIndex, trianglePath, length };
+            }
+        }
+        if (!best) return { ...NavMesh2d.createResult(start), goalIndex: -1 };
+
+        const plan = this.planPath(start, goals[best.goalIndex], options);
+        const result = plan.done ? plan.result : this.completePath(plan, best.trianglePath);
+        return { ...result, goalIndex: best.goalIndex };
+    }
+
+    /**
+     * Geodesic distance field around the sources. One Dijkstra search over points on the
+     * triangle edges finds the way to the nearest source from everywhere, point queries then
+     * string-pull the path along it. Sources outside the navmesh or in areas the query may
+     * not enter are skipped. The search stops at maxDistance to save time on large meshes.
+     */
+    public computeDistanceField(sources: readonly Point[], options: DistanceFieldOptions = {}): DistanceField {
+        const { maxDistance = Infinity, ...query } = options;
+        NavMesh2d.validateQuery(query);
+
+        const version = this.meshVersion;
+        const sourcePoints = sources.map(source => this.clearOfWallsFor(source, query));
+        const sourcesByTriangle = this.locatePoints(sourcePoints, query);
+
+        const graph = this.buildFieldGraph(sourcePoints, sourcesByTriangle, query);
+        const state = new SearchState(graph.points.length);
+        this.searchFieldGraph(graph, state, query, maxDistance);
+
+        const trace = (point: Point) => {
+            if (this.meshVersion !== version) {
+                throw new Error('Distance field is outdated, the navmesh has changed');
+            }
+
+            point = this.clearOfWallsFor(point, query);
+            const triangle = this.findTriangleContainingPoint(point);
+            if (!triangle) return null;
+            const id = this.triangleIds.get(triangle)!;
+            if (!this.isTriangleAllowed(id, query)) return null;
+
+            // Node of the triangle to leave it through, the triangle is convex so all are in sight
+            const areaCost = this.getAreaCost(this.triangleAreas[id], query);
+            let first = -1;
+            let firstCost = Infinity;
+            for (const node of graph.triangleNodes[id]) {
+                if (!state.isClosed(node)) continue;
+
+                const cost = state.gCost[node] + Math.sqrt(Point.getDistanceSquared(point, graph.points[node])) * areaCost;
+                if (cost < firstCost) {
+                    first = node;
+                    firstCost = cost;
+                }
+            }
+            if (first === -1) return null;
+
+            const trianglePath = this.traceFieldPath(graph, state, id, first);
+            let node = first;
+            while (state.parent[node] !== -1) node = state.parent[node];
+
+            const goalIndex = graph.sources.get(node)!;
+            const plan = this.planPath(point, sourcePoints[goalIndex], query);
+            const result = plan.done ? plan.result : this.completePath(plan, trianglePath);
+            return result.points.length > 0 ? { goalIndex, result } : null;
+        };
+
+        return {
+            version,
+            getDistance: (point: Point) => trace(point)?.result.length ?? Infinity,
+            getPath: (point: Point) => trace(point)?.result.points ?? [],
+            getNearestSource: (point: Point) => trace(point)?.goalIndex ?? -1
+        };
+    }
+
+    /**
+     * Indices of the points per triangle containing them, for points the query may enter
+     */
+    private locatePoints(points: readonly Point[], options: FindPathOptions): Map<number, number[]> {
+        const byTriangle = new Map<number, number[]>();
+        points.forEach((point, index) => {
+            const triangle = this.findTriangleContainingPoint(point);
+            if (!triangle) return;
+
+            const id = this.triangleIds.get(triangle)!;
+            if (!this.isTriangleAllowed(id, options)) return;
+
+            const list = byTriangle.get(id);
+            if (list) {
+                list.push(index);
+            } else {
+                byTriangle.set(id, [index]);
+            }
+        });
+        return byTriangle;
+    }
+
+    /**
+     * Nodes of a distance field: three samples along every shared edge the query may pass,
+     * near both ends and in the middle, as paths bend around edge ends
+     */
+    private buildFieldGraph(sources: readonly Point[], sourcesByTriangle: Map<number, number[]>,
+        options: FindPathOptions): FieldGraph {
+        const agentRadius = options.agentRadius ?? 0;
+        const graph: FieldGraph = {
+            points: [],
+            triangleNodes: this.triangles.map(() => []),
+            nodeTriangles: [],
+            linkStarts: new Map(),
+            linkEdges: new Map(),
+            sources: new Map()
+        };
+
+        const addNode = (point: Point, triangles: number[]) => {
+            const node = graph.points.length;
+            graph.points.push(point);
+            graph.nodeTriangles.push(triangles);
+            triangles.forEach(id => graph.triangleNodes[id].push(node));
+            return node;
+        };
+
+        for (let id = 0; id < this.triangles.length; id++) {
+            const points = this.triangles[id].mainTriangle;
+            for (let k = 0; k < 3; k++) {
+                const neighbor = this.edgeNeighbors[id * 3 + k];
+                if (neighbor < id) continue; // Boundary edge, or added from the neighbor
+
+                const a = points[k];
+                const b = points[(k + 1) % 3];
+                if (agentRadius > 0 && Point.getDistanceSquared(a, b) < agentRadius * agentRadius * 4) continue;
+
+                for (const t of [FIELD_EDGE_INSET, 0.5, 1 - FIELD_EDGE_INSET]) {
+                    addNode(new Point(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t), [id, neighbor]);
+                }
+            }
+
+            this.linkEdges[id].forEach(edge => {
+                const start = addNode(edge.from, [id]);
+                const end = addNode(edge.to, [edge.target]);
+                graph.linkEdges.set(start, edge);
+                graph.linkStarts.set(end, start);
+            });
+        }
+
+        for (const [id, indices] of sourcesByTriangle) {
+            indices.forEach(index => graph.sources.set(addNode(sources[index], [id]), index));
+        }
+
+        return graph;
+    }
+
+    /**
+     * Dijkstra search from the sources over the field graph, parents then point one step
+     * towards the nearest source. via is the triangle crossed to the parent, -1 for off-mesh links.
+     */
+    private searchFieldGraph(graph: FieldGraph, state: SearchState, options: FindPathOptions, maxCost: number): void {
+        state.begin(graph.points.length);
+        for (const node of graph.sources.keys()) {
+            state.visit(node, 0, 0, -1);
+            state.open.push(node, 0);
+        }
+
+        while (state.open.size > 0) {
+            const current = state.open.pop();
+            if (state.gCost[current] > maxCost) break;
+
+            state.iterations++;
+            state.close(current);
+
+            const point = graph.points[current];
+            const relax = (previous: number, stepCost: number, via: number) => {
+                const tentativeGCost = state.gCost[current] + stepCost;
+
+                if (!state.isVisited(previous)) {
+                    state.visit(previous, tentativeGCost, 0, current, via);
+                    state.open.push(previous, tentativeGCost);
+                } else if (tentativeGCost < state.gCost[previous]) {
+                    state.gCost[previous] = tentativeGCost;
+                    state.parent[previous] = current;
+                    state.via[previous] = via;
+                    state.open.decreaseKey(previous, tentativeGCost);
+                }
+            };
+
+            for (const id of graph.nodeTriangles[current]) {
+                if (!this.isTriangleAllowed(id, options)) continue;
+
+                const areaCost = this.getAreaCost(this.triangleAreas[id], options);
+                for (const node of graph.triangleNodes[id]) {
+                    if (state.isClosed(node)) continue;
+                    relax(node, Math.sqrt(Point.getDistanceSquared(point, graph.points[node])) * areaCost, id);
+                }
+            }
+
+            const start = graph.linkStarts.get(current);
+            if (start !== undefined && !state.isClosed(start) && this.isTriangleAllowed(graph.nodeTriangles[start][0], options)) {
+                relax(start, graph.linkEdges.get(start)!.cost, -1);
+            }
+        }
+
+        state.open.clear();
+    }
+
+    /**
+     * Triangles crossed from a triangle through one of its field nodes to the nearest source.
+     * Loops, where the path comes back to a triangle it left, are cut out.
+     */
+    private traceFieldPath(graph: FieldGraph, state: SearchState, startId: number, first: number): TrianglePath {
+        const ids = [startId];
+        const links: (LinkEdge | null)[] = [null];
+
+        const enter = (id: number, link: LinkEdge | null) => {
+            if (id === ids[ids.length - 1] && !link) return;
+
+            const seen = ids.indexOf(id);
+            if (seen !== -1) {
+                ids.length = seen + 1;
+                links.length = seen + 1;
+            } else {
+                ids.push(id);
+                links.push(link);
+            }
+        };
+
+        for (let node = first; state.parent[node] !== -1; node = state.parent[node]) {
+            const via = state.via[node];
+            if (via === -1) {
+                const link = graph.linkEdges.get(node)!;
+                enter(link.target, link);
+            } else {
+                enter(via, null);
+            }
+        }
+
+        return { triangles: ids.slice(1).map(id => this.triangles[id]), links: links.slice(1) };
+    }
+
+    /**
+     * Locate the ends of every path of a query, paths that need no search are final right away
+     */
+    private planQuery(job: PathQueryJob): void {
+        const plans = job.starts.map(start => this.planPath(start, job.end, job.options));
+
+        job.version = this.meshVersion;
+        job.results = plans.map(plan => plan.done ? plan.result : null);
+        job.pending = [];
+        plans.forEach((plan, index) => {
+            if (!plan.done) job.pending.push({ index, plan });
+        });
+        job.shared = job.pending.length > 1 && NavMesh2d.isExactCentroidSearch(job.pending[0].plan.query) &&
+            job.pending.every(({ plan }) => plan.end === job.pending[0].plan.end);
+        job.searching = false;
+
+        if (job.pending.length === 0) this.finishQuery(job);
+    }
+
+    private stepQuery(job: PathQueryJob, maxIterations: number): number {
+        if (job.done) return 0;
+
+        // Planned triangles may be gone
+        if (job.version !== this.meshVersion) {
+            this.planQuery(job);
+            if (job.done) return 0;
+        }
+
+        const state = job.state ?? this.spareStates.pop() ?? new SearchState(this.triangles.length);
+        job.state = state;
+
+        let used = 0;
+        while (job.pending.length > 0 && used < maxIterations) {
+            if (job.shared) {
+                if (!job.searching) {
+                    this.beginReverseSearch(state, this.triangleIds.get(job.pending[0].plan.end)!);
+                    job.searching = true;
+                }
+
+                const before = state.iterations;
+                const starts = new Set(job.pending.map(({ plan }) => this.triangleIds.get(plan.start)!));
+                const finished = this.continueReverseSearch(state, job.pending[0].plan.query, maxIterations - used, starts);
+                used += state.iterations - before;
+
+                job.pending = job.pending.filter(({ index, plan }) => {
+                    const startId = this.triangleIds.get(plan.start)!;
+                    if (!finished && !state.isClosed(startId)) return true;
+
+                    job.results[index] = this.completePath(plan, this.traceReversePath(state, startId));
+                    return false;
+                });
+            } else {
+                const { index, plan } = job.pending[0];
+                const startId = this.triangleIds.get(plan.start)!;
+                const endId = this.triangleIds.get(plan.end)!;
+                const sliced = plan.query.algorithm !== 'bidirectional' && plan.query.algorithm !== 'any-angle';
+                if (!job.searching && sliced) {
+                    this.beginTriangleSearch(state, startId, endId, plan.query, plan.from);
+                    job.searching = true;
+                }
+
+                // Bidirectional and any-angle searches run in one step
+                const before = job.searching ? state.iterations : 0;
+                const trianglePath = sliced
+                    ? this.continueTriangleSearch(state, endId, plan.query, maxIterations - used, null, null, plan.to)
+                    : this.searchTrianglePath(state, startId, endId, plan);
+                used += state.iterations - before;
+
+                if (trianglePath) {
+                    job.results[index] = this.completePath(plan, trianglePath);
+                    job.pending.shift();
+                    job.searching = false;
+                }
+            }
+        }
+
+        if (job.pending.length === 0) this.finishQuery(job);
+        return used;
+    }
+
+    private finishQuery(job: PathQueryJob): void {
+        job.done = true;
+        job.pending = [];
+        if (job.state) {
+            this.spareStates.push(job.state);
+            job.state = null;
+        }
     }
 
     /**
-     * Find path from point A to point B using A* algorithm on triangle centers
+     * Locate the path ends and clamp the end point. Plans that are done need no graph search.
      */
-    public findPath(a: Point, b: Point, closestToStart: boolean = false): Point[] {
-        const startTriangle = this.findTriangleContainingPoint(a);
+    private planPath(a: Point, b: Point, options: boolean | FindPathOptions): PathPlan {
+        const query: FindPathOptions = typeof options === 'boolean' ? { closestToStart: options } : options;
+        const { closestToStart = false } = query;
+        this.validateMeshQuery(query);
+        a = this.toMeshPoint(a);
+        b = this.toMeshPoint(b);
+
+        const result = NavMesh2d.createResult(b);
+
+        let startTriangle = this.findTriangleContainingPoint(a);
         if (!startTriangle) {
-            return []; // Point A is not in navmesh
+            result.status = PathStatus.START_OUTSIDE; // Point A is not in navmesh
+            return { done: true, result };
+        }
+
+        // Agents start at least their radius away from the walls
+        const agentRadius = query.agentRadius ?? 0;
+        if (agentRadius > 0) {
+            const start = this.clearOfWalls(a, agentRadius);
+            if (!start) return { done: true, result };
+            a = start;
+            startTriangle = this.findTriangleContainingPoint(a)!;
         }
 
         const endTriangle = this.findTriangleContainingPoint(b);
@@ -92,8 +2242,8 @@ export class NavMesh2d {
 
         if (!endTriangle) {
             // Find polygon containing start triangle
-            const startPolygon = this.polygonMap.polygons.find((p: Polygon) => p.tpolygons.includes(startTriangle));
-            if (!startPolygon) return [];
+            const startPolygon = this.trianglePolygons[this.triangleIds.get(startTriangle)!];
+            if (!startPolygon) return { done: true, result };
 
             if (closestToStart) {
                 const intersectionPoint = this.findIntersectionWithPolygon(a, b, startPolygon);
@@ -107,37 +2257,398 @@ export class NavMesh2d {
                 targetPoint = this.findClosestPointInPolygon(b, startPolygon);
             }
 
+            // Deterministic meshes keep the end on the grid where that stays in the polygon
+            const snapped = this.toMeshPoint(targetPoint);
+            const snappedTriangle = snapped !== targetPoint ? this.findTriangleContainingPoint(snapped) : null;
+            if (snappedTriangle && this.trianglePolygons[this.triangleIds.get(snappedTriangle)!] === startPolygon) {
+                targetPoint = snapped;
+            }
+
             targetTriangle = this.findTriangleContainingPoint(targetPoint);
 
-            if (!targetTriangle) return [];
+            if (!targetTriangle) return { done: true, result };
+        }
+
+        if (agentRadius > 0) {
+            const end = this.clearOfWalls(targetPoint, agentRadius);
+            if (!end) return { done: true, result };
+            if (end !== targetPoint) {
+                targetPoint = end;
+                targetTriangle = this.findTriangleContainingPoint(targetPoint);
+            }
+        }
+
+        result.actualEnd = targetPoint;
+        result.wasClamped = targetPoint !== b;
+
+        // Start or end in an area the query may not enter
+        const startId = this.triangleIds.get(startTriangle)!;
+        const targetId = this.triangleIds.get(targetTriangle!)!;
+        if (!this.isTriangleAllowed(startId, query) || !this.isTriangleAllowed(targetId, query)) {
+            return { done: true, result };
+        }
+
+        // Different components without links between them, no need to search
+        if (!this.isRegionReachable(this.regionIds[startId], this.regionIds[targetId])) {
+            return { done: true, result };
         }
 
         // If start and end are in same triangle, return direct path
         if (startTriangle === targetTriangle) {
-            return [a, targetPoint];
+            return { done: true, result: this.finishDirectPath(result, a, targetPoint, [startTriangle], agentRadius) };
+        }
+
+        return { done: false, result, query, start: startTriangle, end: targetTriangle!, from: a, to: targetPoint };
+    }
+
+    /**
+     * validateQuery plus the limits of deterministic meshes
+     */
+    private validateMeshQuery(query: FindPathOptions): void {
+        NavMesh2d.validateQuery(query);
+        if (this.fixedGrid !== null && query.smoothing) {
+            throw new Error('Path smoothing uses trigonometry that differs between engines, it is not available with a grid size');
+        }
+        if (this.fixedGrid !== null && (query.agentRadius ?? 0) > 0) {
+            throw new Error('Agent radius corner offsets use trigonometry that differs between engines, it is not available with a grid size');
+        }
+    }
+
+    private static validateQuery(query: FindPathOptions): void {
+        if (query.areaCosts && Object.values(query.areaCosts).some(cost => !(cost > 0))) {
+            throw new Error('Area costs must be positive numbers');
+        }
+        if (query.algorithm !== undefined && !SEARCH_ALGORITHMS.includes(query.algorithm)) {
+            throw new Error(`Unknown search algorithm: ${query.algorithm}`);
         }
+        if (query.costModel !== undefined && query.costModel !== 'centroid' && query.costModel !== 'edge-midpoint') {
+            throw new Error(`Unknown cost model: ${query.costModel}`);
+        }
+        if (query.heuristicWeight !== undefined && !(query.heuristicWeight >= 1 && isFinite(query.heuristicWeight))) {
+            throw new Error('Heuristic weight must be a finite number of at least 1');
+        }
+        if (query.algorithm === 'any-angle' && query.areaCosts && Object.keys(query.areaCosts).length > 0) {
+            throw new Error('Any-angle search does not support area costs');
+        }
+        if (query.algorithm === 'any-angle' && query.heuristicWeight !== undefined && query.heuristicWeight !== 1) {
+            throw new Error('Any-angle search does not support a heuristic weight');
+        }
+        if ((query.algorithm === 'any-angle' || query.algorithm === 'bidirectional') && query.costModel === 'edge-midpoint') {
+            throw new Error(`${query.algorithm === 'any-angle' ? 'Any-angle' : 'Bidirectional'} search does not support the edge-midpoint cost model`);
+        }
+        if (query.smoothing) validateSmoothingOptions(query.smoothing);
+    }
+
+    /**
+     * Result of a path query towards end that found no path yet
+     */
+    private static createResult(end: Point): PathResult {
+        return {
+            status: PathStatus.UNREACHABLE,
+            points: [],
+            requestedEnd: end,
+            actualEnd: null,
+            wasClamped: false,
+            length: 0,
+            trianglePath: [],
+            portals: [],
+            links: []
+        };
+    }
+
+    /**
+     * Pull the triangle path found for a plan tight and fill in the result
+     */
+    private completePath(plan: SearchPlan, trianglePath: TrianglePath, trace: PathTraceListener | null = null): PathResult {
+        const { result, query, start: startTriangle, end: targetTriangle, from: a, to: targetPoint } = plan;
+        const agentRadius = query.agentRadius ?? 0;
 
-        // A* pathfinding through triangles
-        const trianglePath = this.findTrianglePath(startTriangle, targetTriangle!);
-        if (trianglePath.length === 0) {
+        if (trianglePath.triangles.length === 0) {
             // No path of triangles found, but maybe they are in adjacent triangles
-            if (startTriangle.connections.some(c => c.neighbor === targetTriangle)) {
-                return [a, targetPoint];
+            if (startTriangle.connections.some(c => c.neighbor === targetTriangle) &&
+                this.getPortalWidth(this.triangleIds.get(startTriangle)!, this.triangleIds.get(targetTriangle)!) >= agentRadius * 2) {
+                result.portals = this.getPortalEdges([startTriangle, targetTriangle]);
+                return this.finishDirectPath(result, a, targetPoint, [startTriangle, targetTriangle], agentRadius);
             }
-            return [];
+            return result;
         }
 
-        // Create full triangle path including start and end triangles
-        const fullTrianglePath = [startTriangle, ...trianglePath];
+        // Split the corridor at off-mesh links, each piece is pulled tight separately
+        const points: Point[] = [];
+        let segmentStart = a;
+        let corridor = [startTriangle];
+
+        // Appends the path to end, false if it had to stop early to keep the agent radius from the walls
+        const appendSegment = (end: Point, kept: Point[]): boolean => {
+            result.portals.push(...this.getPortalEdges(corridor));
+
+            let segment = this.funnel(segmentStart, end, corridor, Infinity, trace);
+            if (segment.length > 0 && !this.pointsEqual(segment[segment.length - 1], end)) {
+                segment.push(end);
+            }
+            // Curves also have to keep the agent radius from the walls
+            const isClear = (from: Point, to: Point) => this.isSegmentClear(from, to) &&
+                (agentRadius === 0 || !this.findPathContact(from, to, agentRadius, kept));
+            // Turn circles keep the agent radius from the corners themselves. A segment
+            // where an arc of the turn radius doesn't fit keeps its corners instead.
+            const arcs = query.smoothing?.type === 'arc' ?
+                smoothPath(this.simplifyPath(segment), query.smoothing, agentRadius, this.epsilon, isClear) : null;
+            if (arcs && (agentRadius === 0 || this.getClearCount(arcs, agentRadius, kept) === arcs.length)) {
+                segment = arcs;
+            } else {
+                if (agentRadius > 0) {
+                    segment = this.offsetPathCorners(segment, agentRadius, kept);
+                }
+                if (query.smoothing && query.smoothing.type !== 'arc') {
+                    segment = smoothPath(this.simplifyPath(segment), query.smoothing, agentRadius, this.epsilon, isClear) ?? segment;
+                }
+            }
+            const count = agentRadius > 0 ? this.getClearCount(segment, agentRadius, kept) : segment.length;
+            const complete = count === segment.length;
+            segment.length = count;
+            if (points.length > 0 && this.pointsEqual(points[points.length - 1], segment[0])) {
+                segment.shift();
+            }
+            points.push(...segment);
+            return complete;
+        };
 
-        // Apply Funnel Algorithm for optimal path
-        const path = this.funnel(a, targetPoint, fullTrianglePath);
+        // Off-mesh link ends stay where they are, the agent has to reach them
+        let complete = true;
+        for (let i = 0; i < trianglePath.triangles.length; i++) {
+            const link = trianglePath.links[i];
+            if (link) {
+                complete = appendSegment(link.from, segmentStart === a ? [link.from] : [segmentStart, link.from]);
+                if (!complete) break;
+                result.links.push({ linkId: link.linkId, index: points.length - 1 });
+                segmentStart = link.to;
+                corridor = [];
+            }
+            corridor.push(trianglePath.triangles[i]);
+        }
+        if (complete) complete = appendSegment(targetPoint, segmentStart === a ? [] : [segmentStart]);
 
-        if (path.length > 0 && !this.pointsEqual(path[path.length - 1], targetPoint)) {
-            path.push(targetPoint);
+        if (!complete) {
+            result.actualEnd = points[points.length - 1];
+            result.wasClamped = true;
         }
+        return NavMesh2d.finishResult(result, points, [startTriangle, ...trianglePath.triangles]);
+    }
 
-        return path;
+    /**
+     * Finish a path that goes straight from a to b, bent around the walls within the agent radius
+     */
+    private finishDirectPath(result: PathResult, a: Point, b: Point, trianglePath: TPolygon[], agentRadius: number): PathResult {
+        const points = agentRadius > 0 ? this.offsetPathCorners([a, b], agentRadius) : [a, b];
+        if (agentRadius > 0) {
+            const count = this.getClearCount(points, agentRadius, []);
+            if (count < points.length) {
+                points.length = count;
+                result.actualEnd = points[count - 1];
+                result.wasClamped = true;
+            }
+        }
+        return NavMesh2d.finishResult(result, points, trianglePath);
+    }
+
+    /**
+     * Mark result as found with the given points
+     */
+    private static finishResult(result: PathResult, points: Point[], trianglePath: TPolygon[]): PathResult {
+        result.status = result.wasClamped ? PathStatus.PARTIAL : PathStatus.COMPLETE;
+        result.points = points;
+        result.trianglePath = trianglePath;
+        for (let i = 1; i < points.length; i++) {
+            result.length += Math.sqrt(Point.getDistanceSquared(points[i - 1], points[i]));
+        }
+        return result;
+    }
+
+    /**
+     * True if the segment stays inside the navmesh. Its ends are moved inwards by 100 times the tolerance,
+     * since path corners lie on mesh vertices, where the start triangle of a raycast is ambiguous.
+     */
+    private isSegmentClear(from: Point, to: Point): boolean {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const f = Math.min(0.5, this.epsilon * 100 / Math.sqrt(dx * dx + dy * dy));
+        return !this.raycast(new Point(from.x + dx * f, from.y + dy * f), new Point(to.x - dx * f, to.y - dy * f)).hit;
+    }
+
+    /**
+     * Round funnel corners with arcs of the agent radius around the mesh vertices.
+     * Consecutive corners are joined by tangent segments, and wall corners that a tangent
+     * passes closer than the radius are rounded as well. Within radius of the kept points,
+     * which stay where they are, the path may come closer to the walls.
+     */
+    private offsetPathCorners(path: Point[], radius: number, kept: readonly Point[] = []): Point[] {
+        if (path.length < 2) return path;
+
+        // Signed radius per path point: positive for left turns, negative for right turns
+        const centers = path.slice();
+        const radii = path.map((p, i) => {
+            if (i === 0 || i === path.length - 1) return 0;
+            const turn = cross(path[i - 1], p, path[i + 1]);
+            if (Math.abs(turn) < this.epsilon * Math.sqrt(Point.getDistanceSquared(path[i - 1], path[i + 1]))) return 0;
+            return turn > 0 ? radius : -radius;
+        });
+
+        // Round the wall corners the tangents pass too closely, on the side they pass them
+        const limit = (radius - this.epsilon) ** 2;
+        let budget = path.length * 4 + 16;
+        for (let i = 0; i < centers.length - 1 && budget > 0; i++) {
+            const [from, to] = circleTangent(centers[i], radii[i], centers[i + 1], radii[i + 1], this.epsilon);
+            const contact = this.findPathContact(from, to, radius, kept);
+            if (!contact || !contact.corner) continue;
+
+            const corner = contact.wall;
+            if (Point.getDistanceSquared(centers[i], corner) < limit || Point.getDistanceSquared(centers[i + 1], corner) < limit) continue;
+
+            let turn = cross(from, to, corner);
+            if (Math.abs(turn) < this.epsilon * Math.sqrt(Point.getDistanceSquared(from, to))) {
+                // The tangent runs through the corner, pass it on the side of the navmesh
+                turn = (to.y - from.y) * contact.normal.x - (to.x - from.x) * contact.normal.y;
+            }
+            centers.splice(i + 1, 0, corner);
+            radii.splice(i + 1, 0, turn > 0 ? radius : -radius);
+            budget--;
+            i--;
+        }
+
+        // Tangent points leaving each point (index i) and entering the next one
+        const leave: Point[] = [];
+        const enter: Point[] = [];
+        for (let i = 0; i < centers.length - 1; i++) {
+            const [from, to] = circleTangent(centers[i], radii[i], centers[i + 1], radii[i + 1], this.epsilon);
+            leave.push(from);
+            enter.push(to);
+        }
+
+        const result: Point[] = [centers[0]];
+        for (let i = 1; i < centers.length - 1; i++) {
+            if (radii[i] === 0) {
+                result.push(centers[i]);
+                continue;
+            }
+            result.push(...arcPoints(centers[i], enter[i - 1], leave[i], radii[i] > 0));
+        }
+        result.push(centers[centers.length - 1]);
+
+        return result;
+    }
+
+    /**
+     * Number of points from the start of the path whose segments keep radius from the walls,
+     * except within radius of the kept points
+     */
+    private getClearCount(path: readonly Point[], radius: number, kept: readonly Point[]): number {
+        for (let i = 1; i < path.length; i++) {
+            if (this.findPathContact(path[i - 1], path[i], radius, kept)) return i;
+        }
+        return path.length;
+    }
+
+    /**
+     * Path end as planPath moves it for the agent radius of the query, unchanged if it has no room.
+     * Searches that find the triangles for planPath start from there.
+     */
+    private clearOfWallsFor(point: Point, query: FindPathOptions): Point {
+        const radius = query.agentRadius ?? 0;
+        return radius > 0 && this.findTriangleContainingPoint(point) ? this.clearOfWalls(point, radius) ?? point : point;
+    }
+
+    /**
+     * Point moved away from the walls closer than radius, null if it has no room for that
+     * inside the navmesh. Points clear of the walls are returned as they are.
+     */
+    private clearOfWalls(point: Point, radius: number): Point | null {
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const contact = this.findWallContact(point, point, radius);
+            if (!contact) return point;
+
+            // Away from the closest wall point, or along the wall normal if the point is on it
+            const dx = point.x - contact.wall.x;
+            const dy = point.y - contact.wall.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const nx = distance > this.epsilon ? dx / distance : contact.normal.x;
+            const ny = distance > this.epsilon ? dy / distance : contact.normal.y;
+            point = new Point(contact.wall.x + nx * radius, contact.wall.y + ny * radius);
+            if (!this.findTriangleContainingPoint(point)) return null;
+        }
+        return null;
+    }
+
+    /**
+     * Closest wall edge within radius of a path segment, leaving out the parts of the segment
+     * within radius of the kept points
+     */
+    private findPathContact(from: Point, to: Point, radius: number, kept: readonly Point[]): WallContact | null {
+        const length = Math.sqrt(Point.getDistanceSquared(from, to));
+        const head = kept.some(p => this.pointsEqual(p, from)) ? radius : 0;
+        const tail = kept.some(p => this.pointsEqual(p, to)) ? length - radius : length;
+        if (head > 0 || tail < length) {
+            if (head >= tail) return null;
+            const dx = (to.x - from.x) / length;
+            const dy = (to.y - from.y) / length;
+            return this.findWallContact(new Point(from.x + dx * head, from.y + dy * head),
+                new Point(from.x + dx * tail, from.y + dy * tail), radius);
+        }
+        return this.findWallContact(from, to, radius);
+    }
+
+    /**
+     * Closest wall edge that comes within radius of the segment from a to b
+     */
+    private findWallContact(a: Point, b: Point, radius: number): WallContact | null {
+        const limit = radius - this.epsilon;
+        let best: WallContact | null = null;
+        const ids = this.grid.queryBox(Math.min(a.x, b.x) - radius, Math.min(a.y, b.y) - radius,
+            Math.max(a.x, b.x) + radius, Math.max(a.y, b.y) + radius);
+        for (const id of ids) {
+            const points = this.triangles[id].mainTriangle;
+            for (let k = 0; k < 3; k++) {
+                if (this.edgeNeighbors[id * 3 + k] !== -1) continue;
+
+                const c = points[k];
+                const d = points[(k + 1) % 3];
+                const contact = this.getClosestApproach(a, b, c, d);
+                if (contact.distance >= limit || (best && contact.distance >= best.distance)) continue;
+
+                // Normal towards the third corner of the triangle
+                const e = points[(k + 2) % 3];
+                const length = Math.sqrt(Point.getDistanceSquared(c, d));
+                const side = cross(c, d, e) > 0 ? 1 : -1;
+                best = {
+                    ...contact,
+                    normal: new Point(-(d.y - c.y) / length * side, (d.x - c.x) / length * side),
+                    corner: contact.wall === c || contact.wall === d
+                };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Shortest distance between the segments ab and cd, with the closest points on both
+     */
+    private getClosestApproach(a: Point, b: Point, c: Point, d: Point): { distance: number, wall: Point, path: Point } {
+        let wall = c;
+        let path = NavMesh2d.closestPointOnSegment(c, a, b);
+        let best = Point.getDistanceSquared(wall, path);
+        const consider = (onWall: Point, onPath: Point) => {
+            const distanceSq = Point.getDistanceSquared(onWall, onPath);
+            if (distanceSq < best) {
+                wall = onWall;
+                path = onPath;
+                best = distanceSq;
+            }
+        };
+        consider(d, NavMesh2d.closestPointOnSegment(d, a, b));
+        consider(NavMesh2d.closestPointOnSegment(a, c, d), a);
+        consider(NavMesh2d.closestPointOnSegment(b, c, d), b);
+
+        const distance = this.segmentsIntersect(a, b, c, d) ? 0 : Math.sqrt(best);
+        return { distance, wall, path };
     }
 
     private findIntersectionWithPolygon(p1: Point, q1: Point, polygon: Polygon): Point | null {
@@ -159,9 +2670,9 @@ export class NavMesh2d {
             }
         };
 
-        findOnEdges(polygon.points);
+        findOnEdges(this.getMeshRing(polygon.points));
         for (const hole of polygon.holes) {
-            findOnEdges(hole.points);
+            findOnEdges(this.getMeshRing(hole.points));
         }
 
         return closestIntersection;
@@ -172,8 +2683,10 @@ export class NavMesh2d {
         const s = new Point(q2.x - p2.x, q2.y - p2.y);
 
         const rxs = r.x * s.y - r.y * s.x;
-        if (Math.abs(rxs) < 1e-8) { // Check for parallel or collinear lines with a small epsilon
-            return null;
+        if (this.fixedGrid !== null) {
+            if (rxs === 0) return null; // Parallel or collinear, exact for grid points
+        } else if (Math.abs(rxs) < this.epsilon * Math.sqrt(s.x * s.x + s.y * s.y)) {
+            return null; // Parallel or collinear within the tolerance
         }
 
         const qp = new Point(p2.x - p1.x, p2.y - p1.y);
@@ -203,12 +2716,15 @@ export class NavMesh2d {
         return new Point(a.x + a_to_b.x * t, a.y + a_to_b.y * t);
     }
 
-    private static isPointOnSegment(p: Point, a: Point, b: Point): boolean {
+    private isPointOnSegment(p: Point, a: Point, b: Point): boolean {
         const ab = new Point(b.x - a.x, b.y - a.y);
         const ap = new Point(p.x - a.x, p.y - a.y);
 
+        // Cross product over the edge length is the distance from the edge line
         const cross = ab.x * ap.y - ab.y * ap.x;
-        if (Math.abs(cross) > 1e-9) {
+        if (this.fixedGrid !== null && isOnGrid(p, this.fixedGrid) && isOnGrid(a, this.fixedGrid) && isOnGrid(b, this.fixedGrid)) {
+            if (cross !== 0) return false; // Exact for grid points
+        } else if (Math.abs(cross) > this.epsilon * Math.sqrt(ab.x * ab.x + ab.y * ab.y)) {
             return false; // Not collinear
         }
 
@@ -235,24 +2751,27 @@ export class NavMesh2d {
             }
         };
 
+        const outer = this.getMeshRing(polygon.points);
+
         // Check all vertices
-        for (const p of polygon.points) {
+        for (const p of outer) {
             checkPoint(p);
         }
 
         // Check edges
-        for (let i = 0; i < polygon.points.length; i++) {
-            const p1 = polygon.points[i];
-            const p2 = polygon.points[(i + 1) % polygon.points.length];
+        for (let i = 0; i < outer.length; i++) {
+            const p1 = outer[i];
+            const p2 = outer[(i + 1) % outer.length];
             const closest = NavMesh2d.closestPointOnSegment(target, p1, p2);
             checkPoint(closest);
         }
 
         // Also check hole edges
         for (const holePolygon of polygon.holes) {
-            for (let i = 0; i < holePolygon.points.length; i++) {
-                const p1 = holePolygon.points[i];
-                const p2 = holePolygon.points[(i + 1) % holePolygon.points.length];
+            const hole = this.getMeshRing(holePolygon.points);
+            for (let i = 0; i < hole.length; i++) {
+                const p1 = hole[i];
+                const p2 = hole[(i + 1) % hole.length];
                 const closest = NavMesh2d.closestPointOnSegment(target, p1, p2);
                 checkPoint(closest);
             }
@@ -262,85 +2781,468 @@ export class NavMesh2d {
     }
 
     /**
-     * A* pathfinding between triangles
+     * Polygon ring as the triangles see it, snapped to the grid on deterministic meshes
+     */
+    private getMeshRing(points: Point[]): Point[] {
+        return this.fixedGrid === null ? points : points.map(p => this.toMeshPoint(p));
+    }
+
+    /**
+     * Search the triangle path of a plan with the algorithm of its query, on the shared search state
+     */
+    private findTrianglePath(plan: SearchPlan, trace: PathTraceListener | null = null): TrianglePath {
+        const startId = this.triangleIds.get(plan.start);
+        const endId = this.triangleIds.get(plan.end);
+        if (startId === undefined || endId === undefined) return { triangles: [], links: [] };
+
+        return this.searchTrianglePath(this.searchState, startId, endId, plan, trace);
+    }
+
+    /**
+     * Run the whole search of a plan on the given state
+     */
+    private searchTrianglePath(state: SearchState, startId: number, endId: number, plan: SearchPlan,
+        trace: PathTraceListener | null = null): TrianglePath {
+        const { query, from, to } = plan;
+        switch (query.algorithm) {
+            case 'bidirectional':
+                return this.findBidirectionalPath(state, startId, endId, query, trace);
+            case 'any-angle':
+                return this.findAnyAnglePath(state, startId, endId, plan, trace);
+            default:
+                this.beginTriangleSearch(state, startId, endId, query, from);
+                return this.continueTriangleSearch(state, endId, query, Infinity, null, trace, to)!;
+        }
+    }
+
+    /**
+     * Reset search state and queue the start triangle. An endId of -1 starts a Dijkstra search.
+     * from is where the path starts for edge-midpoint costs, the start center if not given.
+     */
+    private beginTriangleSearch(state: SearchState, startId: number, endId: number, options: FindPathOptions,
+        from: Point | null = null): void {
+        state.begin(this.triangles.length);
+
+        const startCenter = this.getTriangleCenter(this.triangles[startId]);
+        const startH = endId === -1 ? 0 : this.getSearchEstimate(startCenter,
+            this.getTriangleCenter(this.triangles[endId])) * this.getHeuristicScale(options);
+        state.visit(startId, 0, startH, -1);
+        state.entryX[startId] = (from ?? startCenter).x;
+        state.entryY[startId] = (from ?? startCenter).y;
+        state.open.push(startId, startH);
+    }
+
+    /**
+     * Heuristic stays admissible when some areas are cheaper than default, or off-mesh links
+     * cost less than the distance they cover, unless the query weights it. Dijkstra searches have none.
      */
-    private findTrianglePath(start: TPolygon, end: TPolygon): TPolygon[] {
-        const openSet: PathNode[] = [];
-        const closedSet = new Set<TPolygon>();
-        const nodeMap = new Map<TPolygon, PathNode>();
+    private getHeuristicScale(options: FindPathOptions): number {
+        if (options.algorithm === 'dijkstra') return 0;
+        return Math.min(this.linkCostRatio, ...(options.areaCosts ? Object.values(options.areaCosts) : [])) *
+            (options.heuristicWeight ?? 1);
+    }
+
+    /**
+     * Searches whose paths the reverse search and the bidirectional search reproduce:
+     * optimal A* on centroid costs
+     */
+    private static isExactCentroidSearch(options: FindPathOptions): boolean {
+        const { algorithm = 'astar', costModel = 'centroid', heuristicWeight = 1 } = options;
+        return (algorithm === 'astar' || algorithm === 'dijkstra') && costModel === 'centroid' && heuristicWeight === 1;
+    }
 
-        const startCenter = this.getTriangleCenter(start);
-        const endCenter = this.getTriangleCenter(end);
+    /**
+     * Run at most maxIterations A* iterations. Returns the path once the end is reached,
+     * an empty path if there is none, and null if the search is not finished yet.
+     * With an endId of -1 there is no heuristic, and the search runs until every
+     * triangle in targets is closed, then returns an empty path.
+     * endPoint is where the path ends for edge-midpoint costs, the end center if not given.
+     */
+    private continueTriangleSearch(state: SearchState, endId: number, options: FindPathOptions, maxIterations: number,
+        targets: Set<number> | null = null, trace: PathTraceListener | null = null, endPoint: Point | null = null): TrianglePath | null {
+        const endCenter = endId === -1 ? null : this.getTriangleCenter(this.triangles[endId]);
+        const goal = endPoint ?? endCenter;
+        const agentRadius = options.agentRadius ?? 0;
+        const hScale = this.getHeuristicScale(options);
+        const hasCosts = options.areaCosts !== undefined && Object.keys(options.areaCosts).length > 0;
+        const midpoints = options.costModel === 'edge-midpoint';
+
+        // Edge-midpoint costs: the step runs from where the current triangle was entered to
+        // where the neighbor is entered, and on to the end point when that is the end
+        const relaxAt = (current: number, neighbor: number, point: Point, stepCost: number, via: number) => {
+            const last = neighbor === endId && goal ? this.getSearchDistance(point, goal) * this.getCost(neighbor, hasCosts, options) : 0;
+            const gCost = state.gCost[current] + stepCost + last;
+            const hCost = neighbor === endId || !goal ? 0 : this.getSearchEstimate(point, goal) * hScale;
+
+            // Entering elsewhere changes the heuristic too, so compare f
+            if (state.isVisited(neighbor) && gCost + hCost >= state.gCost[neighbor] + state.hCost[neighbor]) return;
+
+            if (state.isVisited(neighbor)) {
+                state.gCost[neighbor] = gCost;
+                state.hCost[neighbor] = hCost;
+                state.parent[neighbor] = current;
+                state.via[neighbor] = via;
+                state.open.decreaseKey(neighbor, gCost + hCost);
+            } else {
+                state.visit(neighbor, gCost, hCost, current, via);
+                state.open.push(neighbor, gCost + hCost);
+            }
+            state.entryX[neighbor] = point.x;
+            state.entryY[neighbor] = point.y;
+        };
 
-        // Initialize start node
-        const startNode: PathNode = {
-            triangle: start,
-            gCost: 0,
-            hCost: Point.getDistanceQuick(startCenter, endCenter),
-            fCost: 0,
-            parent: null
+        const relax = (current: number, neighbor: number, stepCost: number, via: number) => {
+            const tentativeGCost = state.gCost[current] + stepCost;
+
+            if (!state.isVisited(neighbor)) {
+                const hCost = endCenter ? this.getSearchEstimate(this.getTriangleCenter(this.triangles[neighbor]), endCenter) * hScale : 0;
+                state.visit(neighbor, tentativeGCost, hCost, current, via);
+                state.open.push(neighbor, tentativeGCost + hCost);
+            } else if (tentativeGCost < state.gCost[neighbor]) {
+                state.gCost[neighbor] = tentativeGCost;
+                state.parent[neighbor] = current;
+                state.via[neighbor] = via;
+                state.open.decreaseKey(neighbor, tentativeGCost + state.hCost[neighbor]);
+            }
         };
-        startNode.fCost = startNode.gCost + startNode.hCost;
-
-        openSet.push(startNode);
-        nodeMap.set(start, startNode);
-
-        while (openSet.length > 0) {
-            // Find node with lowest fCost (using simple sort for small sets)
-            openSet.sort((a, b) => a.fCost - b.fCost);
-            const current = openSet.shift()!;
-
-            if (current.triangle === end) {
-                // Reconstruct path
-                const path: TPolygon[] = [];
-                let node: PathNode | null = current;
-                while (node && node.parent) {
-                    path.unshift(node.triangle);
-                    node = node.parent;
-                }
-                return path;
+
+        for (let iteration = 0; state.open.size > 0; iteration++) {
+            if (targets && targets.size === 0) break;
+            if (iteration >= maxIterations) return null;
+
+            const current = state.open.pop();
+            state.iterations++;
+            if (trace?.onExpand) {
+                const g = state.gCost[current];
+                const h = state.hCost[current];
+                trace.onExpand({ triangle: current, g, h, f: g + h, openSize: state.open.size });
             }
 
-            closedSet.add(current.triangle);
+            if (current === endId) return this.traceTrianglePath(state, current);
+
+            state.close(current);
+            targets?.delete(current);
+
+            // Where the current triangle was entered, only used by edge-midpoint costs
+            const entry = midpoints ? new Point(state.entryX[current], state.entryY[current]) : null;
 
             // Check neighbors through connections
-            for (const connection of current.triangle.connections) {
-                const neighbor = connection.neighbor;
-                if (closedSet.has(neighbor)) continue;
-
-                const neighborCenter = this.getTriangleCenter(neighbor);
-                const currentCenter = this.getTriangleCenter(current.triangle);
-                const tentativeGCost = current.gCost + Point.getDistanceQuick(currentCenter, neighborCenter);
-
-                let neighborNode = nodeMap.get(neighbor);
-                if (!neighborNode) {
-                    neighborNode = {
-                        triangle: neighbor,
-                        gCost: tentativeGCost,
-                        hCost: Point.getDistanceQuick(neighborCenter, endCenter),
-                        fCost: 0,
-                        parent: current
-                    };
-                    neighborNode.fCost = neighborNode.gCost + neighborNode.hCost;
-
-                    nodeMap.set(neighbor, neighborNode);
-                    openSet.push(neighborNode);
-                } else if (tentativeGCost < neighborNode.gCost) {
-                    neighborNode.gCost = tentativeGCost;
-                    neighborNode.fCost = neighborNode.gCost + neighborNode.hCost;
-                    neighborNode.parent = current;
+            const neighbors = this.neighbors[current];
+            for (let i = 0; i < neighbors.length; i++) {
+                const neighbor = neighbors[i];
+                if (state.isClosed(neighbor)) continue;
+                if (!this.isTriangleAllowed(neighbor, options)) continue;
+                if (agentRadius > 0 && this.getPortalWidth(current, neighbor) < agentRadius * 2) continue;
+
+                if (entry) {
+                    const midpoint = this.getPortalMidpoint(current, neighbor);
+                    relaxAt(current, neighbor, midpoint, this.getSearchDistance(entry, midpoint) * this.getCost(current, hasCosts, options), -1);
+                } else {
+                    relax(current, neighbor, this.getStepCost(current, neighbor, hasCosts, options), -1);
+                }
+            }
+
+            // Off-mesh links: walk to the link start, traverse it, walk to the target center
+            const links = this.linkEdges[current];
+            for (let index = 0; index < links.length; index++) {
+                const link = links[index];
+                if (state.isClosed(link.target)) continue;
+                if (!this.isTriangleAllowed(link.target, options)) continue;
+
+                if (entry) {
+                    relaxAt(current, link.target, link.to, this.getSearchDistance(entry, link.from) + link.cost / (this.fixedGrid ?? 1), index);
+                } else {
+                    relax(current, link.target, this.getLinkCost(current, link), index);
+                }
+            }
+        }
+
+        return { triangles: [], links: [] }; // No path found
+    }
+
+    /**
+     * Middle of the edge two adjacent triangles share
+     */
+    private getPortalMidpoint(from: number, to: number): Point {
+        const points = this.triangles[from].mainTriangle;
+        for (let k = 0; k < 3; k++) {
+            if (this.edgeNeighbors[from * 3 + k] === to) {
+                const a = points[k];
+                const b = points[(k + 1) % 3];
+                return this.toMeshPoint(new Point((a.x + b.x) / 2, (a.y + b.y) / 2));
+            }
+        }
+        return this.getTriangleCenter(this.triangles[to]);
+    }
+
+    /**
+     * Area cost of walking through a triangle
+     */
+    private getCost(id: number, hasCosts: boolean, options: FindPathOptions): number {
+        return hasCosts ? this.getAreaCost(this.triangleAreas[id], options) : 1;
+    }
+
+    /**
+     * A* from both ends at once on centroid costs, the backward search on a spare state over
+     * reversed edges. Stops once no open triangle can lead to a path cheaper than the best
+     * meeting found, then marks what the backward search expanded as closed in state.
+     */
+    private findBidirectionalPath(state: SearchState, startId: number, endId: number, options: FindPathOptions,
+        trace: PathTraceListener | null): TrianglePath {
+        const backward = this.spareStates.pop() ?? new SearchState(this.triangles.length);
+        const agentRadius = options.agentRadius ?? 0;
+        const hScale = this.getHeuristicScale(options);
+        const hasCosts = options.areaCosts !== undefined && Object.keys(options.areaCosts).length > 0;
+        const startCenter = this.getTriangleCenter(this.triangles[startId]);
+        const endCenter = this.getTriangleCenter(this.triangles[endId]);
+        const centerDistance = (id: number, center: Point) => this.getSearchEstimate(this.getTriangleCenter(this.triangles[id]), center) * hScale;
+
+        this.beginTriangleSearch(state, startId, endId, options);
+        backward.begin(this.triangles.length);
+        const endH = centerDistance(endId, startCenter);
+        backward.visit(endId, 0, endH, -1);
+        backward.open.push(endId, endH);
+
+        // Cheapest path through a triangle both searches reached
+        let bestCost = startId === endId ? 0 : Infinity;
+        let meeting = startId === endId ? startId : -1;
+
+        const relax = (search: SearchState, other: SearchState, current: number, next: number, stepCost: number, via: number,
+            target: Point) => {
+            const gCost = search.gCost[current] + stepCost;
+            if (!search.isVisited(next)) {
+                const hCost = centerDistance(next, target);
+                search.visit(next, gCost, hCost, current, via);
+                search.open.push(next, gCost + hCost);
+            } else if (gCost < search.gCost[next]) {
+                search.gCost[next] = gCost;
+                search.parent[next] = current;
+                search.via[next] = via;
+                search.open.decreaseKey(next, gCost + search.hCost[next]);
+            } else {
+                return;
+            }
+
+            if (other.isVisited(next) && gCost + other.gCost[next] < bestCost) {
+                bestCost = gCost + other.gCost[next];
+                meeting = next;
+            }
+        };
+
+        while (state.open.size > 0 && backward.open.size > 0 &&
+            Math.max(state.open.peekKey(), backward.open.peekKey()) < bestCost) {
+            const forwardStep = state.open.size <= backward.open.size;
+            const search = forwardStep ? state : backward;
+            const current = search.open.pop();
+            state.iterations++;
+            search.close(current);
+            if (trace?.onExpand) {
+                const g = search.gCost[current];
+                const h = search.hCost[current];
+                trace.onExpand({ triangle: current, g, h, f: g + h, openSize: search.open.size });
+            }
+
+            for (const neighbor of this.neighbors[current]) {
+                if (search.isClosed(neighbor)) continue;
+                if (!this.isTriangleAllowed(neighbor, options)) continue;
+                if (agentRadius > 0 && this.getPortalWidth(current, neighbor) < agentRadius * 2) continue;
+
+                if (forwardStep) {
+                    relax(state, backward, current, neighbor, this.getStepCost(current, neighbor, hasCosts, options), -1, endCenter);
+                } else {
+                    relax(backward, state, current, neighbor, this.getStepCost(neighbor, current, hasCosts, options), -1, startCenter);
+                }
+            }
+
+            if (forwardStep) {
+                this.linkEdges[current].forEach((link, index) => {
+                    if (state.isClosed(link.target) || !this.isTriangleAllowed(link.target, options)) return;
+                    relax(state, backward, current, link.target, this.getLinkCost(current, link), index, endCenter);
+                });
+            } else {
+                for (const { source, index } of this.incomingLinks[current]) {
+                    if (backward.isClosed(source) || !this.isTriangleAllowed(source, options)) continue;
+                    relax(backward, state, current, source, this.getLinkCost(source, this.linkEdges[source][index]), index, startCenter);
                 }
             }
         }
 
-        return []; // No path found
+        let path: TrianglePath = { triangles: [], links: [] };
+        if (meeting !== -1) {
+            path = this.traceTrianglePath(state, meeting);
+            for (let id = meeting; backward.parent[id] !== -1; id = backward.parent[id]) {
+                path.triangles.push(this.triangles[backward.parent[id]]);
+                path.links.push(backward.via[id] === -1 ? null : this.linkEdges[id][backward.via[id]]);
+            }
+        }
+
+        for (let id = 0; id < this.triangles.length; id++) {
+            if (backward.isClosed(id)) state.close(id);
+        }
+        this.spareStates.push(backward);
+        return path;
+    }
+
+    /**
+     * Any-angle search of a plan, returning the corridor the shortest path crosses
+     */
+    private findAnyAnglePath(state: SearchState, startId: number, endId: number, plan: SearchPlan,
+        trace: PathTraceListener | null): TrianglePath {
+        const { query, from, to } = plan;
+        const agentRadius = query.agentRadius ?? 0;
+        const mesh = {
+            triangles: this.triangles,
+            edgeNeighbors: this.edgeNeighbors,
+            tolerance: this.epsilon,
+            isEdgeOpen: (triangle: number, edge: number) => {
+                const neighbor = this.edgeNeighbors[triangle * 3 + edge];
+                return neighbor !== -1 && this.isTriangleAllowed(neighbor, query) &&
+                    (agentRadius <= 0 || this.getPortalWidth(triangle, neighbor) >= agentRadius * 2);
+            }
+        };
+
+        state.begin(this.triangles.length);
+        const corridor = findAnyAngleCorridor(mesh, startId, endId, from, to, (triangle, g, h, openSize) => {
+            state.iterations++;
+            state.close(triangle);
+            trace?.onExpand?.({ triangle, g, h, f: g + h, openSize });
+        });
+
+        const triangles = (corridor ?? []).map(id => this.triangles[id]);
+        return { triangles, links: triangles.map(() => null) };
+    }
+
+    /**
+     * Triangle path from the start of a forward search to a visited triangle
+     */
+    private traceTrianglePath(state: SearchState, endId: number): TrianglePath {
+        const triangles: TPolygon[] = [];
+        const links: (LinkEdge | null)[] = [];
+        for (let id = endId; state.parent[id] !== -1; id = state.parent[id]) {
+            triangles.push(this.triangles[id]);
+            links.push(state.via[id] === -1 ? null : this.linkEdges[state.parent[id]][state.via[id]]);
+        }
+        return { triangles: triangles.reverse(), links: links.reverse() };
+    }
+
+    /**
+     * Cost of moving between the centers of two adjacent triangles
+     */
+    private getStepCost(from: number, to: number, hasCosts: boolean, options: FindPathOptions): number {
+        const stepCost = this.getSearchDistance(this.getTriangleCenter(this.triangles[from]), this.getTriangleCenter(this.triangles[to]));
+        if (!hasCosts) return stepCost;
+
+        // Half of the step is walked in each triangle
+        return stepCost * (this.getAreaCost(this.triangleAreas[from], options) +
+            this.getAreaCost(this.triangleAreas[to], options)) / 2;
+    }
+
+    private getLinkCost(from: number, link: LinkEdge): number {
+        return this.getSearchDistance(this.getTriangleCenter(this.triangles[from]), link.from) + link.cost / (this.fixedGrid ?? 1) +
+            this.getSearchDistance(link.to, this.getTriangleCenter(this.triangles[link.target]));
+    }
+
+    /**
+     * Length of a search step. Deterministic meshes count whole grid cells, rounded up,
+     * so costs are exact integers that every engine computes alike.
+     */
+    private getSearchDistance(a: Point, b: Point): number {
+        return this.fixedGrid === null ? Point.getDistanceQuick(a, b) : gridDistance(a, b, this.fixedGrid, true);
+    }
+
+    /**
+     * Heuristic distance, rounded down on deterministic meshes to stay below the step costs
+     */
+    private getSearchEstimate(a: Point, b: Point): number {
+        return this.fixedGrid === null ? Point.getDistanceQuick(a, b) : gridDistance(a, b, this.fixedGrid, false);
+    }
+
+    /**
+     * Start a Dijkstra search from the end triangle over reversed edges. Parents then
+     * point one step towards the end, from any triangle the search has closed.
+     */
+    private beginReverseSearch(state: SearchState, endId: number): void {
+        state.begin(this.triangles.length);
+        state.visit(endId, 0, 0, -1);
+        state.open.push(endId, 0);
+    }
+
+    /**
+     * Run at most maxIterations iterations of the reverse search, removing closed triangles
+     * from starts. Returns true once all starts are closed or the search is exhausted.
+     */
+    private continueReverseSearch(state: SearchState, options: FindPathOptions, maxIterations: number, starts: Set<number>): boolean {
+        const agentRadius = options.agentRadius ?? 0;
+        const hasCosts = options.areaCosts !== undefined && Object.keys(options.areaCosts).length > 0;
+
+        // via is the index of the link edge in linkEdges of the relaxed triangle
+        const relax = (current: number, previous: number, stepCost: number, via: number) => {
+            const tentativeGCost = state.gCost[current] + stepCost;
+
+            if (!state.isVisited(previous)) {
+                state.visit(previous, tentativeGCost, 0, current, via);
+                state.open.push(previous, tentativeGCost);
+            } else if (tentativeGCost < state.gCost[previous]) {
+                state.gCost[previous] = tentativeGCost;
+                state.parent[previous] = current;
+                state.via[previous] = via;
+                state.open.decreaseKey(previous, tentativeGCost);
+            }
+        };
+
+        for (let iteration = 0; state.open.size > 0; iteration++) {
+            if (starts.size === 0) return true;
+            if (iteration >= maxIterations) return false;
+
+            const current = state.open.pop();
+            state.iterations++;
+            state.close(current);
+            starts.delete(current);
+
+            const neighbors = this.neighbors[current];
+            for (let i = 0; i < neighbors.length; i++) {
+                const neighbor = neighbors[i];
+                if (state.isClosed(neighbor)) continue;
+                if (!this.isTriangleAllowed(neighbor, options)) continue;
+                if (agentRadius > 0 && this.getPortalWidth(neighbor, current) < agentRadius * 2) continue;
+
+                relax(current, neighbor, this.getStepCost(neighbor, current, hasCosts, options), -1);
+            }
+
+            const incoming = this.incomingLinks[current];
+            for (let i = 0; i < incoming.length; i++) {
+                const { source, index } = incoming[i];
+                if (state.isClosed(source)) continue;
+                if (!this.isTriangleAllowed(source, options)) continue;
+
+                relax(current, source, this.getLinkCost(source, this.linkEdges[source][index]), index);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Triangle path from a triangle closed by the reverse search to its end
+     */
+    private traceReversePath(state: SearchState, startId: number): TrianglePath {
+        const triangles: TPolygon[] = [];
+        const links: (LinkEdge | null)[] = [];
+        if (!state.isClosed(startId)) return { triangles, links };
+
+        for (let id = startId; state.parent[id] !== -1; id = state.parent[id]) {
+            triangles.push(this.triangles[state.parent[id]]);
+            links.push(state.via[id] === -1 ? null : this.linkEdges[id][state.via[id]]);
+        }
+        return { triangles, links };
     }
 
     /**
      * Optimizes the path using the Funnel Algorithm.
      * This implementation is a robust and correct version of String Pulling.
      */
-    private funnel(start: Point, end: Point, trianglePath: TPolygon[]): Point[] {
+    private funnel(start: Point, end: Point, trianglePath: TPolygon[], maxCorners: number = Infinity,
+        trace: PathTraceListener | null = null): Point[] {
         const portals = this.getPortalEdges(trianglePath);
         if (!portals) return [start, end];
 
@@ -365,9 +3267,12 @@ export class NavMesh2d {
                     right = pRight;
                     rightIndex = i;
                 } else {
-                    path.push(left);
+                    // A portal ending at the apex again leads to the same corner
+                    if (!this.pointsEqual(path[path.length - 1], left)) path.push(left);
+                    if (path.length > maxCorners) return path;
                     apex = left;
                     apexIndex = leftIndex;
+                    trace?.onApex?.({ point: apex, portalIndex: apexIndex });
                     i = apexIndex;
                     left = apex;
                     leftIndex = apexIndex;
@@ -382,9 +3287,12 @@ export class NavMesh2d {
                     left = pLeft;
                     leftIndex = i;
                 } else {
-                    path.push(right);
+                    // A portal ending at the apex again leads to the same corner
+                    if (!this.pointsEqual(path[path.length - 1], right)) path.push(right);
+                    if (path.length > maxCorners) return path;
                     apex = right;
                     apexIndex = rightIndex;
+                    trace?.onApex?.({ point: apex, portalIndex: apexIndex });
                     i = apexIndex;
                     left = apex;
                     leftIndex = apexIndex;
@@ -402,8 +3310,8 @@ export class NavMesh2d {
         return path;
     }
 
-    private getPortalEdges(trianglePath: TPolygon[]): Array<{ left: Point, right: Point }> {
-        const portals: Array<{ left: Point, right: Point }> = [];
+    private getPortalEdges(trianglePath: TPolygon[]): Portal[] {
+        const portals: Portal[] = [];
         for (let i = 0; i < trianglePath.length - 1; i++) {
             const sharedEdge = this.getSharedEdge(trianglePath[i], trianglePath[i + 1]);
             if (sharedEdge) portals.push(sharedEdge);
@@ -411,7 +3319,20 @@ export class NavMesh2d {
         return portals;
     }
 
-    private getSharedEdge(triangle1: TPolygon, triangle2: TPolygon): { left: Point, right: Point } | null {
+    /**
+     * Length of the edge shared by two triangles, 0 if they are not adjacent
+     */
+    private getPortalWidth(from: number, to: number): number {
+        const points = this.triangles[from].mainTriangle;
+        for (let k = 0; k < 3; k++) {
+            if (this.edgeNeighbors[from * 3 + k] === to) {
+                return Math.sqrt(Point.getDistanceSquared(points[k], points[(k + 1) % 3]));
+            }
+        }
+        return 0;
+    }
+
+    private getSharedEdge(triangle1: TPolygon, triangle2: TPolygon): Portal | null {
         const tri1Points = triangle1.mainTriangle;
         const tri2Points = triangle2.mainTriangle;
 
@@ -441,13 +3362,17 @@ export class NavMesh2d {
     }
 
     /**
-     * Removes collinear points from a path.
+     * Removes points closer than the tolerance to the line between their neighbors,
+     * only exactly collinear ones on deterministic meshes.
      */
     private simplifyPath(path: Point[]): Point[] {
         if (path.length < 3) return path;
         const simplified: Point[] = [path[0]];
+        const tolerance = this.fixedGrid === null ? this.epsilon : 0;
         for (let i = 1; i < path.length - 1; i++) {
-            if (Math.abs(this.triArea2(simplified[simplified.length - 1], path[i], path[i + 1])) > 1e-6) {
+            const previous = simplified[simplified.length - 1];
+            const threshold = tolerance * Math.sqrt(Point.getDistanceSquared(previous, path[i + 1]));
+            if (Math.abs(this.triArea2(previous, path[i], path[i + 1])) > threshold) {
                 simplified.push(path[i]);
             }
         }
@@ -480,7 +3405,11 @@ export class NavMesh2d {
 
     private orientation(p: Point, q: Point, r: Point): number {
         const val = (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
-        if (Math.abs(val) < 1e-10) return 0; // Collinear
+        if (this.fixedGrid !== null) {
+            if (val === 0) return 0; // Products of grid coordinates are exact
+        } else if (Math.abs(val) < this.epsilon * Math.sqrt(Point.getDistanceSquared(p, q))) {
+            return 0; // Collinear, r within tolerance of line pq
+        }
         return (val > 0) ? 1 : 2; // Clockwise or Counterclockwise
     }
 
@@ -492,7 +3421,7 @@ export class NavMesh2d {
     }
 
     private pointsEqual(p1: Point, p2: Point): boolean {
-        const epsilon = 1e-9;
-        return Math.abs(p1.x - p2.x) < epsilon && Math.abs(p1.y - p2.y) < epsilon;
+        if (this.fixedGrid !== null) return p1.x === p2.x && p1.y === p2.y;
+        return Math.abs(p1.x - p2.x) < this.epsilon && Math.abs(p1.y - p2.y) < this.epsilon;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,534 @@
+import { Point, Polygon, PolygonMap } from 'poly-math-2d';
+import { difference, union, xor, MultiPolygon, Pair, Ring } from 'polygon-clipping';
+import { DEFAULT_TOLERANCE, NavMesh2d, NavMeshOptions } from './nav-mesh-2d';
+import { snapToGrid, validateGridSize } from './fixed-point';
+
+/**
+ * Options shared by all NavMeshBuilder inputs
+ */
+export interface NavMeshBuilderOptions extends NavMeshOptions {
+    /**
+     * Maximum distance a simplified outline may deviate from the merged one.
+     * 0 by default, which only drops duplicate and collinear points.
+     */
+    simplifyTolerance?: number;
+    /** Line segments per curve: SVG curves, Tiled ellipses. 8 by default */
+    curveSegments?: number;
+}
+
+/**
+ * Options for NavMeshBuilder.fromTileGrid
+ */
+export interface TileGridOptions extends NavMeshBuilderOptions {
+    /** Width and height of a tile in navmesh units, 1 by default */
+    tileSize?: number;
+}
+
+/**
+ * Options for NavMeshBuilder.fromTiledJSON
+ */
+export interface TiledOptions extends NavMeshBuilderOptions {
+    /**
+     * Decide what an object of an object layer is, null to ignore it. By default the class
+     * (or type) of the object, else of its layer, else the layer name is compared to
+     * "walkable" and "obstacle" or "obstacles", ignoring case.
+     */
+    classify?: (object: TiledObject, layer: TiledLayer) => 'walkable' | 'obstacle' | null;
+}
+
+/**
+ * Options for NavMeshBuilder.fromSVG
+ */
+export interface SVGOptions extends NavMeshBuilderOptions {
+    /** Class of walkable shapes, "polygon" by default as in the SVGs of visualizer.js */
+    walkableClass?: string;
+    /** Class of obstacle shapes, "hole" by default */
+    obstacleClass?: string;
+    /** Map SVG coordinates to navmesh coordinates, e.g. to undo the scale of a drawing */
+    transform?: (point: Point) => Point;
+}
+
+/**
+ * Object of a Tiled object layer, the fields the builder reads
+ */
+export interface TiledObject {
+    x: number;
+    y: number;
+    width?: number;
+    height?: number;
+    /** Degrees clockwise around (x, y) */
+    rotation?: number;
+    /** Points relative to (x, y) */
+    polygon?: Array<{ x: number, y: number }>;
+    ellipse?: boolean;
+    point?: boolean;
+    polyline?: Array<{ x: number, y: number }>;
+    visible?: boolean;
+    name?: string;
+    type?: string;
+    class?: string;
+}
+
+/**
+ * Layer of a Tiled map, the fields the builder reads
+ */
+export interface TiledLayer {
+    type: string;
+    name?: string;
+    class?: string;
+    visible?: boolean;
+    objects?: TiledObject[];
+    /** Child layers of group layers */
+    layers?: TiledLayer[];
+}
+
+/**
+ * Horizontal run of walkable tiles from x0 to x1, repeated in every row from y0 on
+ */
+interface TileRun {
+    x0: number;
+    x1: number;
+    y0: number;
+}
+
+/**
+ * Builds a NavMesh2d from level data instead of a ready PolygonMap. Every input is reduced
+ * to walkable outlines and obstacle outlines. Walkable outlines are merged, obstacles are
+ * subtracted from them, and the resulting polygons with their holes are triangulated.
+ */
+export class NavMeshBuilder {
+    /**
+     * Mesh of the union of the outer rings minus the holes
+     */
+    public static fromPolygons(outer: readonly (readonly Point[])[], holes: readonly (readonly Point[])[] = [],
+        options: NavMeshBuilderOptions = {}): NavMesh2d {
+        return NavMeshBuilder.build(outer.map(ring => [NavMeshBuilder.toRing(ring)]), holes.map(ring => [NavMeshBuilder.toRing(ring)]), options);
+    }
+
+    /**
+     * Mesh of the walkable tiles of a grid given as rows. Tile (x, y) covers
+     * x * tileSize to (x + 1) * tileSize horizontally, likewise vertically.
+     */
+    public static fromTileGrid<T>(grid: readonly (readonly T[])[], walkable: (tile: T, x: number, y: number) => boolean,
+        options: TileGridOptions = {}): NavMesh2d {
+        const tileSize = options.tileSize ?? 1;
+        if (!(tileSize > 0)) {
+            throw new Error('Tile size must be a positive number');
+        }
+
+        // Runs of walkable tiles in a row, continued downwards while the rows below have the same run
+        const rectangles: Ring[][] = [];
+        let open = new Map<string, TileRun>();
+        const close = (run: TileRun, y: number) => {
+            const [left, right, top, bottom] = [run.x0, run.x1, run.y0, y].map(v => v * tileSize);
+            rectangles.push([[[left, top], [right, top], [right, bottom], [left, bottom], [left, top]]]);
+        };
+
+        for (let y = 0; y <= grid.length; y++) {
+            const next = new Map<string, TileRun>();
+            const row = grid[y] ?? [];
+            for (let x = 0; x < row.length; x++) {
+                if (!walkable(row[x], x, y)) continue;
+
+                const x0 = x;
+                while (x + 1 < row.length && walkable(row[x + 1], x + 1, y)) x++;
+                const key = `${x0}:${x + 1}`;
+                next.set(key, open.get(key) ?? { x0, x1: x + 1, y0: y });
+            }
+
+            for (const [key, run] of open) {
+                if (next.get(key) !== run) close(run, y);
+            }
+            open = next;
+        }
+
+        return NavMeshBuilder.build(rectangles, [], options);
+    }
+
+    /**
+     * Mesh of the walkable objects of the object layers of a Tiled map (JSON format),
+     * minus its obstacle objects. Accepts the map or its JSON string.
+     * Rectangles, polygons and ellipses are supported; points and polylines are ignored.
+     */
+    public static fromTiledJSON(json: string | { layers: TiledLayer[] }, options: TiledOptions = {}): NavMesh2d {
+        const map = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!map || !Array.isArray(map.layers)) {
+            throw new Error('Tiled map has no layers');
+        }
+
+        const classify = options.classify ?? NavMeshBuilder.classifyTiledObject;
+        const segments = NavMeshBuilder.getCurveSegments(options);
+        const walkable: Ring[][] = [];
+        const obstacles: Ring[][] = [];
+
+        const visit = (layers: TiledLayer[]) => {
+            for (const layer of layers) {
+                if (layer.visible === false) continue;
+                if (layer.type === 'group') visit(layer.layers ?? []);
+                if (layer.type !== 'objectgroup') continue;
+
+                for (const object of layer.objects ?? []) {
+                    if (object.visible === false) continue;
+
+                    const kind = classify(object, layer);
+                    const ring = kind && NavMeshBuilder.getTiledOutline(object, segments);
+                    if (!ring) continue;
+                    (kind === 'walkable' ? walkable : obstacles).push([ring]);
+                }
+            }
+        };
+        visit(map.layers);
+
+        return NavMeshBuilder.build(walkable, obstacles, options);
+    }
+
+    /**
+     * Mesh of the walkable shapes of an SVG document minus its obstacle shapes, told apart by
+     * their class. Reads path, polygon and rect elements; transform attributes are not applied.
+     * Subpaths of one path are combined with the even-odd rule, so a path can carry its own holes.
+     */
+    public static fromSVG(svg: string, options: SVGOptions = {}): NavMesh2d {
+        const walkableClass = options.walkableClass ?? 'polygon';
+        const obstacleClass = options.obstacleClass ?? 'hole';
+        const transform = options.transform ?? ((p: Point) => p);
+        const segments = NavMeshBuilder.getCurveSegments(options);
+
+        const walkable: Ring[][] = [];
+        const obstacles: Ring[][] = [];
+
+        for (const [, tag, body] of svg.matchAll(/<(path|polygon|rect)\b([^>]*)>/g)) {
+            const attributes = new Map<string, string>();
+            for (const [, name, , doubleQuoted, singleQuoted] of body.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                attributes.set(name, doubleQuoted ?? singleQuoted);
+            }
+
+            const classes = (attributes.get('class') ?? '').split(/\s+/);
+            const target = classes.includes(walkableClass) ? walkable : classes.includes(obstacleClass) ? obstacles : null;
+            if (!target) continue;
+
+            let rings: Point[][];
+            if (tag === 'path') {
+                rings = NavMeshBuilder.parsePathData(attributes.get('d') ?? '', segments);
+            } else if (tag === 'polygon') {
+                const values = NavMeshBuilder.parseNumbers(attributes.get('points') ?? '');
+                const points: Point[] = [];
+                for (let i = 0; i + 1 < values.length; i += 2) points.push(new Point(values[i], values[i + 1]));
+                rings = [points];
+            } else {
+                const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => Number(attributes.get(name) ?? 0));
+                rings = [[new Point(x, y), new Point(x + width, y), new Point(x + width, y + height), new Point(x, y + height)]];
+            }
+
+            const shapes = rings
+                .map(ring => NavMeshBuilder.toRing(ring.map(transform)))
+                .filter(ring => ring.length >= 4)
+                .map(ring => [ring]);
+            if (shapes.length === 1) {
+                target.push(shapes[0]);
+            } else if (shapes.length > 1) {
+                target.push(...xor(shapes[0], ...shapes.slice(1)));
+            }
+        }
+
+        return NavMeshBuilder.build(walkable, obstacles, options);
+    }
+
+    /**
+     * Merge walkable shapes, subtract obstacles, simplify the outlines and triangulate
+     */
+    private static build(walkable: Ring[][], obstacles: Ring[][], options: NavMeshBuilderOptions): NavMesh2d {
+        const tolerance = options.simplifyTolerance ?? 0;
+        const meshTolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+        if (!(tolerance >= 0)) {
+            throw new Error('Simplify tolerance must be a non-negative number');
+        }
+        if (walkable.length === 0) {
+            throw new Error('No walkable area to build a navmesh from');
+        }
+
+        let merged: MultiPolygon = union(walkable[0], ...walkable.slice(1));
+        if (obstacles.length > 0) merged = difference(merged, ...obstacles);
+
+        // Deterministic meshes are triangulated from outlines already on the grid
+        const { gridSize } = options;
+        if (gridSize !== undefined) {
+            validateGridSize(gridSize);
+            const snap = ([x, y]: Pair): Pair => [snapToGrid(x, gridSize), snapToGrid(y, gridSize)];
+            merged = merged.map(rings => rings.map(ring => ring.map(snap)));
+        }
+
+        const polygons: Polygon[] = [];
+        for (const [outer, ...holes] of merged) {
+            const outline = NavMeshBuilder.simplify(outer, tolerance, meshTolerance);
+            if (outline.length < 3) continue;
+
+            const holePolygons = holes
+                .map(hole => NavMeshBuilder.simplify(hole, tolerance, meshTolerance))
+                .filter(hole => hole.length >= 3)
+                .map(hole => new Polygon(hole));
+            polygons.push(new Polygon(outline, holePolygons));
+        }
+        if (polygons.length === 0) {
+            throw new Error('No walkable area to build a navmesh from');
+        }
+
+        return new NavMesh2d(new PolygonMap(polygons), { tolerance: options.tolerance, gridSize });
+    }
+
+    /**
+     * Closed ring of coordinate pairs as polygon-clipping expects it
+     */
+    private static toRing(points: readonly Point[]): Ring {
+        const ring: Ring = points.map(p => [p.x, p.y] as Pair);
+        if (ring.length > 0) ring.push(ring[0]);
+        return ring;
+    }
+
+    /**
+     * Douglas-Peucker simplification of a closed ring, returned as points without the closing one.
+     * Duplicate and collinear points are dropped even with a tolerance of 0, up to the mesh tolerance.
+     */
+    private static simplify(ring: Ring, tolerance: number, meshTolerance: number): Point[] {
+        const points = ring.slice(0, -1).map(([x, y]) => new Point(x, y));
+        if (points.length < 3) return [];
+
+        // Split the ring at the point farthest from the first one, then simplify both halves as open lines
+        let far = 1;
+        for (let i = 2; i < points.length; i++) {
+            if (Point.getDistanceSquared(points[0], points[i]) > Point.getDistanceSquared(points[0], points[far])) far = i;
+        }
+
+        const keep = new Array<boolean>(points.length + 1).fill(false);
+        keep[0] = keep[far] = keep[points.length] = true;
+        const closed = [...points, points[0]];
+
+        const stack: Array<[number, number]> = [[0, far], [far, points.length]];
+        while (stack.length > 0) {
+            const [from, to] = stack.pop()!;
+            let worst = -1;
+            let worstDistance = tolerance;
+            for (let i = from + 1; i < to; i++) {
+                const distance = NavMeshBuilder.getLineDistance(closed[i], closed[from], closed[to]);
+                if (distance > worstDistance) {
+                    worst = i;
+                    worstDistance = distance;
+                }
+            }
+            if (worst !== -1) {
+                keep[worst] = true;
+                stack.push([from, worst], [worst, to]);
+            }
+        }
+
+        const simplified = points.filter((_, i) => keep[i]);
+        return NavMeshBuilder.dropStraightCorners(simplified, meshTolerance);
+    }
+
+    /**
+     * Remove points within meshTolerance of the line through their neighbors, where the
+     * outline goes straight on or doubles back onto itself
+     */
+    private static dropStraightCorners(points: Point[], meshTolerance: number): Point[] {
+        let changed = true;
+        while (changed && points.length >= 3) {
+            changed = false;
+            for (let i = 0; i < points.length && points.length >= 3; i++) {
+                const a = points[(i + points.length - 1) % points.length];
+                const b = points[i];
+                const c = points[(i + 1) % points.length];
+                if (NavMeshBuilder.getLineDistance(b, a, c) <= meshTolerance) {
+                    points.splice(i, 1);
+                    changed = true;
+                    i--;
+                }
+            }
+        }
+        return points.length >= 3 ? points : [];
+    }
+
+    /**
+     * Distance from p to the segment ab
+     */
+    private static getLineDistance(p: Point, a: Point, b: Point): number {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return Math.sqrt(Point.getDistanceSquared(p, new Point(a.x + dx * t, a.y + dy * t)));
+    }
+
+    private static classifyTiledObject(object: TiledObject, layer: TiledLayer): 'walkable' | 'obstacle' | null {
+        const kind = (object.class || object.type || layer.class || layer.name || '').toLowerCase();
+        if (kind === 'walkable') return 'walkable';
+        return kind === 'obstacle' || kind === 'obstacles' ? 'obstacle' : null;
+    }
+
+    /**
+     * Outline of a Tiled object in map coordinates, null for objects without an area
+     */
+    private static getTiledOutline(object: TiledObject, segments: number): Ring | null {
+        let points: Point[];
+        if (object.point || object.polyline) {
+            return null;
+        } else if (object.polygon) {
+            points = object.polygon.map(p => new Point(p.x, p.y));
+        } else {
+            const width = object.width ?? 0;
+            const height = object.height ?? 0;
+            if (width <= 0 || height <= 0) return null;
+
+            if (object.ellipse) {
+                points = [];
+                const steps = Math.max(8, segments * 4);
+                for (let i = 0; i < steps; i++) {
+                    const angle = i / steps * Math.PI * 2;
+                    points.push(new Point(width / 2 * (1 + Math.cos(angle)), height / 2 * (1 + Math.sin(angle))));
+                }
+            } else {
+                points = [new Point(0, 0), new Point(width, 0), new Point(width, height), new Point(0, height)];
+            }
+        }
+        if (points.length < 3) return null;
+
+        const angle = (object.rotation ?? 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return NavMeshBuilder.toRing(points.map(p => new Point(object.x + p.x * cos - p.y * sin, object.y + p.x * sin + p.y * cos)));
+    }
+
+    private static getCurveSegments(options: NavMeshBuilderOptions): number {
+        const segments = options.curveSegments ?? 8;
+        if (!(Number.isInteger(segments) && segments >= 1)) {
+            throw new Error('Curve segments must be a positive integer');
+        }
+        return segments;
+    }
+
+    private static parseNumbers(text: string): number[] {
+        return (text.match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? []).map(Number);
+    }
+
+    /**
+     * Rings of the subpaths of SVG path data. Curves are flattened, arcs are not supported.
+     */
+    private static parsePathData(d: string, segments: number): Point[][] {
+        const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? [];
+        const rings: Point[][] = [];
+        let ring: Point[] = [];
+        let current = new Point(0, 0);
+        let start = current;
+        // Last control point of a cubic and of a quadratic curve, reflected by S and T
+        let cubicControl: Point | null = null;
+        let quadraticControl: Point | null = null;
+        let command = '';
+        let i = 0;
+
+        const number = () => {
+            const value = Number(tokens[i++]);
+            if (i > tokens.length || Number.isNaN(value)) {
+                throw new Error(`Invalid SVG path data "${d}"`);
+            }
+            return value;
+        };
+        const point = (relative: boolean) => {
+            const x = number();
+            const y = number();
+            return relative ? new Point(current.x + x, current.y + y) : new Point(x, y);
+        };
+        const curve = (c1: Point, c2: Point, end: Point) => {
+            for (let k = 1; k <= segments; k++) {
+                const t = k / segments;
+                const s = 1 - t;
+                ring.push(new Point(
+                    s * s * s * current.x + 3 * s * s * t * c1.x + 3 * s * t * t * c2.x + t * t * t * end.x,
+                    s * s * s * current.y + 3 * s * s * t * c1.y + 3 * s * t * t * c2.y + t * t * t * end.y
+                ));
+            }
+            cubicControl = c2;
+            current = end;
+        };
+        const quadratic = (c: Point, end: Point) => {
+            // Same curve as a cubic with control points 2/3 of the way to c
+            curve(
+                new Point(current.x + (c.x - current.x) * 2 / 3, current.y + (c.y - current.y) * 2 / 3),
+                new Point(end.x + (c.x - end.x) * 2 / 3, end.y + (c.y - end.y) * 2 / 3),
+                end
+            );
+            cubicControl = null;
+            quadraticControl = c;
+        };
+        const reflect = (control: Point | null) => control ? new Point(current.x * 2 - control.x, current.y * 2 - control.y) : current;
+        const finishRing = () => {
+            if (ring.length >= 3) rings.push(ring);
+            ring = [];
+        };
+
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) {
+                command = tokens[i++];
+            } else if (command === 'M' || command === 'm') {
+                command = command === 'M' ? 'L' : 'l'; // Extra pairs after a move are lines
+            } else if (command === '' || command === 'Z' || command === 'z') {
+                throw new Error(`Invalid SVG path data "${d}"`);
+            }
+
+            const relative = command === command.toLowerCase();
+            const [previousCubic, previousQuadratic] = [cubicControl, quadraticControl];
+            cubicControl = quadraticControl = null;
+
+            // Drawing after Z starts a new subpath where the closed one started
+            if (ring.length === 0 && !'MmZz'.includes(command)) ring.push(current);
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    finishRing();
+                    current = start = point(relative);
+                    ring.push(current);
+                    break;
+                case 'L':
+                    current = point(relative);
+                    ring.push(current);
+                    break;
+                case 'H':
+                    current = new Point((relative ? current.x : 0) + number(), current.y);
+                    ring.push(current);
+                    break;
+                case 'V':
+                    current = new Point(current.x, (relative ? current.y : 0) + number());
+                    ring.push(current);
+                    break;
+                case 'C': {
+                    const c1 = point(relative);
+                    const c2 = point(relative);
+                    curve(c1, c2, point(relative));
+                    break;
+                }
+                case 'S': {
+                    const c1 = reflect(previousCubic);
+                    const c2 = point(relative);
+                    curve(c1, c2, point(relative));
+                    break;
+                }
+                case 'Q': {
+                    const c = point(relative);
+                    quadratic(c, point(relative));
+                    break;
+                }
+                case 'T': {
+                    const c = reflect(previousQuadratic);
+                    quadratic(c, point(relative));
+                    break;
+                }
+                case 'Z':
+                    finishRing();
+                    current = start;
+                    break;
+                default:
+                    throw new Error(`Unsupported SVG path command "${command}"`);
+            }
+        }
+        finishRing();
+
+        return rings;
+    }
+}
\ No newline at end of file
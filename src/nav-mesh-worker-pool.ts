@@ -0,0 +1,281 @@
+import * as os from 'os';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import { Point, TPolygon } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions, LinkedPath, OffMeshLinkId, PathResult, Portal } from './nav-mesh-2d';
+
+/**
+ * Options for NavMeshWorkerPool
+ */
+export interface NavMeshWorkerPoolOptions {
+    /** Number of worker threads, one less than the number of CPUs by default */
+    workerCount?: number;
+}
+
+/**
+ * Queries a worker can answer
+ */
+export type WorkerMethod = 'findPath' | 'findPathWithLinks' | 'findPathDetailed' | 'isPointInNavMesh';
+
+/**
+ * Messages sent to a worker. Meshes come as a transferred binary buffer,
+ * or as JSON if their area types don't fit the binary format.
+ */
+export type WorkerRequest =
+    | { type: 'load', buffer: ArrayBuffer | null, json: string | null, tolerance: number, gridSize: number | null }
+    | { type: 'call', id: number, method: WorkerMethod, args: unknown[] };
+
+/**
+ * Messages sent back by a worker
+ */
+export type WorkerResponse =
+    | { id: number, result: unknown }
+    | { id: number, error: string };
+
+/**
+ * PathResult as sent by a worker, with triangles as indices into the mesh triangles
+ */
+export interface SerializedPathResult extends Omit<PathResult, 'trianglePath'> {
+    trianglePath: number[];
+}
+
+/**
+ * State of the source mesh a worker query was sent for, used to map indices back
+ */
+interface MeshSnapshot {
+    version: number;
+    /** A loaded copy keeps the triangle order, so the indices of a worker point into this list */
+    triangles: readonly TPolygon[];
+    /** Id of each link in the source mesh, the baked copy numbers them from 1 */
+    linkIds: OffMeshLinkId[];
+}
+
+interface PendingCall {
+    method: WorkerMethod;
+    snapshot: MeshSnapshot;
+    resolve: (value: unknown) => void;
+    reject: (error: Error) => void;
+}
+
+interface PoolWorker {
+    worker: Worker;
+    pending: Map<number, PendingCall>;
+    alive: boolean;
+    /** Started successfully, so a crash is worth a replacement */
+    online: boolean;
+}
+
+/**
+ * Runs path queries of a navmesh on worker threads. Each worker gets a baked copy of the
+ * mesh as a transferred buffer. Methods mirror NavMesh2d but return promises.
+ *
+ * Changes of the source mesh (obstacles, areas, links) are shipped to the workers before
+ * the next query. Queries go to the worker with the fewest unanswered calls. A worker that
+ * crashes rejects its unanswered calls with the error and is replaced by a new one.
+ */
+export class NavMeshWorkerPool {
+    private workers: PoolWorker[] = [];
+    private snapshot!: MeshSnapshot;
+    private baked: { buffer: ArrayBuffer | null, json: string | null } = { buffer: null, json: null };
+    private nextCallId = 1;
+    private terminated = false;
+
+    constructor(private mesh: NavMesh2d, options: NavMeshWorkerPoolOptions = {}) {
+        const count = options.workerCount ?? Math.max(1, os.cpus().length - 1);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Worker count must be a positive integer');
+        }
+
+        for (let i = 0; i < count; i++) {
+            this.workers.push(this.spawn());
+        }
+        this.ship();
+    }
+
+    public get workerCount(): number {
+        return this.workers.filter(w => w.alive).length;
+    }
+
+    public findPath(a: Point, b: Point, options: boolean | FindPathOptions = false): Promise<Point[]> {
+        return this.call('findPath', [a, b, options]) as Promise<Point[]>;
+    }
+
+    public findPathWithLinks(a: Point, b: Point, options: boolean | FindPathOptions = false): Promise<LinkedPath> {
+        return this.call('findPathWithLinks', [a, b, options]) as Promise<LinkedPath>;
+    }
+
+    public findPathDetailed(a: Point, b: Point, options: boolean | FindPathOptions = false): Promise<PathResult> {
+        return this.call('findPathDetailed', [a, b, options]) as Promise<PathResult>;
+    }
+
+    public isPointInNavMesh(point: Point): Promise<boolean> {
+        return this.call('isPointInNavMesh', [point]) as Promise<boolean>;
+    }
+
+    /**
+     * Stop all workers. Unanswered queries are rejected.
+     */
+    public async terminate(): Promise<void> {
+        this.terminated = true;
+        await Promise.all(this.workers.map(w => w.worker.terminate()));
+    }
+
+    private spawn(): PoolWorker {
+        const poolWorker: PoolWorker = {
+            worker: new Worker(path.join(__dirname, 'nav-mesh-worker.js')),
+            pending: new Map(),
+            alive: true,
+            online: false
+        };
+
+        poolWorker.worker.on('online', () => {
+            poolWorker.online = true;
+        });
+
+        poolWorker.worker.on('message', (response: WorkerResponse) => {
+            const call = poolWorker.pending.get(response.id);
+            if (!call) return;
+
+            poolWorker.pending.delete(response.id);
+            if ('error' in response) {
+                call.reject(new Error(response.error));
+            } else {
+                call.resolve(NavMeshWorkerPool.decode(call.method, response.result, call.snapshot));
+            }
+        });
+
+        // Errors are followed by exit, which then finds the worker already stopped
+        poolWorker.worker.on('error', error => this.stop(poolWorker, error));
+        poolWorker.worker.on('exit', () => this.stop(poolWorker, new Error('Navmesh worker stopped')));
+
+        return poolWorker;
+    }
+
+    /**
+     * Reject the unanswered calls of a worker that died and start a replacement,
+     * unless the pool is terminated or the worker never started
+     */
+    private stop(poolWorker: PoolWorker, error: Error): void {
+        if (!poolWorker.alive) return;
+
+        poolWorker.alive = false;
+        poolWorker.pending.forEach(call => call.reject(error));
+        poolWorker.pending.clear();
+        if (this.terminated || !poolWorker.online) return;
+
+        const replacement = this.spawn();
+        this.workers[this.workers.indexOf(poolWorker)] = replacement;
+        this.load(replacement);
+    }
+
+    /**
+     * Send the current state of the source mesh to every worker
+     */
+    private ship(): void {
+        this.snapshot = {
+            version: this.mesh.version,
+            triangles: [...this.mesh.getTriangles()],
+            linkIds: this.mesh.getOffMeshLinkIds()
+        };
+
+        try {
+            this.baked = { buffer: this.mesh.toBinary(), json: null };
+        } catch {
+            this.baked = { buffer: null, json: JSON.stringify(this.mesh.toJSON()) }; // Area types that are not 32-bit integers
+        }
+
+        for (const poolWorker of this.workers) {
+            if (poolWorker.alive) this.load(poolWorker);
+        }
+    }
+
+    /**
+     * Send the last shipped mesh to one worker
+     */
+    private load(poolWorker: PoolWorker): void {
+        const { buffer, json } = this.baked;
+        const { tolerance, gridSize } = this.mesh;
+        const copy = buffer ? buffer.slice(0) : null;
+        const message: WorkerRequest = { type: 'load', buffer: copy, json, tolerance, gridSize };
+        poolWorker.worker.postMessage(message, copy ? [copy] : []);
+    }
+
+    private call(method: WorkerMethod, args: unknown[]): Promise<unknown> {
+        return new Promise((resolve, reject) => {
+            const options = args[2];
+            if (typeof options === 'object' && options !== null && (options as FindPathOptions).triangleFilter) {
+                reject(new Error('triangleFilter can not be sent to a worker'));
+                return;
+            }
+            if (typeof options === 'object' && options !== null && typeof (options as FindPathOptions).trace === 'object') {
+                reject(new Error('Trace listeners can not be sent to a worker'));
+                return;
+            }
+
+            if (this.mesh.version !== this.snapshot.version) this.ship();
+
+            let target: PoolWorker | null = null;
+            for (const poolWorker of this.workers) {
+                if (poolWorker.alive && (!target || poolWorker.pending.size < target.pending.size)) {
+                    target = poolWorker;
+                }
+            }
+            if (!target) {
+                reject(new Error('Navmesh worker pool is terminated'));
+                return;
+            }
+
+            const id = this.nextCallId++;
+            target.pending.set(id, { method, snapshot: this.snapshot, resolve, reject });
+            const message: WorkerRequest = { type: 'call', id, method, args };
+            target.worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Turn a structured clone back into the types NavMesh2d returns
+     */
+    private static decode(method: WorkerMethod, value: unknown, snapshot: MeshSnapshot): unknown {
+        const point = (p: Point) => new Point(p.x, p.y);
+        const points = (list: Point[]) => list.map(point);
+        const portals = (list: Portal[]) => list.map(portal => ({ left: point(portal.left), right: point(portal.right) }));
+        const linkId = (id: OffMeshLinkId) => snapshot.linkIds[id - 1];
+
+        switch (method) {
+            case 'isPointInNavMesh':
+                return value;
+            case 'findPath':
+                return points(value as Point[]);
+            case 'findPathWithLinks': {
+                const linked = value as LinkedPath;
+                return {
+                    points: points(linked.points),
+                    links: linked.links.map(link => ({ linkId: linkId(link.linkId), index: link.index }))
+                };
+            }
+            case 'findPathDetailed': {
+                const result = value as SerializedPathResult;
+                const decoded: PathResult = {
+                    status: result.status,
+                    points: points(result.points),
+                    requestedEnd: point(result.requestedEnd),
+                    actualEnd: result.actualEnd && point(result.actualEnd),
+                    wasClamped: result.wasClamped,
+                    length: result.length,
+                    trianglePath: result.trianglePath.map(i => snapshot.triangles[i]),
+                    portals: portals(result.portals),
+                    links: result.links.map(link => ({ linkId: linkId(link.linkId), index: link.index }))
+                };
+                if (result.trace) {
+                    decoded.trace = {
+                        expanded: result.trace.expanded,
+                        portals: portals(result.trace.portals),
+                        apexes: result.trace.apexes.map(apex => ({ point: point(apex.point), portalIndex: apex.portalIndex })),
+                        timings: result.trace.timings
+                    };
+                }
+                return decoded;
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { parentPort } from 'worker_threads';
+import { Point, TPolygon } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions } from './nav-mesh-2d';
+import type { SerializedPathResult, WorkerRequest, WorkerResponse } from './nav-mesh-worker-pool';
+
+/**
+ * Worker thread entry of NavMeshWorkerPool: holds a baked copy of the mesh and answers queries
+ */
+
+let mesh: NavMesh2d | null = null;
+let triangleIds = new Map<TPolygon, number>();
+let loadError: string | null = null;
+
+const toPoint = (p: Point) => new Point(p.x, p.y);
+
+function handle(request: WorkerRequest & { type: 'call' }): unknown {
+    if (!mesh) throw new Error(loadError ?? 'Navmesh worker has no mesh');
+
+    if (request.method === 'isPointInNavMesh') {
+        return mesh.isPointInNavMesh(toPoint(request.args[0] as Point));
+    }
+
+    const a = toPoint(request.args[0] as Point);
+    const b = toPoint(request.args[1] as Point);
+    const options = request.args[2] as boolean | FindPathOptions;
+
+    switch (request.method) {
+        case 'findPath':
+            return mesh.findPath(a, b, options);
+        case 'findPathWithLinks':
+            return mesh.findPathWithLinks(a, b, options);
+        case 'findPathDetailed': {
+            const result = mesh.findPathDetailed(a, b, options);
+            const serialized: SerializedPathResult = { ...result, trianglePath: result.trianglePath.map(t => triangleIds.get(t)!) };
+            return serialized;
+        }
+    }
+}
+
+parentPort!.on('message', (request: WorkerRequest) => {
+    if (request.type === 'load') {
+        // A mesh that fails to load is reported by the calls, crashing would only get the worker replaced
+        const options = { tolerance: request.tolerance, gridSize: request.gridSize ?? undefined };
+        try {
+            mesh = request.buffer ? NavMesh2d.fromBinary(request.buffer, options) : NavMesh2d.fromJSON(request.json!, options);
+            triangleIds = new Map(mesh.getTriangles().map((triangle, id) => [triangle, id]));
+            loadError = null;
+        } catch (error) {
+            mesh = null;
+            loadError = error instanceof Error ? error.message : String(error);
+        }
+        return;
+    }
+
+    let response: WorkerResponse;
+    try {
+        response = { id: request.id, result: handle(request) };
+    } catch (error) {
+        response = { id: request.id, error: error instanceof Error ? error.message : String(error) };
+    }
+    parentPort!.postMessage(response);
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+import { Point, TPolygon } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions, PathStatus } from './nav-mesh-2d';
+
+/**
+ * Options for PathCorridor
+ */
+export interface PathCorridorOptions {
+    /** Options for full replans, agentRadius is also used for corners */
+    pathOptions?: FindPathOptions;
+    /** Default number of corners returned by findCorners */
+    maxCorners?: number;
+}
+
+/**
+ * Triangle path from a moving position to a moving target.
+ *
+ * The corridor is planned once, then kept up to date locally: movePosition and
+ * moveTarget walk the triangle adjacency from the old point to the new one and
+ * splice the visited triangles onto the corridor ends. Only the next few corners are
+ * string-pulled when they are needed. A full replan happens only when the corridor
+ * breaks: the mesh changed under it, or the target moved somewhere the local walk
+ * cannot reach. Corridors do not follow off-mesh links, a planned path ends where
+ * its first link starts.
+ */
+export class PathCorridor {
+    private path: TPolygon[] = [];
+    private currentPosition: Point;
+    private currentTarget: Point;
+    private meshVersion: number;
+    private replans = 0;
+    private pathOptions: FindPathOptions;
+    private maxCorners: number;
+
+    constructor(private mesh: NavMesh2d, options: PathCorridorOptions = {}) {
+        this.pathOptions = options.pathOptions ?? {};
+        this.maxCorners = options.maxCorners ?? 4;
+        this.currentPosition = new Point(0, 0);
+        this.currentTarget = new Point(0, 0);
+        this.meshVersion = mesh.version;
+    }
+
+    public get position(): Point {
+        return this.currentPosition;
+    }
+
+    public get target(): Point {
+        return this.currentTarget;
+    }
+
+    /**
+     * Triangles from the one containing the position to the one containing the target
+     */
+    public get triangles(): readonly TPolygon[] {
+        return this.path;
+    }
+
+    /**
+     * Number of full path searches done so far
+     */
+    public get replanCount(): number {
+        return this.replans;
+    }
+
+    /**
+     * Plan a new corridor with a full path search. Returns false if there is no path.
+     */
+    public reset(position: Point, target: Point): boolean {
+        this.currentPosition = position;
+        this.currentTarget = target;
+        return this.replan();
+    }
+
+    /**
+     * Move the position, e.g. to where the agent actually is. The move slides along
+     * walls, and triangles walked through are added to or trimmed from the corridor start.
+     */
+    public movePosition(position: Point): boolean {
+        if (!this.isValid()) {
+            this.currentPosition = position;
+            return this.replan();
+        }
+
+        const move = this.mesh.moveAlongSurface(this.currentPosition, position);
+        const merged = PathCorridor.mergeStart(this.path, move.visited);
+        if (!merged) {
+            this.currentPosition = move.position;
+            return this.replan();
+        }
+
+        this.currentPosition = move.position;
+        this.path = merged;
+        return true;
+    }
+
+    /**
+     * Move the target. Small moves extend or trim the corridor end, the corridor is
+     * planned again only if the new target can't be reached from the old one locally.
+     */
+    public moveTarget(target: Point): boolean {
+        if (!this.isValid()) {
+            this.currentTarget = target;
+            return this.replan();
+        }
+
+        const move = this.mesh.moveAlongSurface(this.currentTarget, target);
+        const merged = PathCorridor.mergeEnd(this.path, move.visited);
+        if (!merged || Point.getDistanceSquared(move.position, target) > this.mesh.tolerance ** 2) {
+            this.currentTarget = target;
+            return this.replan();
+        }
+
+        this.currentTarget = move.position;
+        this.path = merged;
+        return true;
+    }
+
+    /**
+     * Next corners of the straight path, without the current position.
+     * The target is the last corner once it is in reach of the funnel.
+     */
+    public findCorners(maxCorners: number = this.maxCorners): Point[] {
+        if (this.path.length === 0) return [];
+
+        const corners = this.mesh.findStraightPath(this.currentPosition, this.currentTarget, this.path, {
+            maxCorners,
+            agentRadius: this.pathOptions.agentRadius
+        });
+        return corners.slice(1);
+    }
+
+    /**
+     * True if every corridor triangle still exists. Obstacles re-triangulate polygons,
+     * which replaces their triangles.
+     */
+    public isValid(): boolean {
+        if (this.path.length === 0) return false;
+        if (this.meshVersion === this.mesh.version) return true;
+
+        const triangles = new Set(this.mesh.getTriangles());
+        if (!this.path.every(t => triangles.has(t))) return false;
+
+        this.meshVersion = this.mesh.version;
+        return true;
+    }
+
+    private replan(): boolean {
+        this.replans++;
+        this.meshVersion = this.mesh.version;
+        this.path = [];
+
+        // Position may be covered by a new obstacle
+        if (!this.mesh.isPointInNavMesh(this.currentPosition)) {
+            const nearest = this.mesh.findNearestPoint(this.currentPosition);
+            if (!nearest) return false;
+            this.currentPosition = nearest;
+        }
+
+        const result = this.mesh.findPathDetailed(this.currentPosition, this.currentTarget, this.pathOptions);
+        if (result.status !== PathStatus.COMPLETE && result.status !== PathStatus.PARTIAL) {
+            return false;
+        }
+
+        this.path = result.trianglePath;
+        this.currentTarget = result.actualEnd!;
+
+        if (result.links.length > 0) {
+            // Cut at the first link, its start becomes the target
+            const linkStart = result.points[result.links[0].index];
+            const cut = this.path.findIndex((t, i) => i > 0 && !this.mesh.getNeighbors(this.path[i - 1]).includes(t));
+            if (cut > 0) this.path = this.path.slice(0, cut);
+            this.currentTarget = linkStart;
+        }
+
+        return true;
+    }
+
+    /**
+     * Replace the corridor start with the triangles walked from it.
+     * Null if the walk and the corridor have no triangle in common.
+     */
+    private static mergeStart(path: TPolygon[], visited: TPolygon[]): TPolygon[] | null {
+        // Furthest triangle along the corridor that was walked through
+        for (let i = path.length - 1; i >= 0; i--) {
+            const j = visited.lastIndexOf(path[i]);
+            if (j !== -1) {
+                return visited.slice(j).reverse().concat(path.slice(i + 1));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace the corridor end with the triangles walked from it
+     */
+    private static mergeEnd(path: TPolygon[], visited: TPolygon[]): TPolygon[] | null {
+        // Earliest triangle along the corridor that was walked through, to take shortcuts
+        for (let i = 0; i < path.length; i++) {
+            const j = visited.lastIndexOf(path[i]);
+            if (j !== -1) {
+                return path.slice(0, i).concat(visited.slice(j));
+            }
+        }
+        return null;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { Point } from 'poly-math-2d';
+import { NavMesh2d, FindPathOptions, PathQuery, PathResult } from './nav-mesh-2d';
+
+/**
+ * Options for PathQueryQueue.request
+ */
+export interface PathRequestOptions extends FindPathOptions {
+    /** Requests with higher priority are searched first, 0 by default */
+    priority?: number;
+    /** Cancels the request when aborted */
+    signal?: AbortSignal;
+}
+
+/**
+ * Rejection reason of cancelled path requests
+ */
+export class PathQueryCancelledError extends Error {
+    constructor() {
+        super('Path request was cancelled');
+        this.name = 'PathQueryCancelledError';
+    }
+}
+
+/**
+ * Queued request with its promise callbacks
+ */
+interface PathRequest {
+    start: Point;
+    end: Point;
+    options: FindPathOptions;
+    /** Requests with the same key may share one search */
+    key: string;
+    priority: number;
+    order: number;
+    resolve: (result: PathResult) => void;
+    reject: (error: Error) => void;
+    detach: () => void;
+}
+
+/**
+ * Requests searched together by one path query
+ */
+interface Batch {
+    requests: (PathRequest | null)[];
+    query: PathQuery;
+}
+
+/**
+ * Spreads path searches over frames. request() queues a search and returns a promise,
+ * update() runs queued searches until its iteration budget is used up.
+ *
+ * Requests are served by priority, then in the order they were made. When a request
+ * is started, all queued requests to the same end point with the same path options are
+ * started with it and share one reverse search from the end. A running search is
+ * never preempted, requests with higher priority wait until it is finished.
+ */
+export class PathQueryQueue {
+    private queue: PathRequest[] = [];
+    private active: Batch | null = null;
+    private nextOrder = 0;
+
+    constructor(private mesh: NavMesh2d) {}
+
+    /**
+     * Number of requests waiting or being searched
+     */
+    public get size(): number {
+        const running = this.active ? this.active.requests.filter(r => r !== null).length : 0;
+        return this.queue.length + running;
+    }
+
+    /**
+     * Queue a path search from a to b. The promise resolves with the result
+     * findPathDetailed would return, or rejects with PathQueryCancelledError.
+     */
+    public request(a: Point, b: Point, options: PathRequestOptions = {}): Promise<PathResult> {
+        const { priority = 0, signal, ...pathOptions } = options;
+
+        return new Promise<PathResult>((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new PathQueryCancelledError());
+                return;
+            }
+
+            const request: PathRequest = {
+                start: a,
+                end: b,
+                options: pathOptions,
+                key: PathQueryQueue.getGroupKey(b, pathOptions),
+                priority,
+                order: this.nextOrder++,
+                resolve,
+                reject,
+                detach: () => {}
+            };
+
+            if (signal) {
+                const onAbort = () => this.cancelRequest(request);
+                signal.addEventListener('abort', onAbort);
+                request.detach = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.queue.push(request);
+        });
+    }
+
+    /**
+     * Run queued searches for at most maxIterations search iterations in total.
+     * Returns the number of iterations used.
+     */
+    public update(maxIterations: number): number {
+        let used = 0;
+
+        while (used < maxIterations) {
+            if (!this.active) {
+                if (this.queue.length === 0) break;
+                this.startBatch();
+                continue;
+            }
+
+            const batch = this.active;
+            used += batch.query.step(maxIterations - used);
+            if (!batch.query.done) break;
+
+            this.active = null;
+            batch.requests.forEach((request, i) => {
+                if (!request) return;
+                request.detach();
+                request.resolve(batch.query.results[i]!);
+            });
+        }
+
+        return used;
+    }
+
+    /**
+     * Cancel all waiting and running requests
+     */
+    public cancelAll(): void {
+        const requests = [...this.queue, ...(this.active ? this.active.requests : [])];
+        requests.forEach(request => request && this.cancelRequest(request));
+    }
+
+    /**
+     * Start searching the most important request together with the requests it can share a search with
+     */
+    private startBatch(): void {
+        let first = this.queue[0];
+        for (const request of this.queue) {
+            if (request.priority > first.priority || (request.priority === first.priority && request.order < first.order)) {
+                first = request;
+            }
+        }
+
+        const requests = this.queue.filter(r => r.key === first.key && PathQueryQueue.haveSameCallbacks(r.options, first.options));
+        this.queue = this.queue.filter(r => !requests.includes(r));
+
+        try {
+            const query = this.mesh.createPathQuery(requests.map(r => r.start), first.end, first.options);
+            this.active = { requests, query };
+        } catch (error) {
+            // Invalid options, every request of the batch has the same ones
+            requests.forEach(request => {
+                request.detach();
+                request.reject(error as Error);
+            });
+        }
+    }
+
+    private cancelRequest(request: PathRequest): void {
+        const index = this.queue.indexOf(request);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        } else if (this.active) {
+            const slot = this.active.requests.indexOf(request);
+            if (slot === -1) return;
+
+            this.active.requests[slot] = null;
+            if (this.active.requests.every(r => r === null)) {
+                this.active.query.cancel();
+                this.active = null;
+            }
+        } else {
+            return;
+        }
+
+        request.detach();
+        request.reject(new PathQueryCancelledError());
+    }
+
+    /**
+     * End point and options that can be compared as a string; filters and trace listeners are compared separately
+     */
+    private static getGroupKey(end: Point, options: FindPathOptions): string {
+        return JSON.stringify([
+            end.x, end.y, options.closestToStart ?? false, options.agentRadius ?? 0,
+            options.areaCosts ?? null, options.excludeAreas ?? null, options.includeAreas ?? null,
+            options.smoothing ?? null, options.algorithm ?? 'astar', options.costModel ?? 'centroid',
+            options.heuristicWeight ?? 1, options.trace === true
+        ]);
+    }
+
+    private static haveSameCallbacks(a: FindPathOptions, b: FindPathOptions): boolean {
+        const listener = (options: FindPathOptions) => typeof options.trace === 'object' ? options.trace : null;
+        return a.triangleFilter === b.triangleFilter && listener(a) === listener(b);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,311 @@
+import { Point } from 'poly-math-2d';
+import { DEFAULT_TOLERANCE } from './tolerance';
+
+/**
+ * Curve types for FindPathOptions.smoothing
+ */
+export type PathSmoothingType = 'catmull-rom' | 'bezier' | 'arc';
+
+/**
+ * Curve post-processing of found paths
+ */
+export interface PathSmoothingOptions {
+    /**
+     * 'catmull-rom' and 'bezier' pass through every path corner with a smooth curve,
+     * 'arc' joins straight runs with circular arcs of at least turnRadius
+     */
+    type: PathSmoothingType;
+    /** Minimum turn radius of 'arc' paths */
+    turnRadius?: number;
+    /** Handle length of 'bezier' curves as a fraction of the span length, 1/3 by default */
+    tension?: number;
+    /** Points generated per span between two corners of 'catmull-rom' and 'bezier' curves, 8 by default */
+    samplesPerSpan?: number;
+}
+
+/**
+ * Part of a smoothed path with the corners or spans whose curvature shapes it
+ */
+interface CurvePiece {
+    points: Point[];
+    owners: number[];
+}
+
+const MAX_SMOOTHING_ROUNDS = 6;
+
+/**
+ * Throw for smoothing options that can't produce a curve
+ */
+export function validateSmoothingOptions(options: PathSmoothingOptions): void {
+    if (!['catmull-rom', 'bezier', 'arc'].includes(options.type)) {
+        throw new Error(`Unknown path smoothing type "${String(options.type)}"`);
+    }
+    if (options.type === 'arc' && !(options.turnRadius !== undefined && options.turnRadius > 0)) {
+        throw new Error('Turn radius must be a positive number');
+    }
+    if (options.tension !== undefined && !(options.tension >= 0)) {
+        throw new Error('Smoothing tension must be a non-negative number');
+    }
+    if (options.samplesPerSpan !== undefined && !(Number.isInteger(options.samplesPerSpan) && options.samplesPerSpan >= 1)) {
+        throw new Error('Samples per span must be a positive integer');
+    }
+}
+
+/**
+ * Replace the corners of a polyline with curves. Parts of a spline that are not clear
+ * get their curvature halved until they are, and fall back to the polyline at last.
+ * Arcs can't turn tighter than the turn radius, so null is returned if one is not clear.
+ * cornerRadius is the clearance 'arc' curves keep from the corners, which are wall vertices.
+ * Points closer than tolerance, the mesh tolerance, are treated as equal.
+ */
+export function smoothPath(path: Point[], options: PathSmoothingOptions, cornerRadius: number, tolerance: number,
+    isClear: (from: Point, to: Point) => boolean): Point[] | null {
+    if (path.length < 3) return path;
+
+    if (options.type === 'arc') {
+        const pieces = arcPieces(path, options.turnRadius!, cornerRadius, tolerance);
+        return pieces.every(piece => isPolylineClear(piece.points, tolerance, isClear)) ? joinPieces(pieces, tolerance) : null;
+    }
+
+    const scales = path.map(() => 1); // Curvature per span
+    const build = () => splinePieces(path, options, scales, tolerance);
+
+    for (let round = 0; round < MAX_SMOOTHING_ROUNDS; round++) {
+        const pieces = build();
+        const blocked = new Set<number>();
+        for (const piece of pieces) {
+            if (!isPolylineClear(piece.points, tolerance, isClear)) piece.owners.forEach(owner => blocked.add(owner));
+        }
+        if (blocked.size === 0) return joinPieces(pieces, tolerance);
+
+        // Flatten parts that are still blocked in the last rounds
+        blocked.forEach(owner => scales[owner] = round < MAX_SMOOTHING_ROUNDS - 2 ? scales[owner] / 2 : 0);
+    }
+
+    scales.fill(0);
+    return joinPieces(build(), tolerance);
+}
+
+/**
+ * Points along a polyline every `step` units of arc length, starting at its first
+ * point and ending at its last one. The points lie on the polyline, so a sampled
+ * path stays wherever the path was. The end point is not repeated if a sample lies within
+ * tolerance of it; pass the tolerance of the mesh the path is from.
+ */
+export function resamplePath(points: readonly Point[], step: number, tolerance = DEFAULT_TOLERANCE): Point[] {
+    if (!(step > 0)) {
+        throw new Error('Sample step must be a positive number');
+    }
+    if (points.length === 0) return [];
+
+    const samples: Point[] = [points[0]];
+    let carried = 0; // Distance walked since the last sample
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const length = Math.sqrt(Point.getDistanceSquared(a, b));
+
+        let t = step - carried;
+        for (; t <= length; t += step) {
+            samples.push(new Point(a.x + (b.x - a.x) * t / length, a.y + (b.y - a.y) * t / length));
+        }
+        carried = length - (t - step);
+    }
+
+    const last = points[points.length - 1];
+    if (Point.getDistanceSquared(samples[samples.length - 1], last) > tolerance * tolerance) samples.push(last);
+    return samples;
+}
+
+/**
+ * One cubic Bezier per span, with handles along the direction from the previous to the next corner
+ */
+function splinePieces(path: Point[], options: PathSmoothingOptions, scales: number[], tolerance: number): CurvePiece[] {
+    const samples = options.samplesPerSpan ?? 8;
+    const tension = options.tension ?? 1 / 3;
+    const last = path.length - 1;
+
+    const spans: number[] = [];
+    for (let i = 0; i < last; i++) {
+        spans.push(Math.sqrt(Point.getDistanceSquared(path[i], path[i + 1])));
+    }
+
+    // Difference between the neighbors of each corner, its direction is the curve tangent
+    const directions = path.map((p, i) => {
+        const prev = path[Math.max(0, i - 1)];
+        const next = path[Math.min(last, i + 1)];
+        return new Point(next.x - prev.x, next.y - prev.y);
+    });
+
+    // Handle at corner i of span `span` as a multiple of directions[i]
+    const handle = (i: number, span: number) => {
+        const d = directions[i];
+        if (options.type === 'bezier') {
+            const length = Math.sqrt(d.x * d.x + d.y * d.y);
+            return length < tolerance ? 0 : tension * spans[span] / length;
+        }
+        // Catmull-Rom with chord length spacing, so short spans next to long ones don't loop
+        const around = (i > 0 ? spans[i - 1] : 0) + (i < last ? spans[i] : 0);
+        return around < tolerance ? 0 : spans[span] / (3 * around);
+    };
+
+    const pieces: CurvePiece[] = [];
+    for (let i = 0; i < last; i++) {
+        const a = path[i];
+        const b = path[i + 1];
+        const h1 = handle(i, i) * scales[i];
+        const h2 = handle(i + 1, i) * scales[i];
+        const c1 = new Point(a.x + directions[i].x * h1, a.y + directions[i].y * h1);
+        const c2 = new Point(b.x - directions[i + 1].x * h2, b.y - directions[i + 1].y * h2);
+
+        const points: Point[] = [];
+        for (let k = 0; k <= samples; k++) {
+            points.push(bezierPoint(a, c1, c2, b, k / samples));
+        }
+        pieces.push({ points, owners: [i] });
+    }
+    return pieces;
+}
+
+/**
+ * Circles through each corner joined by tangent segments. The circle of a corner lies on the
+ * inner side of the turn and passes cornerRadius outside the corner, so the path goes around it.
+ */
+function arcPieces(path: Point[], turnRadius: number, cornerRadius: number, tolerance: number): CurvePiece[] {
+    const last = path.length - 1;
+    const radius = Math.max(turnRadius, cornerRadius);
+    const offset = radius - cornerRadius;
+
+    // Signed radius per corner: positive for left turns, negative for right turns
+    const centers: Point[] = [];
+    const radii: number[] = [];
+    path.forEach((p, i) => {
+        const inward = i === 0 || i === last ? null : innerBisector(path[i - 1], p, path[i + 1], tolerance);
+        if (!inward) {
+            centers.push(p);
+            radii.push(0);
+            return;
+        }
+
+        centers.push(new Point(p.x + inward.x * offset, p.y + inward.y * offset));
+        radii.push(cross(path[i - 1], p, path[i + 1]) > 0 ? radius : -radius);
+    });
+
+    const pieces: CurvePiece[] = [];
+    let enter: Point | null = null;
+    for (let i = 0; i < last; i++) {
+        const [leave, nextEnter] = circleTangent(centers[i], radii[i], centers[i + 1], radii[i + 1], tolerance);
+        if (enter && radii[i] !== 0) {
+            pieces.push({ points: arcPoints(centers[i], enter, leave, radii[i] > 0), owners: [i] });
+        }
+        pieces.push({ points: [leave, nextEnter], owners: [i, i + 1] });
+        enter = nextEnter;
+    }
+    return pieces;
+}
+
+/**
+ * Unit vector halving the angle at b towards the inside of the turn, null for corners
+ * within tolerance of the line from a to c
+ */
+function innerBisector(a: Point, b: Point, c: Point, tolerance: number): Point | null {
+    // The cross product is the distance of b from the line times the length of ac
+    if (Math.abs(cross(a, b, c)) <= tolerance * Math.sqrt(Point.getDistanceSquared(a, c))) return null;
+
+    // Not collinear, so the unit vectors towards a and c don't cancel out
+    const la = Math.sqrt(Point.getDistanceSquared(a, b));
+    const lc = Math.sqrt(Point.getDistanceSquared(c, b));
+    const x = (a.x - b.x) / la + (c.x - b.x) / lc;
+    const y = (a.y - b.y) / la + (c.y - b.y) / lc;
+    const length = Math.sqrt(x * x + y * y);
+    return new Point(x / length, y / length);
+}
+
+function bezierPoint(a: Point, c1: Point, c2: Point, b: Point, t: number): Point {
+    const s = 1 - t;
+    const wa = s * s * s;
+    const w1 = 3 * s * s * t;
+    const w2 = 3 * s * t * t;
+    const wb = t * t * t;
+    return new Point(wa * a.x + w1 * c1.x + w2 * c2.x + wb * b.x, wa * a.y + w1 * c1.y + w2 * c2.y + wb * b.y);
+}
+
+function isPolylineClear(points: Point[], tolerance: number, isClear: (from: Point, to: Point) => boolean): boolean {
+    for (let i = 1; i < points.length; i++) {
+        if (Point.getDistanceSquared(points[i - 1], points[i]) <= tolerance * tolerance) continue;
+        if (!isClear(points[i - 1], points[i])) return false;
+    }
+    return true;
+}
+
+function joinPieces(pieces: CurvePiece[], tolerance: number): Point[] {
+    const points: Point[] = [];
+    for (const piece of pieces) {
+        for (const p of piece.points) {
+            if (points.length === 0 || Point.getDistanceSquared(points[points.length - 1], p) > tolerance * tolerance) points.push(p);
+        }
+    }
+    return points;
+}
+
+/**
+ * Cross product of (b - a) and (c - b), positive for a left turn at b
+ */
+export function cross(a: Point, b: Point, c: Point): number {
+    return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+}
+
+/**
+ * Tangent segment between two circles with signed radii.
+ * Positive radius keeps the circle on the left of the direction of travel.
+ * Centers within tolerance of each other give the segment between them.
+ */
+export function circleTangent(c1: Point, r1: number, c2: Point, r2: number, tolerance: number): [Point, Point] {
+    const dx = c2.x - c1.x;
+    const dy = c2.y - c1.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length <= tolerance) return [c1, c2];
+
+    const ux = dx / length;
+    const uy = dy / length;
+    const k = Math.max(-1, Math.min(1, (r1 - r2) / length));
+    const s = Math.sqrt(1 - k * k);
+
+    // Unit normal from circle centers to the tangent points
+    const nx = k * ux + s * uy;
+    const ny = k * uy - s * ux;
+
+    return [
+        new Point(c1.x + nx * r1, c1.y + ny * r1),
+        new Point(c2.x + nx * r2, c2.y + ny * r2)
+    ];
+}
+
+/**
+ * Approximate an arc around center from `from` to `to` with line segments
+ */
+export function arcPoints(center: Point, from: Point, to: Point, counterClockwise: boolean): Point[] {
+    const radius = Math.sqrt(Point.getDistanceSquared(center, from));
+    const startAngle = Math.atan2(from.y - center.y, from.x - center.x);
+    const endAngle = Math.atan2(to.y - center.y, to.x - center.x);
+
+    let sweep = endAngle - startAngle;
+    if (counterClockwise && sweep < 0) sweep += Math.PI * 2;
+    if (!counterClockwise && sweep > 0) sweep -= Math.PI * 2;
+
+    // Corner got straightened by the offset, no arc needed
+    if (Math.abs(sweep) > Math.PI) return [from, to];
+
+    // Circumscribed polygon, so every segment stays outside the circle
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 8)));
+    const step = sweep / steps;
+    const outerRadius = radius / Math.cos(step / 2);
+    const points: Point[] = [from];
+    for (let i = 0; i < steps; i++) {
+        const angle = startAngle + step * (i + 0.5);
+        points.push(new Point(center.x + Math.cos(angle) * outerRadius, center.y + Math.sin(angle) * outerRadius));
+    }
+    points.push(to);
+    return points;
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { Point } from 'poly-math-2d';
+import type { Portal } from './nav-mesh-2d';
+
+/**
+ * Stages of a path query: locating and clamping the ends, the A* search over
+ * triangles, and the funnel with agent radius offsets and smoothing
+ */
+export type PathTracePhase = 'locate' | 'search' | 'funnel';
+
+/**
+ * Triangle expanded by the A* search
+ */
+export interface TraceNode {
+    /** Index into NavMesh2d.getTriangles() */
+    triangle: number;
+    g: number;
+    h: number;
+    f: number;
+    /** Triangles left in the open set after this one was taken out */
+    openSize: number;
+}
+
+/**
+ * Funnel apex moved to a path corner
+ */
+export interface TraceApex {
+    point: Point;
+    /** Portal the funnel went back to, -1 for the start of the segment */
+    portalIndex: number;
+}
+
+/**
+ * Receives the events of a traced path query as they happen, all methods are optional
+ */
+export interface PathTraceListener {
+    onPhase?(phase: PathTracePhase, milliseconds: number): void;
+    onExpand?(node: TraceNode): void;
+    onPortals?(portals: readonly Portal[]): void;
+    onApex?(apex: TraceApex): void;
+}
+
+/**
+ * Everything a query with `trace: true` recorded, in event order
+ */
+export interface PathTrace {
+    expanded: TraceNode[];
+    portals: Portal[];
+    apexes: TraceApex[];
+    /** Milliseconds per phase, 0 for phases the query didn't need */
+    timings: Record<PathTracePhase, number>;
+}
+
+/**
+ * Listener collecting all events into a PathTrace
+ */
+export class PathTraceRecorder implements PathTraceListener {
+    public readonly trace: PathTrace = {
+        expanded: [],
+        portals: [],
+        apexes: [],
+        timings: { locate: 0, search: 0, funnel: 0 }
+    };
+
+    public onPhase(phase: PathTracePhase, milliseconds: number): void {
+        this.trace.timings[phase] += milliseconds;
+    }
+
+    public onExpand(node: TraceNode): void {
+        this.trace.expanded.push(node);
+    }
+
+    public onPortals(portals: readonly Portal[]): void {
+        this.trace.portals.push(...portals);
+    }
+
+    public onApex(apex: TraceApex): void {
+        this.trace.apexes.push(apex);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Source of uniformly distributed numbers in [0, 1), compatible with Math.random
+ */
+export type RandomSource = () => number;
+
+/**
+ * Small deterministic generator (mulberry32) for reproducible queries and tests
+ */
+export function createSeededRandom(seed: number): RandomSource {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
\ No newline at end of file
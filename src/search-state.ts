@@ -0,0 +1,86 @@
+import { BinaryHeap } from './binary-heap';
+
+/**
+ * Scratch buffers for graph searches over triangle ids, allocated once per
+ * NavMesh2d and reused across queries. Slots are lazily reset through
+ * generation counters instead of clearing the arrays for every search.
+ */
+export class SearchState {
+    public gCost: Float64Array;
+    public hCost: Float64Array;
+    public parent: Int32Array;
+    public via: Int32Array; // Off-mesh link used to reach the slot from its parent, -1 for shared edges
+    public entryX: Float64Array; // Point the slot was entered at, for edge-midpoint costs
+    public entryY: Float64Array;
+    public readonly open: BinaryHeap;
+    public iterations = 0; // Nodes expanded since begin
+
+    private visited: Uint32Array;
+    private closed: Uint32Array;
+    private generation = 0;
+
+    constructor(private capacity: number) {
+        this.gCost = new Float64Array(capacity);
+        this.hCost = new Float64Array(capacity);
+        this.parent = new Int32Array(capacity);
+        this.via = new Int32Array(capacity);
+        this.entryX = new Float64Array(capacity);
+        this.entryY = new Float64Array(capacity);
+        this.visited = new Uint32Array(capacity);
+        this.closed = new Uint32Array(capacity);
+        this.open = new BinaryHeap(capacity);
+    }
+
+    /**
+     * Start a new search, invalidating all slots
+     */
+    public begin(capacity: number = this.capacity): void {
+        if (capacity !== this.capacity) {
+            this.capacity = capacity;
+            this.gCost = new Float64Array(capacity);
+            this.hCost = new Float64Array(capacity);
+            this.parent = new Int32Array(capacity);
+            this.via = new Int32Array(capacity);
+            this.entryX = new Float64Array(capacity);
+            this.entryY = new Float64Array(capacity);
+            this.visited = new Uint32Array(capacity);
+            this.closed = new Uint32Array(capacity);
+            this.open.resize(capacity);
+            this.generation = 0;
+        }
+
+        this.open.clear();
+        this.iterations = 0;
+        this.generation++;
+
+        // Counter wrapped around, old marks could collide with new ones
+        if (this.generation === 0xffffffff) {
+            this.visited.fill(0);
+            this.closed.fill(0);
+            this.generation = 1;
+        }
+    }
+
+    public isVisited(id: number): boolean {
+        return this.visited[id] === this.generation;
+    }
+
+    /**
+     * Initialize slot for the current search
+     */
+    public visit(id: number, gCost: number, hCost: number, parent: number, via: number = -1): void {
+        this.visited[id] = this.generation;
+        this.gCost[id] = gCost;
+        this.hCost[id] = hCost;
+        this.parent[id] = parent;
+        this.via[id] = via;
+    }
+
+    public isClosed(id: number): boolean {
+        return this.closed[id] === this.generation;
+    }
+
+    public close(id: number): void {
+        this.closed[id] = this.generation;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,442 @@
+/**
+ * Identifier and version of the baked navmesh format
+ */
+export const NAVMESH_FORMAT = 'path-finding-2d/navmesh';
+export const NAVMESH_FORMAT_VERSION = 2;
+
+const BINARY_MAGIC = 0x44324d4e; // 'NM2D' read as little-endian uint32
+
+/**
+ * Baked navigation mesh: plain data that can be stored as JSON.
+ * All point lists are flat [x0, y0, x1, y1, ...] arrays.
+ */
+export interface NavMeshData {
+    format: string;
+    version: number;
+    /** Vertex coordinates */
+    vertices: number[];
+    /** Three vertex indices per triangle */
+    triangles: number[];
+    /** Triangle center points */
+    centers: number[];
+    /** Neighbor triangle indices of all triangles, one after another */
+    neighbors: number[];
+    /** Number of neighbors of each triangle */
+    neighborCounts: number[];
+    /** Index of the piece each triangle belongs to */
+    trianglePieces: number[];
+    /** Area type of each triangle */
+    areas: number[];
+    /** Source polygon outlines as vertex indices */
+    polygons: Array<{ outer: number[], holes: number[][], area: number | null }>;
+    /** Walkable pieces the source polygons are split into by obstacles */
+    pieces: Array<{ polygon: number, outer: number[], holes: number[][] }>;
+    /** Obstacles with the source polygons they are cut out of */
+    obstacles: Array<{ id: number, shape: number[], polygons: number[], separate: boolean }>;
+    /** Area paints applied on top of polygon areas */
+    paints: Array<{ shape: number[], area: number }>;
+    /** Off-mesh links */
+    links: Array<{ from: number[], to: number[], bidirectional: boolean, cost: number }>;
+}
+
+/**
+ * Thrown when baked navmesh data is corrupt or has an unsupported version
+ */
+export class NavMeshFormatError extends Error {
+    constructor(message: string) {
+        super(`Invalid navmesh data: ${message}`);
+        this.name = 'NavMeshFormatError';
+    }
+}
+
+/**
+ * Check structure and cross references of baked data
+ */
+export function validateNavMeshData(data: unknown): NavMeshData {
+    if (typeof data !== 'object' || data === null) {
+        throw new NavMeshFormatError('expected an object');
+    }
+
+    const d = data as NavMeshData;
+    if (d.format !== NAVMESH_FORMAT) {
+        throw new NavMeshFormatError(`unknown format "${String(d.format)}"`);
+    }
+    if (d.version !== NAVMESH_FORMAT_VERSION) {
+        throw new NavMeshFormatError(`unsupported version ${String(d.version)}, expected ${NAVMESH_FORMAT_VERSION}`);
+    }
+
+    const numbers = (name: keyof NavMeshData, value: unknown, multiple: number) => {
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+            throw new NavMeshFormatError(`${name} must be an array of finite numbers`);
+        }
+        if (value.length % multiple !== 0) {
+            throw new NavMeshFormatError(`${name} length must be a multiple of ${multiple}`);
+        }
+    };
+    const indices = (name: string, value: number[], count: number, allowEmpty: boolean) => {
+        for (const index of value) {
+            if (!Number.isInteger(index) || index >= count || index < (allowEmpty ? -1 : 0)) {
+                throw new NavMeshFormatError(`${name} references missing item ${index}`);
+            }
+        }
+    };
+
+    numbers('vertices', d.vertices, 2);
+    numbers('triangles', d.triangles, 3);
+    const vertexCount = d.vertices.length / 2;
+    const triangleCount = d.triangles.length / 3;
+
+    numbers('centers', d.centers, 2);
+    numbers('neighbors', d.neighbors, 1);
+    numbers('neighborCounts', d.neighborCounts, 1);
+    numbers('trianglePieces', d.trianglePieces, 1);
+    numbers('areas', d.areas, 1);
+    if (d.centers.length !== triangleCount * 2 || d.neighborCounts.length !== triangleCount ||
+        d.trianglePieces.length !== triangleCount || d.areas.length !== triangleCount) {
+        throw new NavMeshFormatError('per-triangle arrays do not match the triangle count');
+    }
+    if (d.neighborCounts.some(count => !Number.isInteger(count) || count < 0) ||
+        d.neighborCounts.reduce((sum, count) => sum + count, 0) !== d.neighbors.length) {
+        throw new NavMeshFormatError('neighborCounts do not match the neighbor list');
+    }
+
+    if (!Array.isArray(d.polygons) || !Array.isArray(d.pieces) || !Array.isArray(d.obstacles) ||
+        !Array.isArray(d.paints) || !Array.isArray(d.links)) {
+        throw new NavMeshFormatError('polygons, pieces, obstacles, paints and links must be arrays');
+    }
+
+    indices('triangles', d.triangles, vertexCount, false);
+    indices('neighbors', d.neighbors, triangleCount, false);
+    indices('trianglePieces', d.trianglePieces, d.pieces.length, false);
+
+    const rings = (name: string, outer: number[], holes: number[][]) => {
+        for (const ring of [outer, ...holes]) {
+            numbers('polygons', ring, 1);
+            if (ring.length < 3) {
+                throw new NavMeshFormatError(`${name} has a ring with less than 3 points`);
+            }
+            indices(name, ring, vertexCount, false);
+        }
+    };
+
+    d.polygons.forEach((polygon, i) => {
+        if (typeof polygon !== 'object' || polygon === null || !Array.isArray(polygon.holes) ||
+            (polygon.area !== null && typeof polygon.area !== 'number')) {
+            throw new NavMeshFormatError(`polygon ${i} is malformed`);
+        }
+        rings(`polygon ${i}`, polygon.outer, polygon.holes);
+    });
+
+    d.pieces.forEach((piece, i) => {
+        if (typeof piece !== 'object' || piece === null || !Array.isArray(piece.holes)) {
+            throw new NavMeshFormatError(`piece ${i} is malformed`);
+        }
+        indices(`piece ${i}`, [piece.polygon], d.polygons.length, false);
+        rings(`piece ${i}`, piece.outer, piece.holes);
+    });
+
+    const obstacleIds = new Set<number>();
+    d.obstacles.forEach((obstacle, i) => {
+        if (typeof obstacle !== 'object' || obstacle === null || typeof obstacle.separate !== 'boolean' ||
+            !Number.isInteger(obstacle.id) || obstacle.id < 1 || obstacleIds.has(obstacle.id)) {
+            throw new NavMeshFormatError(`obstacle ${i} is malformed`);
+        }
+        obstacleIds.add(obstacle.id);
+        numbers('obstacles', obstacle.shape, 2);
+        if (obstacle.shape.length < 6) {
+            throw new NavMeshFormatError(`obstacle ${i} has less than 3 points`);
+        }
+        numbers('obstacles', obstacle.polygons, 1);
+        indices(`obstacle ${i}`, obstacle.polygons, d.polygons.length, false);
+    });
+
+    d.paints.forEach((paint, i) => {
+        if (typeof paint !== 'object' || paint === null || typeof paint.area !== 'number') {
+            throw new NavMeshFormatError(`paint ${i} is malformed`);
+        }
+        numbers('paints', paint.shape, 2);
+    });
+
+    d.links.forEach((link, i) => {
+        if (typeof link !== 'object' || link === null || typeof link.bidirectional !== 'boolean' ||
+            typeof link.cost !== 'number' || !(link.cost >= 0)) {
+            throw new NavMeshFormatError(`link ${i} is malformed`);
+        }
+        numbers('links', link.from, 2);
+        numbers('links', link.to, 2);
+        if (link.from.length !== 2 || link.to.length !== 2) {
+            throw new NavMeshFormatError(`link ${i} ends must be [x, y] pairs`);
+        }
+    });
+
+    // Adjacency must be symmetric, otherwise paths depend on the search direction
+    const neighborLists = splitNeighbors(d);
+    neighborLists.forEach((list, t) => {
+        for (const n of list) {
+            if (!neighborLists[n].includes(t)) {
+                throw new NavMeshFormatError(`triangle ${t} lists ${n} as neighbor but not vice versa`);
+            }
+        }
+    });
+
+    return d;
+}
+
+/**
+ * Neighbor list of each triangle from the flat neighbors and neighborCounts arrays
+ */
+export function splitNeighbors(data: NavMeshData): number[][] {
+    let offset = 0;
+    return data.neighborCounts.map(count => data.neighbors.slice(offset, offset += count));
+}
+
+/**
+ * Growable little-endian buffer writer
+ */
+class BinaryWriter {
+    private buffer = new ArrayBuffer(1024);
+    private view = new DataView(this.buffer);
+    private offset = 0;
+
+    public uint32(value: number): void {
+        this.reserve(4);
+        this.view.setUint32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    public int32(value: number): void {
+        this.reserve(4);
+        this.view.setInt32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    public float64(value: number): void {
+        this.reserve(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    public int32Array(values: number[]): void {
+        this.uint32(values.length);
+        values.forEach(v => this.int32(v));
+    }
+
+    public float64Array(values: number[]): void {
+        this.uint32(values.length);
+        values.forEach(v => this.float64(v));
+    }
+
+    public finish(): ArrayBuffer {
+        return this.buffer.slice(0, this.offset);
+    }
+
+    private reserve(bytes: number): void {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        const grown = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes));
+        new Uint8Array(grown).set(new Uint8Array(this.buffer));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+}
+
+/**
+ * Little-endian buffer reader with bounds checks
+ */
+class BinaryReader {
+    private view: DataView;
+    private offset = 0;
+
+    constructor(buffer: ArrayBuffer) {
+        this.view = new DataView(buffer);
+    }
+
+    public uint32(): number {
+        this.require(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    public int32(): number {
+        this.require(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    public float64(): number {
+        this.require(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    public int32Array(): number[] {
+        const length = this.uint32();
+        this.require(length * 4);
+        return Array.from({ length }, () => this.int32());
+    }
+
+    public float64Array(): number[] {
+        const length = this.uint32();
+        this.require(length * 8);
+        return Array.from({ length }, () => this.float64());
+    }
+
+    public get remaining(): number {
+        return this.view.byteLength - this.offset;
+    }
+
+    private require(bytes: number): void {
+        if (this.offset + bytes > this.view.byteLength) {
+            throw new NavMeshFormatError('unexpected end of binary data');
+        }
+    }
+}
+
+/**
+ * Encode baked data into a compact binary buffer. Area types must be 32-bit integers.
+ */
+export function encodeNavMeshData(data: NavMeshData): ArrayBuffer {
+    const areas = [...data.areas, ...data.paints.map(p => p.area), ...data.polygons.map(p => p.area ?? 0)];
+    if (areas.some(area => !Number.isInteger(area) || area < -0x80000000 || area > 0x7fffffff)) {
+        throw new NavMeshFormatError('binary format supports only 32-bit integer area types');
+    }
+
+    const writer = new BinaryWriter();
+    writer.uint32(BINARY_MAGIC);
+    writer.uint32(data.version);
+
+    writer.float64Array(data.vertices);
+    writer.int32Array(data.triangles);
+    writer.float64Array(data.centers);
+    writer.int32Array(data.neighbors);
+    writer.int32Array(data.neighborCounts);
+    writer.int32Array(data.trianglePieces);
+    writer.int32Array(data.areas);
+
+    writer.uint32(data.polygons.length);
+    for (const polygon of data.polygons) {
+        writer.uint32(polygon.area === null ? 0 : 1);
+        writer.int32(polygon.area ?? 0);
+        writer.int32Array(polygon.outer);
+        writer.uint32(polygon.holes.length);
+        polygon.holes.forEach(hole => writer.int32Array(hole));
+    }
+
+    writer.uint32(data.pieces.length);
+    for (const piece of data.pieces) {
+        writer.int32(piece.polygon);
+        writer.int32Array(piece.outer);
+        writer.uint32(piece.holes.length);
+        piece.holes.forEach(hole => writer.int32Array(hole));
+    }
+
+    writer.uint32(data.obstacles.length);
+    for (const obstacle of data.obstacles) {
+        writer.int32(obstacle.id);
+        writer.float64Array(obstacle.shape);
+        writer.int32Array(obstacle.polygons);
+        writer.uint32(obstacle.separate ? 1 : 0);
+    }
+
+    writer.uint32(data.paints.length);
+    for (const paint of data.paints) {
+        writer.int32(paint.area);
+        writer.float64Array(paint.shape);
+    }
+
+    writer.uint32(data.links.length);
+    for (const link of data.links) {
+        writer.float64Array([...link.from, ...link.to, link.cost]);
+        writer.uint32(link.bidirectional ? 1 : 0);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Decode and validate a buffer produced by encodeNavMeshData
+ */
+export function decodeNavMeshData(buffer: ArrayBuffer): NavMeshData {
+    const reader = new BinaryReader(buffer);
+    if (reader.remaining < 8 || reader.uint32() !== BINARY_MAGIC) {
+        throw new NavMeshFormatError('not a binary navmesh');
+    }
+
+    const version = reader.uint32();
+    if (version !== NAVMESH_FORMAT_VERSION) {
+        throw new NavMeshFormatError(`unsupported version ${version}, expected ${NAVMESH_FORMAT_VERSION}`);
+    }
+
+    const data: NavMeshData = {
+        format: NAVMESH_FORMAT,
+        version,
+        vertices: reader.float64Array(),
+        triangles: reader.int32Array(),
+        centers: reader.float64Array(),
+        neighbors: reader.int32Array(),
+        neighborCounts: reader.int32Array(),
+        trianglePieces: reader.int32Array(),
+        areas: reader.int32Array(),
+        polygons: [],
+        pieces: [],
+        obstacles: [],
+        paints: [],
+        links: []
+    };
+
+    const polygonCount = reader.uint32();
+    for (let i = 0; i < polygonCount; i++) {
+        const hasArea = reader.uint32() === 1;
+        const area = reader.int32();
+        const outer = reader.int32Array();
+        const holeCount = reader.uint32();
+        const holes = Array.from({ length: Math.min(holeCount, reader.remaining) }, () => reader.int32Array());
+        data.polygons.push({ outer, holes, area: hasArea ? area : null });
+    }
+
+    const pieceCount = reader.uint32();
+    for (let i = 0; i < pieceCount; i++) {
+        const polygon = reader.int32();
+        const outer = reader.int32Array();
+        const holeCount = reader.uint32();
+        const holes = Array.from({ length: Math.min(holeCount, reader.remaining) }, () => reader.int32Array());
+        data.pieces.push({ polygon, outer, holes });
+    }
+
+    const obstacleCount = reader.uint32();
+    for (let i = 0; i < obstacleCount; i++) {
+        const id = reader.int32();
+        const shape = reader.float64Array();
+        const polygons = reader.int32Array();
+        data.obstacles.push({ id, shape, polygons, separate: reader.uint32() === 1 });
+    }
+
+    const paintCount = reader.uint32();
+    for (let i = 0; i < paintCount; i++) {
+        const area = reader.int32();
+        data.paints.push({ shape: reader.float64Array(), area });
+    }
+
+    const linkCount = reader.uint32();
+    for (let i = 0; i < linkCount; i++) {
+        const values = reader.float64Array();
+        if (values.length !== 5) {
+            throw new NavMeshFormatError(`link ${i} is malformed`);
+        }
+        data.links.push({
+            from: values.slice(0, 2),
+            to: values.slice(2, 4),
+            cost: values[4],
+            bidirectional: reader.uint32() === 1
+        });
+    }
+
+    if (reader.remaining !== 0) {
+        throw new NavMeshFormatError('trailing bytes after navmesh data');
+    }
+
+    return validateNavMeshData(data);
+}
\ No newline at end of file
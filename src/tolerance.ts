@@ -0,0 +1,4 @@
+/**
+ * Default of NavMeshOptions.tolerance: distance within which points are equal and lie on an edge
+ */
+export const DEFAULT_TOLERANCE = 1e-9;
\ No newline at end of file
@@ -0,0 +1,205 @@
+import { Point, TPolygon } from 'poly-math-2d';
+
+/**
+ * Uniform grid over triangle bounding boxes for fast point location.
+ * Each cell stores indices of triangles whose bounding box overlaps it,
+ * packed into a single array (cellStart[i]..cellStart[i + 1]).
+ */
+export class TriangleGrid {
+    private minX = 0;
+    private minY = 0;
+    private maxX = 0;
+    private maxY = 0;
+    private cellSize = 1;
+    private cols = 0;
+    private rows = 0;
+    private cellStart = new Int32Array(1);
+    private cellItems = new Int32Array(0);
+    private patchedCells = new Map<number, Int32Array>(); // Cells rewritten by update since the last build
+    private marks = new Uint32Array(0);
+    private mark = 0;
+
+    constructor(private triangles: TPolygon[]) {
+        this.build();
+    }
+
+    /**
+     * Indices of triangles that may contain the point, in ascending order
+     */
+    public query(point: Point): Int32Array {
+        if (this.triangles.length === 0 ||
+            point.x < this.minX || point.x > this.maxX ||
+            point.y < this.minY || point.y > this.maxY) {
+            return this.cellItems.subarray(0, 0);
+        }
+
+        const col = Math.min(this.cols - 1, Math.floor((point.x - this.minX) / this.cellSize));
+        const row = Math.min(this.rows - 1, Math.floor((point.y - this.minY) / this.cellSize));
+        return this.getCell(row * this.cols + col);
+    }
+
+    /**
+     * Unique indices of triangles whose bounding boxes may overlap the box, in ascending order
+     */
+    public queryBox(minX: number, minY: number, maxX: number, maxY: number): number[] {
+        if (this.triangles.length === 0 ||
+            maxX < this.minX || minX > this.maxX || maxY < this.minY || minY > this.maxY) {
+            return [];
+        }
+
+        // Marks avoid returning triangles that span several cells twice
+        if (++this.mark === 0xffffffff) {
+            this.marks.fill(0);
+            this.mark = 1;
+        }
+
+        const result: number[] = [];
+        for (let row = this.toRow(minY); row <= this.toRow(maxY); row++) {
+            for (let col = this.toCol(minX); col <= this.toCol(maxX); col++) {
+                for (const index of this.getCell(row * this.cols + col)) {
+                    if (this.marks[index] !== this.mark) {
+                        this.marks[index] = this.mark;
+                        result.push(index);
+                    }
+                }
+            }
+        }
+        return result.sort((a, b) => a - b);
+    }
+
+    /**
+     * Index again the positions whose triangle was replaced, added or removed since the grid
+     * was built, given the triangle each of them held before (null for added positions).
+     * Only the cells under the old and new boxes are rewritten; the grid is packed again
+     * when a triangle leaves its bounds or a quarter of the cells were rewritten.
+     */
+    public update(previous: ReadonlyMap<number, TPolygon | null>): void {
+        const count = this.triangles.length;
+        if (this.marks.length < count) this.marks = new Uint32Array(count);
+
+        const additions = new Map<number, number[]>();
+        for (const id of previous.keys()) {
+            if (id >= count) continue;
+            const [x0, y0, x1, y1] = TriangleGrid.getBox(this.triangles[id]);
+            if (this.cols === 0 || x0 < this.minX || y0 < this.minY || x1 > this.maxX || y1 > this.maxY) {
+                this.build();
+                return;
+            }
+            this.forEachCell(x0, y0, x1, y1, cell => {
+                const list = additions.get(cell);
+                if (list) list.push(id); else additions.set(cell, [id]);
+            });
+        }
+
+        const cells = new Set(additions.keys());
+        for (const triangle of previous.values()) {
+            if (triangle) this.forEachCell(...TriangleGrid.getBox(triangle), cell => cells.add(cell));
+        }
+
+        for (const cell of cells) {
+            const items = [...this.getCell(cell)].filter(id => !previous.has(id));
+            items.push(...additions.get(cell) ?? []);
+            this.patchedCells.set(cell, Int32Array.from(items).sort());
+        }
+        if (this.patchedCells.size * 4 > this.cols * this.rows) this.build();
+    }
+
+    /**
+     * Check if the box contains the whole grid
+     */
+    public coversBox(minX: number, minY: number, maxX: number, maxY: number): boolean {
+        return minX <= this.minX && minY <= this.minY && maxX >= this.maxX && maxY >= this.maxY;
+    }
+
+    /**
+     * Edge length of a grid cell
+     */
+    public get size(): number {
+        return this.cellSize;
+    }
+
+    private build(): void {
+        const count = this.triangles.length;
+        this.marks = new Uint32Array(count);
+        this.patchedCells.clear();
+        this.cols = 0;
+        this.rows = 0;
+        this.cellStart = new Int32Array(1);
+        this.cellItems = new Int32Array(0);
+        if (count === 0) return;
+
+        const boxes = new Float64Array(count * 4);
+        let sizeSum = 0;
+        this.minX = Infinity;
+        this.minY = Infinity;
+        this.maxX = -Infinity;
+        this.maxY = -Infinity;
+
+        for (let i = 0; i < count; i++) {
+            const [x0, y0, x1, y1] = TriangleGrid.getBox(this.triangles[i]);
+            boxes.set([x0, y0, x1, y1], i * 4);
+            sizeSum += (x1 - x0 + y1 - y0) / 2;
+
+            this.minX = Math.min(this.minX, x0);
+            this.minY = Math.min(this.minY, y0);
+            this.maxX = Math.max(this.maxX, x1);
+            this.maxY = Math.max(this.maxY, y1);
+        }
+
+        // Average triangle size as cell size, limited to a few cells per triangle
+        const width = this.maxX - this.minX;
+        const height = this.maxY - this.minY;
+        this.cellSize = Math.max(sizeSum / count, Math.sqrt(width * height / (count * 4)), 1e-6);
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+        const cellCount = this.cols * this.rows;
+        const counts = new Int32Array(cellCount + 1);
+
+        // Two passes: count items per cell, then fill
+        const forEachCell = (i: number, callback: (cell: number) => void) =>
+            this.forEachCell(boxes[i * 4], boxes[i * 4 + 1], boxes[i * 4 + 2], boxes[i * 4 + 3], callback);
+
+        for (let i = 0; i < count; i++) {
+            forEachCell(i, cell => counts[cell + 1]++);
+        }
+        for (let i = 0; i < cellCount; i++) {
+            counts[i + 1] += counts[i];
+        }
+
+        this.cellStart = counts.slice();
+        this.cellItems = new Int32Array(counts[cellCount]);
+        for (let i = 0; i < count; i++) {
+            forEachCell(i, cell => this.cellItems[counts[cell]++] = i);
+        }
+    }
+
+    private getCell(cell: number): Int32Array {
+        return this.patchedCells.get(cell) ?? this.cellItems.subarray(this.cellStart[cell], this.cellStart[cell + 1]);
+    }
+
+    private forEachCell(x0: number, y0: number, x1: number, y1: number, callback: (cell: number) => void): void {
+        const c0 = this.toCol(x0);
+        const r0 = this.toRow(y0);
+        const c1 = this.toCol(x1);
+        const r1 = this.toRow(y1);
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                callback(r * this.cols + c);
+            }
+        }
+    }
+
+    private static getBox(triangle: TPolygon): [number, number, number, number] {
+        const [a, b, c] = triangle.mainTriangle;
+        return [Math.min(a.x, b.x, c.x), Math.min(a.y, b.y, c.y), Math.max(a.x, b.x, c.x), Math.max(a.y, b.y, c.y)];
+    }
+
+    private toCol(x: number): number {
+        return Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.minX) / this.cellSize)));
+    }
+
+    private toRow(y: number): number {
+        return Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.minY) / this.cellSize)));
+    }
+}
\ No newline at end of file
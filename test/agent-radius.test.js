@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d, PathStatus } = require('../dist/nav-mesh-2d');
+
+// Room with a checkerboard of pillars, each one skewed a little so no two walls line up
+const SIZE = 80;
+
+const pillars = [];
+for (let row = 1; row < 8; row++) {
+    for (let col = 1; col < 8; col++) {
+        if ((row + col) % 2 === 0) continue;
+        const cx = col * 10;
+        const cy = row * 10;
+        const skew = ((row * 7 + col * 3) % 5 - 2) * 0.4;
+        pillars.push(new Polygon([
+            new Point(cx - 3 + skew, cy - 3),
+            new Point(cx + 3, cy - 3 + skew),
+            new Point(cx + 3 - skew, cy + 3),
+            new Point(cx - 3, cy + 3 - skew)
+        ]));
+    }
+}
+
+const room = new Polygon([new Point(0, 0), new Point(SIZE, 0), new Point(SIZE, SIZE), new Point(0, SIZE)], pillars);
+const navMesh = new NavMesh2d(new PolygonMap([room]));
+
+const walls = [];
+for (const ring of [room.points, ...pillars.map(pillar => pillar.points)]) {
+    ring.forEach((p, i) => walls.push([p, ring[(i + 1) % ring.length]]));
+}
+
+// Deterministic pseudo-random points inside the navmesh
+let seed = 4242;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+function randomPoint() {
+    for (;;) {
+        const point = new Point(random() * SIZE, random() * SIZE);
+        if (navMesh.isPointInNavMesh(point)) return point;
+    }
+}
+
+function pointSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+}
+
+function segmentDistance(a, b, c, d) {
+    const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    if (side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b)) return 0;
+    return Math.min(pointSegmentDistance(a, c, d), pointSegmentDistance(b, c, d),
+        pointSegmentDistance(c, a, b), pointSegmentDistance(d, a, b));
+}
+
+function getClearance(points) {
+    let clearance = Infinity;
+    for (const [c, d] of walls) {
+        if (points.length === 1) clearance = Math.min(clearance, pointSegmentDistance(points[0], c, d));
+        for (let i = 1; i < points.length; i++) {
+            clearance = Math.min(clearance, segmentDistance(points[i - 1], points[i], c, d));
+        }
+    }
+    return clearance;
+}
+
+test('paths keep the agent radius from every wall', () => {
+    for (const agentRadius of [0.3, 1, 2]) {
+        let complete = 0;
+        for (let i = 0; i < 100; i++) {
+            const result = navMesh.findPathDetailed(randomPoint(), randomPoint(), { agentRadius });
+            if (result.points.length === 0) continue;
+
+            if (result.status === PathStatus.COMPLETE) complete++;
+            assert.ok(getClearance(result.points) >= agentRadius - 1e-6,
+                `radius ${agentRadius}: path comes ${getClearance(result.points)} close to a wall`);
+        }
+        assert.ok(complete > 0);
+    }
+});
+
+test('smoothed paths keep the agent radius from every wall', () => {
+    for (const smoothing of [{ type: 'catmull-rom' }, { type: 'arc', turnRadius: 2 }]) {
+        for (let i = 0; i < 40; i++) {
+            const points = navMesh.findPath(randomPoint(), randomPoint(), { agentRadius: 0.5, smoothing });
+            if (points.length > 0) assert.ok(getClearance(points) >= 0.5 - 1e-6);
+        }
+    }
+});
+
+test('ends closer to a wall than the radius are moved away from it', () => {
+    const start = new Point(0.2, 0.3);
+    const end = new Point(40, 0.1);
+    const result = navMesh.findPathDetailed(start, end, { agentRadius: 1 });
+
+    assert.strictEqual(result.status, PathStatus.PARTIAL);
+    assert.ok(Math.abs(result.points[0].x - 1) < 1e-9 && Math.abs(result.points[0].y - 1) < 1e-9);
+    assert.ok(Math.abs(result.actualEnd.y - 1) < 1e-9);
+    assert.ok(getClearance(result.points) >= 1 - 1e-6);
+});
+
+test('an agent wider than the room has no path', () => {
+    const narrow = new NavMesh2d(new PolygonMap([
+        new Polygon([new Point(0, 0), new Point(20, 0), new Point(20, 1.5), new Point(0, 1.5)])
+    ]));
+    const result = narrow.findPathDetailed(new Point(1, 0.75), new Point(19, 0.75), { agentRadius: 1 });
+
+    assert.strictEqual(result.status, PathStatus.UNREACHABLE);
+    assert.deepStrictEqual(result.points, []);
+});
+
+test('straight paths along a corridor keep the agent radius', () => {
+    for (let i = 0; i < 40; i++) {
+        const start = randomPoint();
+        const end = randomPoint();
+        const { trianglePath } = navMesh.findPathDetailed(start, end);
+        if (trianglePath.length === 0) continue;
+
+        // The ends stay where they are, so only the part beyond the radius around them is measured
+        const points = navMesh.findStraightPath(start, end, trianglePath, { agentRadius: 0.5 });
+        const inner = points.filter(p => Math.hypot(p.x - start.x, p.y - start.y) > 0.5 &&
+            Math.hypot(p.x - end.x, p.y - end.y) > 0.5);
+        for (const p of inner) assert.ok(getClearance([p]) >= 0.5 - 1e-6);
+    }
+});
\ No newline at end of file
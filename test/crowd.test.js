@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+const { Crowd, AgentState } = require('../dist/crowd');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+const createMesh = () => new NavMesh2d(new PolygonMap([new Polygon(
+    [new Point(0, 0), new Point(100, 0), new Point(100, 40), new Point(0, 40)], [new Polygon(square(45, 15, 10))])]));
+
+const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+
+// Steps until every agent stopped, checking each step
+function run(crowd, check = () => {}) {
+    for (let i = 0; i < 10000; i++) {
+        if (crowd.getAgents().every(agent => agent.state !== AgentState.MOVING)) return i;
+        crowd.step();
+        check();
+    }
+    assert.fail('agents did not stop');
+}
+
+test('agents walking towards each other arrive without overlapping', () => {
+    const navMesh = createMesh();
+    const crowd = new Crowd(navMesh, { timeStep: 0.1 });
+    const a = crowd.addAgent(new Point(5, 8), { radius: 1, maxSpeed: 5 });
+    const b = crowd.addAgent(new Point(95, 8), { radius: 1, maxSpeed: 5 });
+    crowd.setTarget(a, new Point(95, 8));
+    crowd.setTarget(b, new Point(5, 8));
+
+    let closest = Infinity;
+    run(crowd, () => {
+        const [first, second] = crowd.getAgents();
+        closest = Math.min(closest, distance(first.position, second.position));
+        for (const agent of [first, second]) assert.ok(navMesh.isPointInNavMesh(agent.position));
+    });
+
+    assert.ok(closest > 2 - 0.05, `agents came ${closest} close`);
+    assert.strictEqual(crowd.getAgent(a).state, AgentState.ARRIVED);
+    assert.strictEqual(crowd.getAgent(b).state, AgentState.ARRIVED);
+    assert.ok(distance(crowd.getAgent(a).position, new Point(95, 8)) <= 0.25);
+    assert.ok(distance(crowd.getAgent(b).position, new Point(5, 8)) <= 0.25);
+});
+
+test('the same calls give the same positions', () => {
+    const simulate = () => {
+        const crowd = new Crowd(createMesh());
+        for (let i = 0; i < 6; i++) {
+            const id = crowd.addAgent(new Point(5 + i * 3, 5 + i * 5), { radius: 0.8 });
+            crowd.setTarget(id, new Point(95 - i * 2, 35 - i * 5));
+        }
+        for (const delta of [0.05, 0.3, 0.01, 0.5, 0.2]) crowd.update(delta);
+        return crowd.getAgents().map(agent => [agent.position.x, agent.position.y]);
+    };
+    assert.deepStrictEqual(simulate(), simulate());
+});
+
+test('moving agents plan again when obstacles change', () => {
+    const navMesh = createMesh();
+    const crowd = new Crowd(navMesh, { timeStep: 0.1 });
+    const id = crowd.addAgent(new Point(5, 30), { radius: 0.5, maxSpeed: 4 });
+    crowd.setTarget(id, new Point(95, 30));
+    crowd.step();
+
+    navMesh.addObstacle([new Point(70, 20), new Point(75, 20), new Point(75, 50), new Point(70, 50)]);
+    run(crowd, () => assert.ok(navMesh.isPointInNavMesh(crowd.getAgent(id).position)));
+    assert.strictEqual(crowd.getAgent(id).state, AgentState.ARRIVED);
+
+    navMesh.addObstacle([new Point(80, -10), new Point(85, -10), new Point(85, 50), new Point(80, 50)]);
+    crowd.setTarget(id, new Point(5, 30));
+    run(crowd);
+    assert.strictEqual(crowd.getAgent(id).state, AgentState.UNREACHABLE);
+});
\ No newline at end of file
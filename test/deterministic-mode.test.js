@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+
+const room = () => new Polygon(
+    [new Point(0.01, 0), new Point(40.02, 0.03), new Point(40, 40.01), new Point(0, 39.98)],
+    [new Polygon([new Point(10.1, 10.2), new Point(29.9, 10.05), new Point(30.03, 29.7), new Point(9.8, 30.1)])]
+);
+
+test('snapping leaves the poly-math-2d triangles as they are', () => {
+    const polygon = room();
+    const before = polygon.tpolygons.map(t => t.mainTriangle.map(p => [p.x, p.y]));
+    const navMesh = new NavMesh2d(new PolygonMap([polygon]), { gridSize: 1 / 4 });
+
+    assert.deepStrictEqual(polygon.tpolygons.map(t => t.mainTriangle.map(p => [p.x, p.y])), before);
+    for (const triangle of navMesh.getTriangles()) {
+        assert.ok(!polygon.tpolygons.includes(triangle));
+        for (const p of triangle.mainTriangle) {
+            assert.strictEqual(p.x * 4, Math.round(p.x * 4));
+            assert.strictEqual(p.y * 4, Math.round(p.y * 4));
+        }
+    }
+});
+
+test('a grid that collapses a triangle throws', () => {
+    const sliver = new Polygon([new Point(0, 0), new Point(10, 0), new Point(10, 0.2), new Point(5, 0.3)]);
+    assert.throws(() => new NavMesh2d(new PolygonMap([sliver]), { gridSize: 1 }), /too coarse/);
+    assert.doesNotThrow(() => new NavMesh2d(new PolygonMap([sliver]), { gridSize: 1 / 64 }));
+});
+
+test('agent radius and smoothing throw with a grid size', () => {
+    const navMesh = new NavMesh2d(new PolygonMap([room()]), { gridSize: 1 / 4 });
+    const start = new Point(2, 2);
+    const end = new Point(38, 38);
+
+    assert.throws(() => navMesh.findPath(start, end, { agentRadius: 0.5 }), /Agent radius/);
+    assert.throws(() => navMesh.findPath(start, end, { smoothing: { type: 'catmull-rom' } }), /Path smoothing/);
+    assert.throws(() => navMesh.findStraightPath(start, end, [], { agentRadius: 0.5 }), /Agent radius/);
+    assert.ok(navMesh.findPath(start, end, { agentRadius: 0 }).length > 0);
+});
+
+test('a baked deterministic mesh gives the same paths after loading', () => {
+    const navMesh = new NavMesh2d(new PolygonMap([room()]), { gridSize: 1 / 4 });
+    navMesh.addObstacle([new Point(32, 32), new Point(36, 32), new Point(34, 36)]);
+    const loaded = NavMesh2d.fromJSON(navMesh.toJSON(), { gridSize: 1 / 4 });
+
+    for (const [start, end] of [[new Point(2, 2), new Point(38, 38)], [new Point(35, 2), new Point(3, 37)]]) {
+        assert.deepStrictEqual(loaded.findPath(start, end), navMesh.findPath(start, end));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d, PathStatus } = require('../dist/nav-mesh-2d');
+const { HierarchicalPathfinder } = require('../dist/hierarchical-pathfinder');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+// Hall with rows of pillars, split into many small regions, and a separate yard
+function createMesh() {
+    const pillars = [];
+    for (let x = 40; x < 400; x += 60) {
+        for (let y = 30; y < 200; y += 60) pillars.push(new Polygon(square(x, y, 20)));
+    }
+    return new NavMesh2d(new PolygonMap([
+        new Polygon([new Point(0, 0), new Point(400, 0), new Point(400, 200), new Point(0, 200)], pillars),
+        new Polygon(square(500, 0, 100))
+    ]));
+}
+
+const queries = [
+    [new Point(5, 5), new Point(395, 195)],
+    [new Point(5, 195), new Point(395, 5)],
+    [new Point(200, 100), new Point(10, 100)],
+    [new Point(30, 20), new Point(35, 25)]
+];
+
+// Cost the flat search minimizes: center to center of the triangles, weighted by area costs
+function getCost(navMesh, result, areaCosts) {
+    const { points, trianglePath } = result;
+    const cost = t => areaCosts[navMesh.getAreaAt(t.centerPoint)] ?? 1;
+    const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+    let total = distance(points[0], trianglePath[0].centerPoint) +
+        distance(trianglePath[trianglePath.length - 1].centerPoint, points[points.length - 1]);
+    for (let i = 1; i < trianglePath.length; i++) {
+        const [from, to] = [trianglePath[i - 1], trianglePath[i]];
+        total += distance(from.centerPoint, to.centerPoint) * (cost(from) + cost(to)) / 2;
+    }
+    return total;
+}
+
+test('plain queries follow the flat path', () => {
+    const navMesh = createMesh();
+    const hierarchy = new HierarchicalPathfinder(navMesh, { regionSize: 4 });
+    assert.ok(hierarchy.regionCount > 4);
+
+    for (const [start, end] of queries) {
+        const result = hierarchy.findPath(start, end);
+        assert.strictEqual(result.status, PathStatus.COMPLETE);
+        assert.deepStrictEqual(result.points, navMesh.findPathDetailed(start, end).points);
+    }
+});
+
+test('paths with area costs stay within the tolerance of the flat search', () => {
+    const navMesh = createMesh();
+    navMesh.paintArea([new Point(100, 0), new Point(300, 0), new Point(300, 120), new Point(100, 120)], 3);
+
+    for (const tolerance of [0, 0.2]) {
+        const hierarchy = new HierarchicalPathfinder(navMesh, { regionSize: 4, tolerance });
+        for (const areaCosts of [{ 3: 4 }, { 3: 0.5 }]) {
+            for (const [start, end] of queries) {
+                const result = hierarchy.findPath(start, end, { areaCosts });
+                const flat = navMesh.findPathDetailed(start, end, { areaCosts });
+                assert.strictEqual(result.status, flat.status);
+                assert.ok(getCost(navMesh, result, areaCosts) <= getCost(navMesh, flat, areaCosts) * (1 + tolerance) + 1e-9);
+            }
+        }
+    }
+});
+
+test('off-mesh links connect regions, one-way links only forward', () => {
+    const navMesh = createMesh();
+    const hierarchy = new HierarchicalPathfinder(navMesh, { regionSize: 4 });
+    const entrances = hierarchy.entranceCount;
+
+    const start = new Point(5, 100);
+    const end = new Point(395, 100);
+    const link = navMesh.addOffMeshLink(new Point(10, 100), new Point(390, 100), { cost: 10, bidirectional: false });
+    const forward = hierarchy.findPath(start, end);
+    assert.ok(hierarchy.entranceCount > entrances);
+    assert.deepStrictEqual(forward.links.map(l => l.linkId), [link]);
+    assert.deepStrictEqual(forward.points, navMesh.findPathDetailed(start, end).points);
+
+    const back = hierarchy.findPath(end, start);
+    assert.deepStrictEqual(back.links, []);
+    assert.deepStrictEqual(back.points, navMesh.findPathDetailed(end, start).points);
+
+    navMesh.removeOffMeshLink(link);
+    assert.deepStrictEqual(hierarchy.findPath(start, end).links, []);
+    assert.strictEqual(hierarchy.entranceCount, entrances);
+});
+
+test('obstacles rebuild only the regions they touch', () => {
+    const navMesh = createMesh();
+    const hierarchy = new HierarchicalPathfinder(navMesh, { regionSize: 4 });
+
+    // The yard keeps its regions
+    navMesh.addObstacle([new Point(190, -10), new Point(210, -10), new Point(210, 150), new Point(190, 150)]);
+    const rebuilt = hierarchy.update();
+    assert.ok(rebuilt > 0 && rebuilt < hierarchy.regionCount);
+    assert.strictEqual(hierarchy.update(), 0);
+
+    const start = new Point(150, 5);
+    const end = new Point(250, 5);
+    const result = hierarchy.findPath(start, end);
+    assert.strictEqual(result.status, PathStatus.COMPLETE);
+    assert.ok(result.points.some(p => p.y >= 150));
+    assert.deepStrictEqual(result.points, navMesh.findPathDetailed(start, end).points);
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d, PathStatus } = require('../dist/nav-mesh-2d');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+// Hall with a hole near its left end
+const createMesh = () => new NavMesh2d(new PolygonMap([
+    new Polygon([new Point(0, 0), new Point(200, 0), new Point(200, 100), new Point(0, 100)], [new Polygon(square(10, 70, 10))])
+]));
+
+function crossesBox(points, minX, minY, maxX, maxY) {
+    for (let i = 1; i < points.length; i++) {
+        for (let t = 0; t <= 1; t += 1 / 256) {
+            const x = points[i - 1].x + (points[i].x - points[i - 1].x) * t;
+            const y = points[i - 1].y + (points[i].y - points[i - 1].y) * t;
+            if (x > minX + 1e-6 && x < maxX - 1e-6 && y > minY + 1e-6 && y < maxY - 1e-6) return true;
+        }
+    }
+    return false;
+}
+
+function getArea(navMesh) {
+    return navMesh.getTriangles().reduce((sum, triangle) => {
+        const [a, b, c] = triangle.mainTriangle;
+        return sum + Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+    }, 0);
+}
+
+test('paths go around an obstacle and back through once it is removed', () => {
+    const navMesh = createMesh();
+    const start = new Point(50, 10);
+    const end = new Point(50, 90);
+    const before = navMesh.findPath(start, end);
+    const version = navMesh.version;
+
+    const id = navMesh.addObstacle(square(30, 40, 40));
+    assert.ok(navMesh.version > version);
+    assert.strictEqual(navMesh.isPointInNavMesh(new Point(50, 50)), false);
+    assert.ok(Math.abs(getArea(navMesh) - (20000 - 100 - 1600)) < 1e-6);
+
+    const around = navMesh.findPath(start, end);
+    assert.ok(around.length > 2);
+    assert.strictEqual(crossesBox(around, 30, 40, 70, 80), false);
+
+    assert.strictEqual(navMesh.removeObstacle(id), true);
+    assert.strictEqual(navMesh.removeObstacle(id), false);
+    assert.deepStrictEqual(navMesh.findPath(start, end), before);
+    assert.ok(Math.abs(getArea(navMesh) - (20000 - 100)) < 1e-6);
+});
+
+test('obstacles crossing outlines, holes and each other are clipped', () => {
+    const navMesh = createMesh();
+
+    // Over the outline, over the hole and over the first obstacle
+    navMesh.addObstacle(square(90, -10, 20));
+    navMesh.addObstacle(square(15, 65, 10));
+    navMesh.addObstacle(square(100, 0, 20));
+    assert.ok(Math.abs(getArea(navMesh) - (20000 - 100 - 200 - 75 - 300)) < 1e-6);
+
+    for (const p of [new Point(95, 5), new Point(115, 15), new Point(22, 72)]) {
+        assert.strictEqual(navMesh.isPointInNavMesh(p), false);
+    }
+    const path = navMesh.findPath(new Point(50, 5), new Point(150, 5));
+    assert.ok(path.length > 2);
+    assert.strictEqual(crossesBox(path, 90, 0, 110, 10), false);
+    assert.strictEqual(crossesBox(path, 100, 0, 120, 20), false);
+});
+
+test('an obstacle across a room splits it', () => {
+    const navMesh = createMesh();
+    navMesh.addObstacle([new Point(140, -10), new Point(160, -10), new Point(160, 110), new Point(140, 110)]);
+
+    const result = navMesh.findPathDetailed(new Point(50, 50), new Point(180, 50));
+    assert.strictEqual(result.status, PathStatus.UNREACHABLE);
+    assert.strictEqual(navMesh.isReachable(new Point(50, 50), new Point(120, 50)), true);
+    assert.strictEqual(navMesh.getComponents().length, 2);
+});
+
+test('an obstacle outside every polygon throws', () => {
+    const navMesh = createMesh();
+    assert.throws(() => navMesh.addObstacle(square(300, 300, 10)), /does not overlap/);
+});
\ No newline at end of file
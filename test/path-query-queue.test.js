@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+const { PathQueryQueue, PathQueryCancelledError } = require('../dist/path-query-queue');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+const navMesh = new NavMesh2d(new PolygonMap([
+    new Polygon(square(0, 0, 100), [new Polygon(square(20, 20, 15)), new Polygon(square(60, 30, 20)), new Polygon(square(30, 65, 25))])
+]));
+
+function run(queue) {
+    for (let i = 0; i < 1000 && queue.size > 0; i++) queue.update(16);
+    assert.strictEqual(queue.size, 0);
+}
+
+test('requests with different search options are not batched together', async () => {
+    const queue = new PathQueryQueue(navMesh);
+    const end = new Point(95, 95);
+    const starts = [new Point(5, 5), new Point(50, 5), new Point(5, 50), new Point(95, 5), new Point(45, 50)];
+    const options = [{}, { algorithm: 'any-angle' }, { algorithm: 'dijkstra' }, { costModel: 'edge-midpoint' }, { heuristicWeight: 3 }];
+
+    const promises = starts.map((start, i) => queue.request(start, end, options[i]));
+    const invalid = queue.request(new Point(50, 50), end, { algorithm: 'any-angle', heuristicWeight: 2 });
+    run(queue);
+
+    const results = await Promise.all(promises);
+    results.forEach((result, i) => {
+        const direct = navMesh.findPathDetailed(starts[i], end, options[i]);
+        assert.deepStrictEqual(result.points, direct.points, `options ${JSON.stringify(options[i])}`);
+    });
+    await assert.rejects(invalid, /heuristic weight/);
+});
+
+test('requests with the same options share a search and keep their own results', async () => {
+    const queue = new PathQueryQueue(navMesh);
+    const end = new Point(50, 95);
+    const starts = [new Point(5, 5), new Point(95, 5), new Point(50, 50)];
+
+    const promises = starts.map(start => queue.request(start, end, { agentRadius: 1 }));
+    run(queue);
+
+    const results = await Promise.all(promises);
+    results.forEach((result, i) => {
+        const direct = navMesh.findPathDetailed(starts[i], end, { agentRadius: 1 });
+        assert.strictEqual(result.status, direct.status);
+        assert.ok(Math.abs(result.length - direct.length) < 1e-9);
+    });
+});
+
+test('requests are served by priority and can be cancelled', async () => {
+    const queue = new PathQueryQueue(navMesh);
+    const order = [];
+    const controller = new AbortController();
+
+    const low = queue.request(new Point(5, 5), new Point(95, 95)).then(() => order.push('low'));
+    const high = queue.request(new Point(5, 5), new Point(5, 95), { priority: 1 }).then(() => order.push('high'));
+    const cancelled = queue.request(new Point(5, 5), new Point(95, 50), { signal: controller.signal });
+    controller.abort();
+    run(queue);
+
+    await Promise.all([low, high]);
+    assert.deepStrictEqual(order, ['high', 'low']);
+    await assert.rejects(cancelled, PathQueryCancelledError);
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+const { resamplePath } = require('../dist/path-smoothing');
+
+// Room with two walls the path has to weave around, scaled as a whole
+function createMesh(scale) {
+    const p = (x, y) => new Point(x * scale, y * scale);
+    const room = new Polygon([
+        p(0, 0), p(25, 0), p(25, 40), p(35, 40), p(35, 0), p(100, 0),
+        p(100, 60), p(70, 60), p(70, 20), p(60, 20), p(60, 60), p(0, 60)
+    ]);
+    return new NavMesh2d(new PolygonMap([room]), { tolerance: 1e-9 * scale });
+}
+
+const scaled = (points, scale) => points.map(p => [p.x / scale, p.y / scale]);
+
+function assertClose(actual, expected) {
+    assert.strictEqual(actual.length, expected.length);
+    actual.forEach(([x, y], i) => {
+        assert.ok(Math.abs(x - expected[i][0]) < 1e-6 && Math.abs(y - expected[i][1]) < 1e-6, `point ${i}`);
+    });
+}
+
+test('smoothed paths scale with the mesh and its tolerance', () => {
+    const small = createMesh(1);
+    for (const scale of [1e-7, 1e7]) {
+        const large = createMesh(scale);
+        for (const smoothing of [{ type: 'catmull-rom' }, { type: 'bezier' }, { type: 'arc', turnRadius: 3 }]) {
+            const expected = scaled(small.findPath(new Point(5, 5), new Point(95, 55), { agentRadius: 1, smoothing }), 1);
+            const actual = large.findPath(new Point(5 * scale, 5 * scale), new Point(95 * scale, 55 * scale), {
+                agentRadius: scale,
+                smoothing: { ...smoothing, turnRadius: smoothing.turnRadius && smoothing.turnRadius * scale }
+            });
+            assert.ok(expected.length > 2);
+            assertClose(scaled(actual, scale), expected);
+        }
+    }
+});
+
+test('arc paths never turn tighter than the turn radius', () => {
+    const navMesh = createMesh(1);
+    const path = navMesh.findPath(new Point(5, 5), new Point(95, 55), { smoothing: { type: 'arc', turnRadius: 2 } });
+
+    const turns = path.map((p, i) => {
+        if (i === 0 || i === path.length - 1) return 0;
+        const a = Math.atan2(p.y - path[i - 1].y, p.x - path[i - 1].x);
+        const b = Math.atan2(path[i + 1].y - p.y, path[i + 1].x - p.x);
+        return Math.abs(Math.atan2(Math.sin(b - a), Math.cos(b - a)));
+    });
+    assert.ok(turns.some(turn => turn > 0.1));
+
+    // A turn by an angle needs r * tan(angle / 2) of each segment, which it shares with a turn at its other end
+    const share = (i, j) => Math.hypot(path[j].x - path[i].x, path[j].y - path[i].y) / (turns[j] > 1e-9 ? 2 : 1);
+    for (let i = 1; i < path.length - 1; i++) {
+        if (turns[i] < 1e-9) continue;
+        const radius = Math.min(share(i, i - 1), share(i, i + 1)) / Math.tan(turns[i] / 2);
+        assert.ok(radius >= 2 - 1e-6, `corner ${i} turns with radius ${radius}`);
+    }
+});
+
+test('resamplePath spaces points evenly and keeps both ends', () => {
+    const path = [new Point(0, 0), new Point(10, 0), new Point(10, 5)];
+    const samples = resamplePath(path, 2);
+
+    assert.deepStrictEqual(samples.map(p => [p.x, p.y]), [[0, 0], [2, 0], [4, 0], [6, 0], [8, 0], [10, 0], [10, 2], [10, 4], [10, 5]]);
+    assert.deepStrictEqual(resamplePath(path, 2.5).map(p => [p.x, p.y]), [[0, 0], [2.5, 0], [5, 0], [7.5, 0], [10, 0], [10, 2.5], [10, 5]]);
+    assert.throws(() => resamplePath(path, 0), /positive/);
+
+    // Rounding leaves the last sample a little short of the end, the tolerance decides if it counts
+    const bent = [new Point(0, 0), new Point(0.7, 0), new Point(0.7, 0.2)];
+    assert.strictEqual(resamplePath(bent, 0.3).length, 4);
+    assert.strictEqual(resamplePath(bent, 0.3, 1e-20).length, 5);
+});
\ No newline at end of file
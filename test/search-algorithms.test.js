@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d, PathStatus } = require('../dist/nav-mesh-2d');
+
+// Square room with a checkerboard of square pillars
+const SIZE = 200;
+const CELL = 20;
+
+const pillars = [];
+for (let row = 1; row < SIZE / CELL; row++) {
+    for (let col = 1; col < SIZE / CELL; col++) {
+        if ((row + col) % 2 === 0) continue;
+        const cx = col * CELL;
+        const cy = row * CELL;
+        pillars.push(new Polygon([
+            new Point(cx - 6, cy - 6),
+            new Point(cx + 6, cy - 6),
+            new Point(cx + 6, cy + 6),
+            new Point(cx - 6, cy + 6)
+        ]));
+    }
+}
+
+const room = [new Point(0, 0), new Point(SIZE, 0), new Point(SIZE, SIZE), new Point(0, SIZE)];
+const navMesh = new NavMesh2d(new PolygonMap([new Polygon(room, pillars)]));
+const openRoom = new NavMesh2d(new PolygonMap([new Polygon(room)]));
+
+// Deterministic pseudo-random points inside the navmesh
+let seed = 12345;
+function random() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+}
+
+function randomPoint(mesh) {
+    for (;;) {
+        const point = new Point(random() * SIZE, random() * SIZE);
+        if (mesh.isPointInNavMesh(point)) return point;
+    }
+}
+
+const queries = [];
+for (let i = 0; i < 200; i++) {
+    queries.push([randomPoint(navMesh), randomPoint(navMesh)]);
+}
+
+/**
+ * Cost the centroid model assigns to a triangle path: distances between consecutive triangle centers
+ */
+function centroidCost(result) {
+    let cost = 0;
+    for (let i = 1; i < result.trianglePath.length; i++) {
+        cost += Math.sqrt(Point.getDistanceSquared(result.trianglePath[i - 1].centerPoint, result.trianglePath[i].centerPoint));
+    }
+    return cost;
+}
+
+function findAll(mesh, options) {
+    return queries.map(([a, b]) => {
+        const result = mesh.findPathDetailed(a, b, options);
+        assert.strictEqual(result.status, PathStatus.COMPLETE);
+        return result;
+    });
+}
+
+const astar = findAll(navMesh, {});
+
+test('dijkstra finds triangle paths as cheap as astar', () => {
+    findAll(navMesh, { algorithm: 'dijkstra' }).forEach((result, i) => {
+        assert.ok(Math.abs(centroidCost(result) - centroidCost(astar[i])) < 1e-9, `query ${i}`);
+    });
+});
+
+test('bidirectional finds triangle paths as cheap as astar', () => {
+    findAll(navMesh, { algorithm: 'bidirectional' }).forEach((result, i) => {
+        assert.ok(Math.abs(centroidCost(result) - centroidCost(astar[i])) < 1e-9, `query ${i}`);
+    });
+});
+
+test('any-angle paths are never longer than astar paths', () => {
+    findAll(navMesh, { algorithm: 'any-angle' }).forEach((result, i) => {
+        assert.ok(result.length <= astar[i].length + 1e-9, `query ${i}`);
+    });
+});
+
+test('any-angle paths are straight lines in open space', () => {
+    for (let i = 0; i < 50; i++) {
+        const a = randomPoint(openRoom);
+        const b = randomPoint(openRoom);
+        const result = openRoom.findPathDetailed(a, b, { algorithm: 'any-angle' });
+        assert.ok(Math.abs(result.length - Math.sqrt(Point.getDistanceSquared(a, b))) < 1e-9, `query ${i}`);
+    }
+});
+
+test('weighted astar stays within its weight of the optimal cost', () => {
+    for (const weight of [1.5, 2, 4]) {
+        findAll(navMesh, { heuristicWeight: weight }).forEach((result, i) => {
+            assert.ok(centroidCost(result) <= centroidCost(astar[i]) * weight + 1e-9, `weight ${weight}, query ${i}`);
+        });
+    }
+});
+
+test('unsupported option combinations are rejected', () => {
+    const [a, b] = queries[0];
+    assert.throws(() => navMesh.findPath(a, b, { algorithm: 'bidirectional', costModel: 'edge-midpoint' }));
+    assert.throws(() => navMesh.findPath(a, b, { algorithm: 'any-angle', costModel: 'edge-midpoint' }));
+    assert.throws(() => navMesh.findPath(a, b, { algorithm: 'any-angle', heuristicWeight: 2 }));
+    assert.throws(() => navMesh.findPath(a, b, { algorithm: 'any-angle', areaCosts: { 1: 2 } }));
+});
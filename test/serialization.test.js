@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+const { NavMeshFormatError } = require('../dist/serialization');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+// Obstacles moved around after building, so the triangles no longer follow polygon order
+function createMesh() {
+    const yard = new Polygon(square(200, 0, 100));
+    const navMesh = new NavMesh2d(new PolygonMap([
+        new Polygon(square(0, 0, 100), [new Polygon(square(60, 60, 20))]),
+        yard
+    ]));
+    const first = navMesh.addObstacle(square(20, 20, 10));
+    navMesh.addObstacle(square(240, 40, 20));
+    navMesh.addObstacle(square(75, 40, 10));
+    navMesh.removeObstacle(first);
+    navMesh.setPolygonArea(yard, 2);
+    return navMesh;
+}
+
+const corners = navMesh => navMesh.getTriangles().map(t => t.mainTriangle.map(p => [p.x, p.y]));
+
+test('loading keeps the baked triangle order', () => {
+    const navMesh = createMesh();
+    for (const loaded of [NavMesh2d.fromJSON(navMesh.toJSON()), NavMesh2d.fromJSON(JSON.stringify(navMesh)),
+        NavMesh2d.fromBinary(navMesh.toBinary())]) {
+        assert.deepStrictEqual(corners(loaded), corners(navMesh));
+        assert.deepStrictEqual(loaded.toJSON(), navMesh.toJSON());
+
+        const start = new Point(10, 10);
+        const end = new Point(90, 90);
+        const indices = mesh => mesh.findPathDetailed(start, end).trianglePath.map(t => mesh.getTriangles().indexOf(t));
+        assert.deepStrictEqual(indices(loaded), indices(navMesh));
+    }
+});
+
+test('a loaded mesh takes new obstacles like the original', () => {
+    const navMesh = createMesh();
+    const loaded = NavMesh2d.fromJSON(navMesh.toJSON());
+    for (const mesh of [navMesh, loaded]) {
+        mesh.addObstacle(square(30, 10, 10));
+        mesh.removeObstacle(3);
+    }
+    assert.deepStrictEqual(corners(loaded), corners(navMesh));
+    assert.deepStrictEqual(loaded.findPath(new Point(5, 5), new Point(95, 95)), navMesh.findPath(new Point(5, 5), new Point(95, 95)));
+});
+
+test('corrupt data throws NavMeshFormatError', () => {
+    const data = createMesh().toJSON();
+    assert.throws(() => NavMesh2d.fromJSON('{'), NavMeshFormatError);
+    assert.throws(() => NavMesh2d.fromJSON({ ...data, trianglePieces: data.trianglePieces.slice(1) }), NavMeshFormatError);
+    assert.throws(() => NavMesh2d.fromBinary(new ArrayBuffer(8)), NavMeshFormatError);
+});
\ No newline at end of file
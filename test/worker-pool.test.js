@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Point, Polygon, PolygonMap } = require('poly-math-2d');
+const { NavMesh2d } = require('../dist/nav-mesh-2d');
+const { NavMeshWorkerPool } = require('../dist/nav-mesh-worker-pool');
+
+const square = (x, y, size) => [new Point(x, y), new Point(x + size, y), new Point(x + size, y + size), new Point(x, y + size)];
+
+test('detailed paths map to the triangles of the source mesh after obstacles', async () => {
+    const navMesh = new NavMesh2d(new PolygonMap([new Polygon(square(0, 0, 100)), new Polygon(square(200, 0, 100))]));
+    const pool = new NavMeshWorkerPool(navMesh, { workerCount: 1 });
+    try {
+        const start = new Point(10, 10);
+        const end = new Point(90, 90);
+        const before = await pool.findPathDetailed(start, end);
+        assert.deepStrictEqual(before.trianglePath, navMesh.findPathDetailed(start, end).trianglePath);
+
+        // New triangles of the first polygon go after those of the second one
+        navMesh.addObstacle(square(40, 40, 20));
+        const direct = navMesh.findPathDetailed(start, end);
+        const pooled = await pool.findPathDetailed(start, end);
+
+        assert.strictEqual(pooled.trianglePath.length, direct.trianglePath.length);
+        pooled.trianglePath.forEach((triangle, i) => assert.strictEqual(triangle, direct.trianglePath[i]));
+        assert.deepStrictEqual(pooled.points, direct.points);
+        assert.deepStrictEqual(pooled.portals, direct.portals);
+    } finally {
+        await pool.terminate();
+    }
+});
+
+test('traces come back from the workers', async () => {
+    const navMesh = new NavMesh2d(new PolygonMap([new Polygon(square(0, 0, 100), [new Polygon(square(40, 40, 20))])]));
+    const pool = new NavMeshWorkerPool(navMesh, { workerCount: 1 });
+    try {
+        const start = new Point(10, 10);
+        const end = new Point(90, 90);
+        const direct = navMesh.findPathDetailed(start, end, { trace: true });
+        const pooled = await pool.findPathDetailed(start, end, { trace: true });
+
+        assert.ok(pooled.trace);
+        assert.deepStrictEqual(pooled.trace.expanded, direct.trace.expanded);
+        assert.deepStrictEqual(pooled.trace.portals, direct.trace.portals);
+        assert.deepStrictEqual(pooled.trace.apexes, direct.trace.apexes);
+        assert.deepStrictEqual(Object.keys(pooled.trace.timings), ['locate', 'search', 'funnel']);
+        assert.strictEqual((await pool.findPathDetailed(start, end)).trace, undefined);
+
+        await assert.rejects(pool.findPath(start, end, { trace: {} }), /Trace listeners/);
+    } finally {
+        await pool.terminate();
+    }
+});
\ No newline at end of file